@@ -1,43 +1,118 @@
-import { IkeaAdapter } from './retailers/ikea-adapter.js';
-import { WayfairAdapter } from './retailers/wayfair-adapter.js';
-import { ArticleAdapter } from './retailers/article-adapter.js';
-import { FirstDibsAdapter } from './retailers/firstdibs-adapter.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AdapterRegistry } from './adapter-registry.js';
+import { registerRecipes } from './recipe-adapter.js';
+
+// Directory holding the built-in retailer adapters
+const RETAILERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'retailers');
+
+// Shared registry, filled in once when this module is first imported
+const registry = new AdapterRegistry();
+await registry.discover(RETAILERS_DIR);
+registerRecipes(registry);
+await registry.discoverPackages({
+  packages: (process.env.ADAPTER_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean)
+});
 
 /**
  * Adapter Factory
- * 
+ *
  * This factory creates and returns the appropriate adapter for a given retailer.
+ * Adapters are discovered from adapters/retailers/, the recipes in
+ * adapters/recipes/ and any installed `furniture-scraper-adapter-*` packages.
  */
 export class AdapterFactory {
   /**
    * Get the adapter for a specific retailer
-   * @param {string} retailer - The retailer name (case insensitive)
+   * @param {string} retailer - The retailer name or alias (case insensitive)
    * @param {Object} options - Options for the adapter
    * @returns {BaseAdapter} The adapter instance
    * @throws {Error} If the retailer is not supported
    */
   static getAdapter(retailer, options = {}) {
-    const retailerLower = retailer.toLowerCase();
-    
-    switch (retailerLower) {
-      case 'ikea':
-        return new IkeaAdapter(options.country, options.language);
-      case 'wayfair':
-        return new WayfairAdapter(options.country);
-      case 'article':
-        return new ArticleAdapter(options.country, options.language);
-      case '1stdibs':
-        return new FirstDibsAdapter(options.country, options.language);
-      default:
-        throw new Error(`Unsupported retailer: ${retailer}`);
+    const entry = registry.get(retailer);
+
+    if (!entry) {
+      throw new Error(`Unsupported retailer: ${retailer}`);
+    }
+
+    if (options.country && entry.countries.length > 0 && !entry.countries.includes(options.country)) {
+      console.warn(`${entry.name} does not list country "${options.country}" as supported (${entry.countries.join(', ')})`);
+    }
+
+    if (options.language && entry.languages.length > 0 && !entry.languages.includes(options.language)) {
+      console.warn(`${entry.name} does not list language "${options.language}" as supported (${entry.languages.join(', ')})`);
+    }
+
+    return entry.create(options);
+  }
+
+  /**
+   * Work out which retailer, country and language a URL belongs to
+   * @param {string} url - A product or category URL
+   * @returns {Object|null} { retailer, country, language, type } or null if no adapter serves the URL
+   */
+  static resolveUrl(url) {
+    const resolved = registry.resolveUrl(url);
+    if (!resolved) return null;
+
+    return {
+      retailer: resolved.entry.name,
+      country: resolved.country,
+      language: resolved.language,
+      type: resolved.type
+    };
+  }
+
+  /**
+   * Get the adapter for a URL, picking the retailer (and country/language) from its host and path
+   * @param {string} url - A product or category URL
+   * @param {Object} options - Options for the adapter, these win over values read from the URL
+   * @returns {BaseAdapter} The adapter instance
+   * @throws {Error} If no adapter serves the URL
+   */
+  static getAdapterForUrl(url, options = {}) {
+    const resolved = AdapterFactory.resolveUrl(url);
+
+    if (!resolved) {
+      throw new Error(`No adapter found for URL: ${url}`);
     }
+
+    return AdapterFactory.getAdapter(resolved.retailer, {
+      ...options,
+      country: options.country || resolved.country || undefined,
+      language: options.language || resolved.language || undefined
+    });
   }
-  
+
   /**
    * Get a list of supported retailers
    * @returns {Array<string>} Array of supported retailer names
    */
   static getSupportedRetailers() {
-    return ['IKEA', 'Wayfair', 'Article', '1stDibs'];
+    return registry.list().map(entry => entry.name);
+  }
+
+  /**
+   * Get the registration details of every supported retailer
+   * @returns {Array<Object>} Array of { name, aliases, hosts, countries, languages, metadata }
+   */
+  static getRetailerDetails() {
+    return registry.list().map(({ name, aliases, hosts, countries, languages, metadata }) => ({
+      name,
+      aliases,
+      hosts,
+      countries,
+      languages,
+      metadata
+    }));
+  }
+
+  /**
+   * Get the registry backing this factory, e.g. to register an adapter at runtime
+   * @returns {AdapterRegistry} The shared adapter registry
+   */
+  static getRegistry() {
+    return registry;
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// The scraper's own node_modules, where adapter packages are installed
+const DEFAULT_NODE_MODULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'node_modules');
+
+// npm packages whose name matches this pattern are picked up as adapter plugins
+const PACKAGE_PATTERN = /^(@[^/]+\/)?furniture-scraper-adapter-[\w.-]+$/;
+
+/**
+ * Find the module an installed package exports
+ *
+ * Reads the package's `exports` (its "." entry, preferring the `import`
+ * condition), then `main`, then falls back to index.js.
+ * @param {string} packageDir - The package's directory in node_modules
+ * @returns {string} Path of the entry module
+ * @throws {Error} If the package has no readable package.json
+ */
+function resolvePackageEntry(packageDir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${path.join(packageDir, 'package.json')}: ${error.message}`);
+  }
+
+  let entry = manifest.exports;
+  if (entry && typeof entry === 'object' && '.' in entry) entry = entry['.'];
+  while (entry && typeof entry === 'object') {
+    entry = entry.import || entry.node || entry.default;
+  }
+
+  return path.join(packageDir, entry || manifest.main || 'index.js');
+}
+
+/**
+ * Adapter Registry
+ *
+ * Keeps track of every adapter that can be created, keyed by retailer name and
+ * aliases. Adapters add themselves by exporting a `register(registry)` function,
+ * both in adapters/retailers/ and in third-party npm packages.
+ */
+export class AdapterRegistry {
+  constructor() {
+    // Registered adapter definitions, keyed by lowercase retailer name
+    this.entries = new Map();
+    // Lowercase alias -> lowercase retailer name
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register an adapter
+   * @param {Object} definition - Adapter definition
+   * @param {string} definition.name - Display name of the retailer
+   * @param {Function} definition.create - Factory called with { country, language, ... }
+   * @param {Array<string>} [definition.aliases] - Alternative names for the retailer
+   * @param {Array<string>} [definition.countries] - Supported country codes (empty means any)
+   * @param {Array<string>} [definition.languages] - Supported language codes (empty means any)
+   * @param {Object} [definition.metadata] - Free-form metadata (description, status, homepage...)
+   * @param {Array<string>} [definition.hosts] - Hostnames served by this adapter (subdomains match too)
+   * @param {RegExp} [definition.productUrlPattern] - Matches product (rather than category) URLs
+   * @param {Function} [definition.parseUrl] - Returns { country, language } hints for a URL object
+   * @throws {Error} If the definition is invalid or its name/aliases are already taken
+   */
+  register(definition) {
+    if (!definition || !definition.name || typeof definition.create !== 'function') {
+      throw new Error('Adapter definitions need a name and a create function');
+    }
+
+    const key = definition.name.toLowerCase();
+    const entry = {
+      aliases: [],
+      countries: [],
+      languages: [],
+      metadata: {},
+      hosts: [],
+      productUrlPattern: null,
+      parseUrl: null,
+      ...definition
+    };
+
+    const names = [key, ...entry.aliases.map(alias => alias.toLowerCase())];
+    for (const name of names) {
+      const owner = this.entries.has(name) ? name : this.aliases.get(name);
+      if (owner && owner !== key) {
+        throw new Error(`Adapter name "${name}" is already registered by ${this.entries.get(owner).name}`);
+      }
+    }
+
+    this.entries.set(key, entry);
+    names.slice(1).forEach(alias => this.aliases.set(alias, key));
+  }
+
+  /**
+   * Look up an adapter definition by retailer name or alias
+   * @param {string} name - Retailer name or alias (case insensitive)
+   * @returns {Object|null} The adapter definition, or null if unknown
+   */
+  get(name) {
+    const key = name.toLowerCase();
+    return this.entries.get(key) || this.entries.get(this.aliases.get(key)) || null;
+  }
+
+  /**
+   * Find the adapter serving a URL, based on its hostname
+   * @param {string} url - A product or category URL
+   * @returns {Object|null} { entry, country, language, type } or null if no adapter serves the host
+   */
+  resolveUrl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const entry = this.list().find(candidate =>
+      candidate.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    );
+
+    if (!entry) return null;
+
+    const hints = entry.parseUrl ? entry.parseUrl(urlObj) || {} : {};
+    const isProduct = entry.productUrlPattern ? entry.productUrlPattern.test(urlObj.pathname) : false;
+
+    return {
+      entry,
+      country: hints.country || null,
+      language: hints.language || null,
+      type: isProduct ? 'product' : 'category'
+    };
+  }
+
+  /**
+   * List every registered adapter definition
+   * @returns {Array<Object>} Array of adapter definitions
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Import every `*-adapter.js` module in a directory and let it register itself
+   * @param {string} dir - Directory to scan
+   * @returns {Promise<void>}
+   */
+  async discover(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    const files = fs.readdirSync(dir)
+      .filter(file => file.endsWith('-adapter.js'))
+      .sort();
+
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      this.registerModule(module, file);
+    }
+  }
+
+  /**
+   * Import adapter plugins installed as npm packages
+   *
+   * Packages named `furniture-scraper-adapter-*` (optionally scoped) in
+   * node_modules are loaded automatically, as are any names listed explicitly.
+   * Every package is imported from nodeModulesDir, wherever the CLI runs from.
+   * @param {Object} options - Discovery options
+   * @param {string} [options.nodeModulesDir] - node_modules directory to scan (default: the scraper's own)
+   * @param {Array<string>} [options.packages] - Extra package names to load
+   * @returns {Promise<void>}
+   */
+  async discoverPackages({ nodeModulesDir = DEFAULT_NODE_MODULES_DIR, packages = [] } = {}) {
+    const names = new Set(packages);
+
+    if (fs.existsSync(nodeModulesDir)) {
+      for (const entry of fs.readdirSync(nodeModulesDir)) {
+        if (entry.startsWith('@')) {
+          fs.readdirSync(path.join(nodeModulesDir, entry))
+            .map(name => `${entry}/${name}`)
+            .filter(name => PACKAGE_PATTERN.test(name))
+            .forEach(name => names.add(name));
+        } else if (PACKAGE_PATTERN.test(entry)) {
+          names.add(entry);
+        }
+      }
+    }
+
+    for (const name of names) {
+      try {
+        const module = await import(pathToFileURL(resolvePackageEntry(path.join(nodeModulesDir, name))).href);
+        this.registerModule(module, name);
+      } catch (error) {
+        console.error(`Failed to load adapter package ${name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Call a module's `register` export with this registry
+   * @param {Object} module - The imported module
+   * @param {string} source - Where the module came from (for log messages)
+   */
+  registerModule(module, source) {
+    const register = module.register || (module.default && module.default.register);
+
+    if (typeof register !== 'function') {
+      console.warn(`Skipping ${source}: it does not export a register(registry) function`);
+      return;
+    }
+
+    register(this);
+  }
+}
@@ -1,3 +1,37 @@
+import { SCHEMA_VERSION, validateProduct, withDefaults } from '../lib/product-schema.js';
+import { normalizeRecordPrice } from '../lib/price.js';
+import { convertRecordPrice } from '../lib/currency.js';
+import { normalizeRecordDimensions } from '../lib/dimensions.js';
+import { normalizeRecordImages } from '../lib/images.js';
+import { normalizeRecordDescription } from '../lib/description.js';
+import { normalizeRecordCondition } from '../lib/condition.js';
+import { normalizeRecordQuantity } from '../lib/quantity.js';
+import { normalizeRecordVocabulary } from '../lib/vocabulary.js';
+import { normalizeRecordAttribution } from '../lib/designers.js';
+import { normalizeRecordSeller } from '../lib/sellers.js';
+import { normalizeRecordOrigin } from '../lib/geo.js';
+import { normalizeRecordBreadcrumbs } from '../lib/breadcrumbs.js';
+import { categorizeRecord } from '../lib/categories.js';
+
+// Normalization steps run over every transformed record, in order.
+// Each takes (record, { country, language, categoryUrl, categoryMappings })
+// and returns the updated record.
+const NORMALIZERS = [
+  normalizeRecordPrice,
+  convertRecordPrice,
+  normalizeRecordDimensions,
+  normalizeRecordImages,
+  normalizeRecordDescription,
+  normalizeRecordCondition,
+  normalizeRecordQuantity,
+  normalizeRecordVocabulary,
+  normalizeRecordAttribution,
+  normalizeRecordSeller,
+  normalizeRecordOrigin,
+  normalizeRecordBreadcrumbs,
+  categorizeRecord
+];
+
 /**
  * Base Adapter
  * 
@@ -19,6 +53,18 @@ export class BaseAdapter {
     throw new Error("Method 'getRetailerName()' must be implemented");
   }
 
+  /**
+   * Get the version of this adapter's extraction logic
+   *
+   * Every stored product is stamped with it, so bump it whenever a change to
+   * extractProductData() or transformProductData() changes what ends up in a
+   * record; older records can then be found and backfilled.
+   * @returns {number} The extractor version
+   */
+  getExtractorVersion() {
+    return 1;
+  }
+
   /**
    * Get category URLs to scrape
    * @returns {Array<Object>} Array of category objects with name and url
@@ -27,6 +73,18 @@ export class BaseAdapter {
     throw new Error("Method 'getCategories()' must be implemented");
   }
 
+  /**
+   * Get the adapter's category mapping table
+   *
+   * Maps the retailer's own category names and URL segments onto the shared
+   * taxonomy (data/categories.json), for categories its keywords can't work
+   * out, e.g. { 'tables-desks-fu004': 'Tables' }.
+   * @returns {Object} Breadcrumb name or URL segment -> taxonomy category path
+   */
+  getCategoryMappings() {
+    return {};
+  }
+
   /**
    * Extract product links from a category page
    * @param {Page} page - Playwright page object
@@ -58,10 +116,52 @@ export class BaseAdapter {
 
   /**
    * Transform raw product data into a standardized format for database storage
+   *
+   * Return the fields of the canonical product schema (lib/product-schema.js)
+   * the adapter knows; fields left out are filled in by createProductRecord().
    * @param {Object} productData - Raw product data
    * @returns {Object} Standardized product data
    */
   transformProductData(productData) {
     throw new Error("Method 'transformProductData()' must be implemented");
   }
-} 
\ No newline at end of file
+
+  /**
+   * Build the record stored for a product
+   *
+   * The adapter's transform goes through the NORMALIZERS, is completed with
+   * the remaining fields of the canonical product schema, stamped with the
+   * extractor and schema versions and validated, so every retailer's records
+   * have the same columns.
+   * @param {Object} productData - Raw product data from extractProductData()
+   * @param {Object} context - { categoryUrl } the product was found in, if any
+   * @returns {Object|null} The product record, or null if the data couldn't be transformed or is invalid
+   */
+  createProductRecord(productData, { categoryUrl = null } = {}) {
+    const transformed = productData ? this.transformProductData(productData) : null;
+    if (!transformed) return null;
+
+    const context = {
+      country: this.country,
+      language: this.language,
+      categoryUrl,
+      categoryMappings: this.getCategoryMappings()
+    };
+    const normalized = NORMALIZERS.reduce((current, normalize) => normalize(current, context), transformed);
+
+    const record = withDefaults({
+      ...normalized,
+      extractor_version: this.getExtractorVersion(),
+      schema_version: SCHEMA_VERSION
+    });
+
+    const { valid, errors } = validateProduct(record);
+    if (!valid) {
+      console.error(`Invalid ${this.getRetailerName()} product ${record.product_id || record.url}:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+      return null;
+    }
+
+    return record;
+  }
+}
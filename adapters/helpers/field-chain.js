@@ -0,0 +1,208 @@
+/**
+ * Fallback Selector Chains
+ *
+ * Extracts a field by trying an ordered list of selectors and keeping the first
+ * non-empty match, recording which step won so degraded extractions can be
+ * spotted in the stored data.
+ */
+import { parseNumberIn } from '../../lib/price.js';
+
+// Named transforms that a chain step can apply to its raw value
+export const TRANSFORMS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  lowercase: value => value.toLowerCase(),
+  // "1,299.00", "1.234,56" and "1 234,56 €" alike
+  number: value => parseNumberIn(value),
+  stripTrailingComma: value => value.trim().replace(/,$/, '')
+};
+
+/**
+ * Read a dot-separated path (e.g. "offers.price") from an object
+ * @param {Object} obj - Object to read from
+ * @param {string} keyPath - Dot-separated key path
+ * @returns {any} The value, or undefined if any part of the path is missing
+ */
+export function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Describe a chain step for provenance records and log messages
+ * @param {Object} step - Chain step
+ * @returns {string} A short label
+ */
+function describeStep(step) {
+  if (step.label) return step.label;
+  if (step.selector) return step.attribute ? `${step.selector}@${step.attribute}` : step.selector;
+  if (step.jsonLd) return `jsonLd:${step.jsonLd}`;
+  return 'custom';
+}
+
+/**
+ * Check whether an extracted value counts as missing
+ * @param {any} value - Extracted value
+ * @returns {boolean} True for null, empty strings and empty arrays
+ */
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Apply a step's regex and named or custom transform to an extracted value
+ * @param {any} value - Raw extracted value
+ * @param {Object} step - Chain step
+ * @returns {any} The transformed value
+ * @throws {Error} If the step names an unknown transform
+ */
+export function applyTransform(value, step) {
+  if (value == null) return null;
+  if (Array.isArray(value)) {
+    return value.map(item => applyTransform(item, step)).filter(item => !isEmpty(item));
+  }
+  if (typeof value !== 'string') return value;
+
+  let result = value;
+
+  if (step.regex) {
+    const match = result.match(new RegExp(step.regex));
+    if (!match) return null;
+    result = match[1] !== undefined ? match[1] : match[0];
+  }
+
+  const transform = typeof step.transform === 'function'
+    ? step.transform
+    : TRANSFORMS[step.transform || 'trim'];
+
+  if (!transform) {
+    throw new Error(`Unknown transform: ${step.transform}`);
+  }
+
+  return transform(result);
+}
+
+/**
+ * Run a single chain step against the page
+ * @param {Page} page - Playwright page object
+ * @param {Object} step - Chain step
+ * @param {Object} sources - Extra data sources, e.g. { jsonLd }
+ * @returns {Promise<any>} The raw value, or null if the step didn't match
+ */
+async function runStep(page, step, sources) {
+  if (step.run) {
+    return Promise.resolve().then(() => step.run(page)).catch(() => null);
+  }
+
+  if (step.jsonLd) {
+    return sources.jsonLd ? getPath(sources.jsonLd, step.jsonLd) : null;
+  }
+
+  if ('value' in step) {
+    return step.value;
+  }
+
+  const { selector, attribute, property, all } = step;
+
+  // Read an attribute or DOM property when one is given, otherwise the element's text
+  if (all) {
+    return page.$$eval(selector, (els, args) => els.map(el => {
+      const [attr, prop] = args;
+      return (attr ? el.getAttribute(attr) : prop ? el[prop] : el.textContent) || '';
+    }), [attribute, property]).catch(() => null);
+  }
+
+  return page.$eval(selector, (el, args) => {
+    const [attr, prop] = args;
+    return (attr ? el.getAttribute(attr) : prop ? el[prop] : el.textContent) || '';
+  }, [attribute, property]).catch(() => null);
+}
+
+/**
+ * Extract a field by trying each step of its chain in order
+ *
+ * A step is one of:
+ *   { selector, attribute?, property?, all? }  - read from the DOM (text by default)
+ *   { jsonLd: 'offers.price' }                 - read a path from sources.jsonLd
+ *   { value, label }                           - use a value that was already extracted
+ *   { run: async page => value, label }        - custom extraction
+ * and may add `regex` (keep the first capture group) and `transform`
+ * (a TRANSFORMS name or a function; defaults to trim).
+ *
+ * @param {Page} page - Playwright page object
+ * @param {Array<Object>|Object} chain - Ordered chain steps
+ * @param {Object} sources - Extra data sources, e.g. { jsonLd }
+ * @returns {Promise<Object>} { value, provenance: { selector, index, candidates, status } }
+ */
+export async function extractField(page, chain, sources = {}) {
+  const steps = Array.isArray(chain) ? chain : [chain];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const value = applyTransform(await runStep(page, step, sources), step);
+
+    if (!isEmpty(value)) {
+      return {
+        value,
+        provenance: {
+          selector: describeStep(step),
+          index,
+          candidates: steps.length,
+          status: index === 0 ? 'primary' : 'fallback'
+        }
+      };
+    }
+  }
+
+  return {
+    value: null,
+    provenance: {
+      selector: null,
+      index: -1,
+      candidates: steps.length,
+      status: 'none'
+    }
+  };
+}
+
+/**
+ * Field Extractor
+ *
+ * Runs fallback chains for several fields of one page and keeps the provenance
+ * of each, ready to be stored alongside the product in `raw_data`.
+ */
+export class FieldExtractor {
+  /**
+   * @param {Page} page - Playwright page object
+   * @param {Object} sources - Extra data sources, e.g. { jsonLd }
+   */
+  constructor(page, sources = {}) {
+    this.page = page;
+    this.sources = sources;
+    this.provenance = {};
+  }
+
+  /**
+   * Extract a field and remember which step produced it
+   * @param {string} field - Field name used in the provenance record
+   * @param {Array<Object>|Object} chain - Ordered chain steps
+   * @returns {Promise<any>} The extracted value, or null
+   */
+  async extract(field, chain) {
+    const { value, provenance } = await extractField(this.page, chain, this.sources);
+    this.provenance[field] = provenance;
+
+    if (provenance.status === 'fallback') {
+      console.log(`  ${field}: primary selector failed, used fallback ${provenance.index} (${provenance.selector})`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Get the provenance of every field extracted so far
+   * @returns {Object} Field name -> provenance record
+   */
+  getProvenance() {
+    return { ...this.provenance };
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Image Gallery Extraction
+ *
+ * Reads a product page's gallery <img> elements in page order, with what
+ * lib/images.js needs to find the largest rendition: src, srcset (also from
+ * a <picture>'s <source> and lazy-loading data- attributes) and alt text.
+ */
+
+/**
+ * Collect the images matching a selector
+ * @param {Page} page - Playwright page object
+ * @param {string} selector - Selector of the gallery's <img> elements
+ * @returns {Promise<Array<Object>>} [{ src, srcset, alt }] in page order
+ */
+export async function extractGalleryImages(page, selector) {
+  return page.$$eval(selector, images => images.map(img => {
+    const picture = img.closest('picture');
+    const source = picture ? picture.querySelector('source[srcset]') : null;
+
+    return {
+      src: img.getAttribute('src') || img.getAttribute('data-src'),
+      srcset: img.getAttribute('srcset') || img.getAttribute('data-srcset') || (source && source.getAttribute('srcset')),
+      alt: img.getAttribute('alt')
+    };
+  }));
+}
@@ -0,0 +1,301 @@
+/**
+ * Structured Data Extractor
+ *
+ * Collects every JSON-LD block, schema.org microdata and OpenGraph tag on a
+ * product page and merges them into one normalized structure, so adapters
+ * don't each have to cope with @graph arrays, AggregateOffers or malformed JSON.
+ */
+import { parseNumberIn } from '../../lib/price.js';
+
+// schema.org types treated as the product being sold
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'SomeProducts'];
+
+/**
+ * Read the raw structured data sources from a page
+ *
+ * Runs in the browser, so it must not reference anything outside its own body.
+ * @returns {Object} { jsonLd: Array<string>, microdata: Array<Object>, meta: Object }
+ */
+function collectRawStructuredData() {
+  const jsonLd = [...document.querySelectorAll('script[type="application/ld+json"]')]
+    .map(script => script.textContent);
+
+  // Read the value of an itemprop element the way the microdata spec does
+  const readValue = el => {
+    if (el.hasAttribute('itemscope')) return readItem(el);
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (el.tagName === 'META') return el.getAttribute('content') || '';
+    if (['A', 'LINK', 'AREA'].includes(el.tagName)) return el.href;
+    if (['IMG', 'SOURCE', 'VIDEO', 'AUDIO', 'IFRAME', 'EMBED'].includes(el.tagName)) return el.src;
+    if (el.tagName === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    return el.textContent.trim();
+  };
+
+  // Collect the properties of an itemscope, skipping those owned by nested scopes
+  const readItem = scope => {
+    const item = { '@type': (scope.getAttribute('itemtype') || '').split('/').pop() };
+
+    scope.querySelectorAll('[itemprop]').forEach(el => {
+      if (el.parentElement.closest('[itemscope]') !== scope) return;
+
+      el.getAttribute('itemprop').split(/\s+/).forEach(prop => {
+        const value = readValue(el);
+        if (item[prop] === undefined) {
+          item[prop] = value;
+        } else {
+          item[prop] = [].concat(item[prop], value);
+        }
+      });
+    });
+
+    return item;
+  };
+
+  const microdata = [...document.querySelectorAll('[itemscope][itemtype]')]
+    .filter(el => !el.hasAttribute('itemprop'))
+    .map(readItem);
+
+  const meta = {};
+  document.querySelectorAll('meta[property], meta[name]').forEach(el => {
+    const key = el.getAttribute('property') || el.getAttribute('name');
+    if (/^(og|product|twitter):/.test(key) && !(key in meta)) {
+      meta[key] = el.getAttribute('content');
+    }
+  });
+
+  return { jsonLd, microdata, meta };
+}
+
+/**
+ * Extract and normalize the structured data of the current page
+ * @param {Page} page - Playwright page object
+ * @param {Object} options - Normalization options (see normalizeStructuredData)
+ * @returns {Promise<Object>} The normalized structured data
+ */
+export async function extractStructuredData(page, options = {}) {
+  const raw = await page.evaluate(collectRawStructuredData);
+  return normalizeStructuredData(raw, options);
+}
+
+/**
+ * Parse a JSON-LD block, tolerating the mistakes commonly found in the wild
+ * @param {string} text - Contents of a ld+json script
+ * @returns {any} The parsed JSON
+ * @throws {Error} If the block can't be parsed even after cleanup
+ */
+export function parseJsonLd(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Strip HTML comments/CDATA wrappers, raw control characters and trailing commas, then retry
+    const cleaned = text
+      .replace(/^\s*(<!--|<!\[CDATA\[)/, '')
+      .replace(/(-->|\]\]>)\s*$/, '')
+      .replace(/[\u0000-\u001f]+/g, ' ')
+      .replace(/,\s*([\]}])/g, '$1');
+    return JSON.parse(cleaned);
+  }
+}
+
+/**
+ * Flatten parsed JSON-LD into a list of typed nodes, unwrapping arrays and @graph
+ * @param {any} data - Parsed JSON-LD
+ * @returns {Array<Object>} Every node that has an @type
+ */
+export function flattenJsonLd(data) {
+  if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+  if (!data || typeof data !== 'object') return [];
+
+  const nodes = data['@type'] ? [data] : [];
+  if (data['@graph']) nodes.push(...flattenJsonLd(data['@graph']));
+  return nodes;
+}
+
+/**
+ * Check whether a node has one of the given schema.org types
+ * @param {Object} node - JSON-LD or microdata node
+ * @param {Array<string>} types - Type names to look for
+ * @returns {boolean} True if the node has any of the types
+ */
+function hasType(node, types) {
+  return [].concat(node['@type'] || [])
+    .some(type => types.includes(String(type).replace(/^.*[/:]/, '')));
+}
+
+/**
+ * Turn a price value ("1,299.00", "1.234,56", 1299) into a number
+ * @param {any} value - Raw price value
+ * @returns {number|null} The price, or null if it isn't numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  return parseNumberIn(value);
+}
+
+/**
+ * Reduce a schema.org URL value like "http://schema.org/InStock" to "InStock"
+ * @param {string} value - Raw schema.org enumeration value
+ * @returns {string|null} The short name
+ */
+function shortName(value) {
+  return value ? String(value).replace(/^.*[/:]/, '') : null;
+}
+
+/**
+ * Normalize an Offer, an array of Offers or an AggregateOffer
+ * @param {any} offers - The offers value of a Product node
+ * @param {Object} options - { preferredCurrency }
+ * @returns {Object|null} { price, lowPrice, highPrice, currency, availability, offerCount, offers }
+ */
+export function normalizeOffers(offers, { preferredCurrency } = {}) {
+  if (!offers) return null;
+
+  const list = [].concat(offers).flatMap(offer => {
+    if (!offer || typeof offer !== 'object') return [];
+    // AggregateOffers may carry their individual offers
+    if (hasType(offer, ['AggregateOffer']) && offer.offers) return [offer, ...[].concat(offer.offers)];
+    return [offer];
+  });
+
+  const normalized = list.map(offer => {
+    const spec = [].concat(offer.priceSpecification || [])[0] || {};
+    return {
+      type: shortName(offer['@type']) || 'Offer',
+      price: toNumber(offer.price !== undefined ? offer.price : spec.price),
+      lowPrice: toNumber(offer.lowPrice),
+      highPrice: toNumber(offer.highPrice),
+      currency: offer.priceCurrency || spec.priceCurrency || null,
+      availability: shortName(offer.availability),
+      offerCount: offer.offerCount ? parseInt(offer.offerCount, 10) : null
+    };
+  });
+
+  if (normalized.length === 0) return null;
+
+  const primary = (preferredCurrency && normalized.find(offer => offer.currency === preferredCurrency))
+    || normalized.find(offer => offer.price !== null)
+    || normalized[0];
+
+  return {
+    price: primary.price !== null ? primary.price : primary.lowPrice,
+    lowPrice: primary.lowPrice,
+    highPrice: primary.highPrice,
+    currency: primary.currency,
+    availability: primary.availability,
+    offerCount: primary.offerCount || normalized.length,
+    offers: normalized
+  };
+}
+
+/**
+ * Collect image URLs from a schema.org image value (string, ImageObject or array)
+ * @param {any} image - Raw image value
+ * @returns {Array<string>} Image URLs
+ */
+function toImageUrls(image) {
+  return [].concat(image || [])
+    .map(item => (typeof item === 'string' ? item : item && (item.contentUrl || item.url)))
+    .filter(Boolean);
+}
+
+/**
+ * Reduce a brand/manufacturer value (string, Brand or Organization) to its name
+ * @param {any} value - Raw brand value
+ * @returns {string|null} The name
+ */
+function toName(value) {
+  const first = [].concat(value || [])[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name || null;
+}
+
+/**
+ * List the names in a schema.org BreadcrumbList, in position order
+ * @param {Object|null} breadcrumbList - BreadcrumbList node
+ * @returns {Array<string>|null} The names, outermost first, or null if the list has none
+ */
+function toBreadcrumbNames(breadcrumbList) {
+  const names = [].concat((breadcrumbList && breadcrumbList.itemListElement) || [])
+    .filter(element => element && typeof element === 'object')
+    .sort((a, b) => (parseInt(a.position, 10) || 0) - (parseInt(b.position, 10) || 0))
+    // The name sits on the ListItem or on the Thing it points to
+    .map(element => element.name || (element.item && typeof element.item === 'object' ? element.item.name : null))
+    .filter(name => typeof name === 'string' && name.trim());
+
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Merge raw JSON-LD, microdata and OpenGraph sources into one structure
+ * @param {Object} raw - { jsonLd: Array<string>, microdata: Array<Object>, meta: Object }
+ * @param {Object} options - Normalization options
+ * @param {string} [options.preferredCurrency] - Offer currency to prefer when several are listed
+ * @returns {Object} The normalized structured data
+ */
+export function normalizeStructuredData(raw, options = {}) {
+  const errors = [];
+  const nodes = [];
+
+  (raw.jsonLd || []).forEach((text, index) => {
+    try {
+      nodes.push(...flattenJsonLd(parseJsonLd(text)));
+    } catch (error) {
+      errors.push(`Malformed JSON-LD block ${index + 1}: ${error.message}`);
+    }
+  });
+
+  const productNodes = nodes.filter(node => hasType(node, PRODUCT_TYPES));
+  // Prefer the Product node that actually carries offers
+  const product = productNodes.find(node => node.offers) || productNodes[0] || null;
+  const breadcrumbList = nodes.find(node => hasType(node, ['BreadcrumbList'])) || null;
+
+  const microdata = (raw.microdata || []).find(item => hasType(item, PRODUCT_TYPES)) || null;
+  const meta = raw.meta || {};
+
+  // JSON-LD wins, then microdata, then OpenGraph
+  const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '') || null;
+
+  let offer = normalizeOffers(product && product.offers, options)
+    || normalizeOffers(microdata && microdata.offers, options);
+
+  if (!offer && (meta['product:price:amount'] || meta['og:price:amount'])) {
+    offer = normalizeOffers({
+      price: meta['product:price:amount'] || meta['og:price:amount'],
+      priceCurrency: meta['product:price:currency'] || meta['og:price:currency'],
+      availability: meta['product:availability'] || meta['og:availability']
+    }, options);
+  }
+
+  const images = toImageUrls(product && product.image);
+
+  // schema.org height/width/depth: text ("78 cm") or QuantitativeValue, parsed later by lib/dimensions.js
+  const dimensionEntries = ['height', 'width', 'depth']
+    .map(key => [key, pick(product && product[key], microdata && microdata[key])])
+    .filter(([, value]) => value !== null);
+
+  return {
+    product,
+    breadcrumbList,
+    microdata,
+    openGraph: meta,
+    name: pick(product && product.name, microdata && microdata.name, meta['og:title']),
+    description: pick(product && product.description, microdata && microdata.description, meta['og:description']),
+    sku: pick(product && product.sku, product && product.productID, microdata && microdata.sku),
+    brand: pick(toName(product && product.brand), toName(microdata && microdata.brand), meta['product:brand']),
+    manufacturer: pick(toName(product && product.manufacturer), toName(microdata && microdata.manufacturer)),
+    url: pick(product && product.url, meta['og:url']),
+    images: images.length > 0
+      ? images
+      : toImageUrls(microdata && microdata.image).concat(toImageUrls(meta['og:image'])),
+    dimensions: dimensionEntries.length > 0 ? Object.fromEntries(dimensionEntries) : null,
+    breadcrumbs: toBreadcrumbNames(breadcrumbList),
+    offer,
+    sources: {
+      jsonLd: nodes.length,
+      microdata: Boolean(microdata),
+      openGraph: Object.keys(meta).length > 0
+    },
+    errors
+  };
+}
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { BaseAdapter } from './base-adapter.js';
+import { extractStructuredData } from './helpers/structured-data.js';
+import { FieldExtractor, extractField, getPath } from './helpers/field-chain.js';
+import { normalizeAvailability } from '../lib/product-schema.js';
+
+// Directory holding the bundled selector recipes
+export const RECIPES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'recipes');
+
+// Extensions recognised as recipe files
+const RECIPE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Load a single recipe file (JSON or YAML)
+ * @param {string} filePath - Path to the recipe file
+ * @returns {Object} The parsed and validated recipe
+ * @throws {Error} If the file cannot be parsed or is missing required keys
+ */
+export function loadRecipe(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let recipe;
+  try {
+    recipe = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid recipe ${filePath}: ${error.message}`);
+  }
+
+  validateRecipe(recipe, filePath);
+  return recipe;
+}
+
+/**
+ * Load every recipe file in a directory
+ * @param {string} dir - Directory to read recipes from
+ * @returns {Array<Object>} Array of parsed recipes
+ */
+export function loadRecipes(dir = RECIPES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => RECIPE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => loadRecipe(path.join(dir, file)));
+}
+
+/**
+ * Register an adapter for every recipe in a directory
+ * @param {AdapterRegistry} registry - The registry to add the recipes to
+ * @param {string} dir - Directory to read recipes from
+ */
+export function registerRecipes(registry, dir = RECIPES_DIR) {
+  for (const recipe of loadRecipes(dir)) {
+    registry.register({
+      name: recipe.retailer,
+      aliases: recipe.aliases || [],
+      countries: recipe.countries || [],
+      languages: recipe.languages || [],
+      metadata: { ...recipe.metadata, source: 'recipe' },
+      hosts: recipe.hosts || [],
+      productUrlPattern: recipe.productUrlPattern ? new RegExp(recipe.productUrlPattern) : null,
+      // Recipes pick country/language out of the path with named groups
+      parseUrl: recipe.urlPattern
+        ? urlObj => (urlObj.pathname.match(new RegExp(recipe.urlPattern)) || {}).groups || {}
+        : null,
+      create: options => new RecipeAdapter(recipe, options.country, options.language)
+    });
+  }
+}
+
+/**
+ * Check that a recipe has everything the adapter needs
+ * @param {Object} recipe - The parsed recipe
+ * @param {string} source - Where the recipe came from (for error messages)
+ * @throws {Error} If a required key is missing
+ */
+function validateRecipe(recipe, source) {
+  if (!recipe || typeof recipe !== 'object') {
+    throw new Error(`Invalid recipe ${source}: expected an object`);
+  }
+
+  const missing = [];
+  if (!recipe.retailer) missing.push('retailer');
+  if (!recipe.baseUrl) missing.push('baseUrl');
+  if (!Array.isArray(recipe.categories)) missing.push('categories');
+  if (!recipe.productLinks || !recipe.productLinks.selector) missing.push('productLinks.selector');
+  if (!recipe.fields || !recipe.fields.name) missing.push('fields.name');
+
+  if (missing.length > 0) {
+    throw new Error(`Invalid recipe ${source}: missing ${missing.join(', ')}`);
+  }
+
+  if (recipe.baseUrl.includes('{baseUrl}')) {
+    throw new Error(`Invalid recipe ${source}: baseUrl can't use the {baseUrl} placeholder`);
+  }
+
+  if (recipe.categoryMappings !== undefined && (typeof recipe.categoryMappings !== 'object' || Array.isArray(recipe.categoryMappings))) {
+    throw new Error(`Invalid recipe ${source}: categoryMappings must map URL segments or breadcrumb names to categories`);
+  }
+
+  if (recipe.version !== undefined && !(Number.isInteger(recipe.version) && recipe.version > 0)) {
+    throw new Error(`Invalid recipe ${source}: version must be a positive integer`);
+  }
+}
+
+/**
+ * Recipe Adapter
+ *
+ * This adapter scrapes a retailer described entirely by a declarative recipe:
+ * category URLs, link selectors, a pagination strategy, field selectors with
+ * ordered fallbacks and product ID patterns.
+ */
+export class RecipeAdapter extends BaseAdapter {
+  /**
+   * @param {Object} recipe - Parsed recipe (see adapters/recipes/)
+   * @param {string} country - Country code, defaults to the recipe's default
+   * @param {string} language - Language code, defaults to the recipe's default
+   */
+  constructor(recipe, country, language) {
+    super();
+    const defaults = recipe.defaults || {};
+    this.recipe = recipe;
+    this.country = country || defaults.country || 'ca';
+    this.language = language || defaults.language || 'en';
+    // {baseUrl} expands to this, so the base URL itself can only use {country} and {language}
+    this.baseUrl = recipe.baseUrl
+      .replace(/\{country\}/g, this.country)
+      .replace(/\{language\}/g, this.language);
+  }
+
+  /**
+   * Substitute {country}, {language} and {baseUrl} placeholders in a recipe string
+   * @param {string} template - String containing placeholders
+   * @returns {string} The expanded string
+   */
+  expand(template) {
+    return template
+      .replace(/\{country\}/g, this.country)
+      .replace(/\{language\}/g, this.language)
+      .replace(/\{baseUrl\}/g, this.baseUrl);
+  }
+
+  /**
+   * Get retailer name
+   * @returns {string} The retailer name
+   */
+  getRetailerName() {
+    return this.recipe.retailer;
+  }
+
+  /**
+   * Get the version of this recipe's extraction logic
+   * @returns {number} The recipe's `version`, 1 if it doesn't declare one
+   */
+  getExtractorVersion() {
+    return this.recipe.version || 1;
+  }
+
+  /**
+   * Get default categories to scrape
+   * @returns {Array<Object>} Array of category objects with name and url
+   */
+  getCategories() {
+    return this.recipe.categories.map(category => ({
+      name: category.name,
+      url: this.expand(category.url)
+    }));
+  }
+
+  /**
+   * Get the mapping of this retailer's categories onto the shared taxonomy
+   * @returns {Object} The recipe's `categoryMappings`: URL segment or breadcrumb name -> taxonomy category path
+   */
+  getCategoryMappings() {
+    return this.recipe.categoryMappings || {};
+  }
+
+  /**
+   * Extract product links from a category page
+   * @param {Page} page - Playwright page object
+   * @param {string} url - The category URL to scrape
+   * @returns {Promise<Array<string>>} Array of product URLs
+   */
+  async extractProductLinksFromCategory(page, url) {
+    const { productLinks } = this.recipe;
+
+    // Don't reload the page when pagination has already brought us here
+    if (page.url() !== url) {
+      await page.goto(url, { waitUntil: productLinks.waitUntil || 'networkidle' });
+    }
+
+    const links = await page.$$eval(productLinks.selector, links =>
+      links.map(link => link.href)
+    ).catch(() => []);
+
+    // Optionally keep only links containing a given substring
+    const filtered = productLinks.hrefIncludes
+      ? links.filter(href => href.includes(this.expand(productLinks.hrefIncludes)))
+      : links;
+
+    return [...new Set(filtered)];
+  }
+
+  /**
+   * Handle pagination for a category page using the recipe's strategy
+   * @param {Page} page - Playwright page object
+   * @returns {Promise<boolean>} True if there's a next page, false otherwise
+   */
+  async goToNextPage(page) {
+    const pagination = this.recipe.pagination || { strategy: 'none' };
+
+    switch (pagination.strategy) {
+      case 'next-button': {
+        const nextButton = await page.$(pagination.selector);
+        if (nextButton && await nextButton.isVisible()) {
+          await nextButton.click();
+          await page.waitForLoadState(pagination.waitUntil || 'networkidle');
+          return true;
+        }
+        return false;
+      }
+
+      case 'load-more': {
+        const loadMoreButton = await page.$(pagination.selector);
+        if (!loadMoreButton || !await loadMoreButton.isVisible()) return false;
+
+        const linkSelector = this.recipe.productLinks.selector;
+        const currentCount = await page.$$eval(linkSelector, items => items.length);
+        await loadMoreButton.click();
+        await page.waitForTimeout(pagination.waitMs || 3000);
+        const newCount = await page.$$eval(linkSelector, items => items.length);
+
+        return newCount > currentCount;
+      }
+
+      case 'url-param': {
+        const param = pagination.param || 'page';
+        const nextUrl = new URL(page.url());
+        const currentPage = parseInt(nextUrl.searchParams.get(param) || pagination.firstPage || '1', 10);
+
+        if (pagination.maxPages && currentPage >= pagination.maxPages) return false;
+
+        nextUrl.searchParams.set(param, String(currentPage + 1));
+        await page.goto(nextUrl.toString(), { waitUntil: pagination.waitUntil || 'networkidle' });
+
+        // An empty page means we ran past the last one
+        const count = await page.$$eval(this.recipe.productLinks.selector, items => items.length);
+        return count > 0;
+      }
+
+      case 'none':
+        return false;
+
+      default:
+        throw new Error(`Unknown pagination strategy in ${this.getRetailerName()} recipe: ${pagination.strategy}`);
+    }
+  }
+
+  /**
+   * Work out the product ID from the URL patterns, JSON-LD or a page selector
+   * @param {Page} page - Playwright page object
+   * @param {string} url - The product URL
+   * @param {Object|null} jsonLd - Parsed JSON-LD
+   * @returns {Promise<string>} The product ID, or an empty string
+   */
+  async extractProductId(page, url, jsonLd) {
+    const config = this.recipe.productId || {};
+
+    for (const pattern of config.patterns || []) {
+      const match = url.match(new RegExp(pattern));
+      if (match && match[1]) return match[1];
+    }
+
+    if (config.jsonLd && jsonLd) {
+      const value = getPath(jsonLd, config.jsonLd);
+      if (value) return String(value);
+    }
+
+    if (config.selector) {
+      const { value } = await extractField(page, config.selector, { jsonLd });
+      if (value) return String(value);
+    }
+
+    return '';
+  }
+
+  /**
+   * Extract product data from a product page
+   * @param {Page} page - Playwright page object
+   * @param {string} url - The product URL to scrape
+   * @returns {Promise<Object|null>} Product data object or null if extraction failed
+   */
+  async extractProductData(page, url) {
+    await page.goto(url, { waitUntil: this.recipe.productWaitUntil || 'networkidle' });
+
+    try {
+      // jsonLd selectors read from the page's Product node
+      const structuredData = await extractStructuredData(page);
+      const jsonLd = structuredData.product;
+
+      // Extract every field declared in the recipe, trying its selectors in order
+      const extractor = new FieldExtractor(page, { jsonLd });
+      const fields = {};
+      for (const [field, chain] of Object.entries(this.recipe.fields)) {
+        fields[field] = await extractor.extract(field, chain);
+      }
+
+      const productId = await this.extractProductId(page, url, jsonLd);
+      const slug = new URL(url).pathname.split('/').filter(Boolean).pop().replace(/\.html?$/, '');
+
+      // Without a name and an ID there's nothing worth saving
+      if (!fields.name || !productId) {
+        console.error(`Recipe extraction for ${url} found no name or product ID`);
+        return null;
+      }
+
+      return {
+        fields,
+        jsonLd,
+        structuredData,
+        url,
+        slug,
+        productId,
+        extractionProvenance: extractor.getProvenance()
+      };
+    } catch (error) {
+      console.error(`Error extracting data from ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Transform raw product data into a standardized format for database storage
+   * @param {Object} productData - Raw product data
+   * @returns {Object} Standardized product data
+   */
+  transformProductData(productData) {
+    if (!productData) return null;
+
+    const { fields, jsonLd, structuredData, url, slug, productId, extractionProvenance } = productData;
+
+    const offer = structuredData && structuredData.offer;
+
+    // Recipe fields named after a schema field land in that column, the rest stay in raw_data
+    const images = [].concat(fields.images || fields.imageUrl || [])
+      .filter(image => typeof image === 'string');
+
+    return {
+      retailer: this.getRetailerName(),
+      product_id: productId,
+      name: fields.name,
+      slug: slug,
+      description: typeof fields.description === 'string' ? fields.description : null,
+      price: fields.price != null ? fields.price : offer,
+      price_currency: offer && offer.currency,
+      images: images.length > 0 ? images : (structuredData ? structuredData.images : []),
+      dimensions: fields.dimensions || (structuredData ? structuredData.dimensions : null),
+      breadcrumbs: [].concat(fields.breadcrumbs || (structuredData && structuredData.breadcrumbs) || []),
+      materials: [].concat(fields.materials || []).filter(material => typeof material === 'string'),
+      style: typeof fields.style === 'string' ? fields.style : null,
+      period: typeof fields.period === 'string' ? fields.period : null,
+      condition: typeof fields.condition === 'string' ? fields.condition : null,
+      origin: typeof fields.origin === 'string' ? fields.origin : null,
+      designer: typeof fields.designer === 'string' ? fields.designer : null,
+      maker: typeof fields.maker === 'string' ? fields.maker : (structuredData && structuredData.manufacturer),
+      brand: typeof fields.brand === 'string' ? fields.brand : (structuredData && structuredData.brand),
+      availability: normalizeAvailability(fields.availability || (offer && offer.availability)),
+      raw_data: {
+        ...fields,
+        jsonLd,
+        url,
+        extractionMethod: 'recipe',
+        extractionProvenance
+      },
+      url: url
+    };
+  }
+}
@@ -1,4 +1,8 @@
 import { BaseAdapter } from '../base-adapter.js';
+import { extractStructuredData } from '../helpers/structured-data.js';
+import { extractGalleryImages } from '../helpers/gallery.js';
+import { FieldExtractor } from '../helpers/field-chain.js';
+import { normalizeAvailability } from '../../lib/product-schema.js';
 
 /**
  * Article Adapter
@@ -21,6 +25,14 @@ export class ArticleAdapter extends BaseAdapter {
     return 'Article';
   }
 
+  /**
+   * Get the version of this adapter's extraction logic
+   * @returns {number} The extractor version
+   */
+  getExtractorVersion() {
+    return 5;
+  }
+
   /**
    * Get default categories to scrape
    * @returns {Array<Object>} Array of category objects with name and url
@@ -134,77 +146,68 @@ export class ArticleAdapter extends BaseAdapter {
     await page.goto(url, { waitUntil: 'networkidle' });
     
     try {
-      // Try to extract JSON-LD data
-      const jsonLd = await page.$eval(
-        'script[type="application/ld+json"]', 
-        el => JSON.parse(el.textContent)
-      );
+      // Collect JSON-LD, microdata and OpenGraph data
+      const structuredData = await extractStructuredData(page);
+      const jsonLd = structuredData.product;
       
-      // Get product URL slug
-      const slug = new URL(url).pathname.split('/').pop();
+      // Prefer structured data, fall back to DOM selectors when it's missing
+      const extractor = new FieldExtractor(page);
+      const name = await extractor.extract('name', [
+        { value: structuredData.name, label: 'structured-data' },
+        { selector: '[data-testid="product-detail-title"]' }
+      ]);
+      const price = await extractor.extract('price', [
+        { value: structuredData.offer, label: 'structured-data' },
+        { selector: '[data-testid="product-detail-price"]' }
+      ]);
+      const description = await extractor.extract('description', [
+        { value: structuredData.description, label: 'structured-data' },
+        { selector: '[data-testid="product-detail-description"]' }
+      ]);
+      const dimensions = await extractor.extract('dimensions', [
+        { value: structuredData.dimensions, label: 'structured-data' },
+        { selector: '[data-testid="product-detail-dimensions"] li', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const breadcrumbs = await extractor.extract('breadcrumbs', [
+        { value: structuredData.breadcrumbs, label: 'structured-data' },
+        { selector: 'nav[aria-label="Breadcrumb" i] li', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const images = await extractor.extract('images', [
+        { run: page => extractGalleryImages(page, '[data-testid="product-image-gallery"] img'), label: 'gallery' },
+        { value: structuredData.images, label: 'structured-data' }
+      ]);
       
-      // Extract Article ID from URL or product data
-      let productId = '';
-      if (jsonLd && jsonLd.sku) {
-        productId = jsonLd.sku;
-      } else {
-        // Try to extract from URL
-        const urlParts = url.split('/');
-        productId = urlParts[urlParts.length - 1];
+      if (!name) {
+        throw new Error('No product name found');
       }
       
-      // If still no product ID, try getting it from the DOM
-      if (!productId) {
-        productId = await page.$eval('[data-testid="product-detail-sku"]', el => el.textContent.trim()).catch(() => '');
-      }
+      // Get product URL slug
+      const slug = new URL(url).pathname.split('/').pop();
+      
+      // Extract Article ID from product data, the URL or the DOM
+      const productId = await extractor.extract('productId', [
+        { value: structuredData.sku, label: 'structured-data' },
+        { value: slug, label: 'url' },
+        { selector: '[data-testid="product-detail-sku"]' },
+        { value: `article-${Date.now()}`, label: 'generated' }
+      ]);
       
       return {
         jsonLd,
+        structuredData,
+        name,
+        price,
+        dimensions,
+        breadcrumbs,
+        images,
+        description,
         url,
         slug,
-        productId
+        productId,
+        extractionProvenance: extractor.getProvenance()
       };
     } catch (error) {
-      console.error(`Error extracting JSON-LD from ${url}:`, error.message);
-      
-      // Fallback method for when JSON-LD is not available
-      try {
-        console.log('Attempting fallback extraction method...');
-        
-        // Extract using DOM selectors
-        const name = await page.$eval('[data-testid="product-detail-title"]', el => el.textContent.trim()).catch(() => '');
-        const price = await page.$eval('[data-testid="product-detail-price"]', el => el.textContent.trim()).catch(() => '');
-        const description = await page.$eval('[data-testid="product-detail-description"]', el => el.textContent.trim()).catch(() => '');
-        
-        // Get slug from URL
-        const url_obj = new URL(url);
-        const pathParts = url_obj.pathname.split('/');
-        const slug = pathParts[pathParts.length - 1];
-        
-        // Get product ID from URL or SKU element
-        let productId = await page.$eval('[data-testid="product-detail-sku"]', el => el.textContent.trim()).catch(() => '');
-        if (!productId) {
-          productId = slug || `article-${Date.now()}`;
-        }
-        
-        if (name) {
-          const manualData = {
-            manualExtraction: true,
-            url,
-            slug,
-            productId,
-            name,
-            price,
-            description
-          };
-          
-          console.log(`Successfully extracted data manually: ${name}`);
-          return manualData;
-        }
-      } catch (fallbackError) {
-        console.error(`Fallback extraction failed for ${url}:`, fallbackError.message);
-      }
-      
+      console.error(`Error extracting data from ${url}:`, error.message);
       return null;
     }
   }
@@ -217,44 +220,53 @@ export class ArticleAdapter extends BaseAdapter {
   transformProductData(productData) {
     if (!productData) return null;
     
-    // Handle data from JSON-LD extraction
-    if (productData.jsonLd) {
-      const { jsonLd, url, slug, productId } = productData;
-      
-      return {
-        retailer: this.getRetailerName(),
-        product_id: productId,
-        name: jsonLd.name || '',
-        slug: slug,
-        price: jsonLd.offers ? JSON.stringify(jsonLd.offers) : null,
-        raw_data: jsonLd,
-        url: url
-      };
-    }
-    
-    // Handle data from manual extraction
-    if (productData.manualExtraction) {
-      const { url, slug, productId, name, price, description } = productData;
-      
-      const rawData = {
-        name,
-        price,
-        description,
+    const { jsonLd, structuredData, name, price, description, dimensions, breadcrumbs, images, url, slug, productId, extractionProvenance } = productData;
+    const offer = structuredData && structuredData.offer;
+
+    return {
+      retailer: this.getRetailerName(),
+      product_id: productId,
+      name: name,
+      slug: slug,
+      description: description,
+      // Structured data gives a normalized offer, the DOM fallback a price string
+      price: price,
+      price_currency: offer && offer.currency,
+      images: images || [],
+      dimensions: dimensions,
+      breadcrumbs: breadcrumbs,
+      // Canonicalized by lib/designers.js
+      brand: structuredData && structuredData.brand,
+      maker: structuredData && structuredData.manufacturer,
+      availability: normalizeAvailability(offer && offer.availability),
+      raw_data: {
+        jsonLd,
         url,
-        extractionMethod: 'manual'
-      };
-      
-      return {
-        retailer: this.getRetailerName(),
-        product_id: productId,
-        name: name,
-        slug: slug,
-        price: JSON.stringify({ price }),
-        raw_data: rawData,
-        url: url
-      };
-    }
-    
-    return null;
+        extractionMethod: extractionProvenance.name.status === 'primary' ? 'structured-data' : 'manual',
+        extractionProvenance
+      },
+      url: url
+    };
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Register this adapter with the adapter registry
+ * @param {AdapterRegistry} registry - The registry to add this adapter to
+ */
+export function register(registry) {
+  registry.register({
+    name: 'Article',
+    aliases: ['article.com'],
+    hosts: ['article.com'],
+    productUrlPattern: /\/product\//,
+    countries: ['ca', 'us'],
+    languages: ['en'],
+    metadata: {
+      description: 'Article modern furniture',
+      homepage: 'https://www.article.com',
+      status: 'example'
+    },
+    create: options => new ArticleAdapter(options.country, options.language)
+  });
+}
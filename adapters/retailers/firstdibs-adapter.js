@@ -1,4 +1,10 @@
 import { BaseAdapter } from '../base-adapter.js';
+import { extractStructuredData } from '../helpers/structured-data.js';
+import { extractGalleryImages } from '../helpers/gallery.js';
+import { FieldExtractor } from '../helpers/field-chain.js';
+import { normalizeAvailability } from '../../lib/product-schema.js';
+import { breadcrumbsFromPath } from '../../lib/breadcrumbs.js';
+import { parseCreators } from '../../lib/designers.js';
 import pLimit from 'p-limit';
 
 /**
@@ -14,6 +20,9 @@ export class FirstDibsAdapter extends BaseAdapter {
     this.baseUrl = `https://www.1stdibs.com`;
     // Concurrency settings
     this.concurrency = concurrency;
+    // Retry settings used by retry() and delay()
+    this.retryAttempts = 3;
+    this.retryDelay = 2000;
   }
 
   /**
@@ -24,6 +33,14 @@ export class FirstDibsAdapter extends BaseAdapter {
     return '1stDibs';
   }
 
+  /**
+   * Get the version of this adapter's extraction logic
+   * @returns {number} The extractor version
+   */
+  getExtractorVersion() {
+    return 7;
+  }
+
   /**
    * Get default categories to scrape
    * @returns {Array<Object>} Array of category objects with name and url
@@ -56,6 +73,19 @@ export class FirstDibsAdapter extends BaseAdapter {
       // }
     ];
   }
+
+  /**
+   * Get the mapping of this retailer's categories onto the shared taxonomy
+   * @returns {Object} URL segment or breadcrumb name -> taxonomy category path
+   */
+  getCategoryMappings() {
+    return {
+      'storage-case-pieces': 'Storage',
+      'bedroom-sets': 'Bedroom',
+      'vanities': 'Bedroom',
+      'dining-room-sets': 'Tables > Dining Tables'
+    };
+  }
   
   /**
    * Delay helper to avoid rate limiting
@@ -410,62 +440,34 @@ export class FirstDibsAdapter extends BaseAdapter {
       const productId = productIdMatch ? productIdMatch[1] : pathParts[pathParts.length - 1];
       const slug = pathParts[pathParts.length - 1] || productId;
       
+      // Fields below are extracted through fallback chains so we know which selector won
+      const extractor = new FieldExtractor(page);
+      
       // 1. Extract the first image URL using the specific selector
       console.log('Extracting first image URL...');
       
-      // Let's use retry logic for image extraction
-      const firstImageUrl = await this.retry(async () => {
-        // Try multiple selectors with fallbacks
-        try {
-          const mainImage = await page.$eval('[data-tn="pdp-image-carousel-image-1"] figure picture img', img => img.src);
-          return mainImage;
-        } catch (error) {
-          console.log('Primary image selector failed, trying fallback 1...');
-          try {
-            const fallback1 = await page.$eval('[data-tn="pdp-image-carousel-image-1"] img', img => img.src);
-            return fallback1;
-          } catch (error) {
-            console.log('Fallback 1 failed, trying fallback 2...');
-            try {
-              const fallback2 = await page.$eval('img[data-tn="product-image"]', img => img.src);
-              return fallback2;
-            } catch (error) {
-              console.log('Fallback 2 failed, trying fallback 3...');
-              try {
-                const fallback3 = await page.$eval('div[data-tn="product-gallery"] img', img => img.src);
-                return fallback3;
-              } catch (error) {
-                console.log('All image selectors failed');
-                // General fallback: any large image on the page
-                const anyImage = await page.$eval('img[src*="width="]', img => img.src)
-                  .catch(() => null);
-                return anyImage;
-              }
-            }
-          }
-        }
-      }).catch(() => null);
+      const firstImageUrl = await extractor.extract('imageUrl', [
+        { selector: '[data-tn="pdp-image-carousel-image-1"] figure picture img', property: 'src' },
+        { selector: '[data-tn="pdp-image-carousel-image-1"] img', property: 'src' },
+        { selector: 'img[data-tn="product-image"]', property: 'src' },
+        { selector: 'div[data-tn="product-gallery"] img', property: 'src' },
+        // General fallback: any large image on the page
+        { selector: 'img[src*="width="]', property: 'src' }
+      ]);
       
       console.log(`Image URL found: ${firstImageUrl || 'None'}`);
       
       // 2. Extract basic product details first
       console.log('Extracting basic product details...');
       
-      // Get name with retry
-      const name = await this.retry(async () => {
-        return await page.$eval('h1', el => el.textContent.trim())
-          .catch(() => 'Unknown Product');
-      });
+      const name = await extractor.extract('name', [
+        { selector: 'h1' }
+      ]) || 'Unknown Product';
       
-      // Get price with retry
-      const price = await this.retry(async () => {
-        return await page.$eval('[data-tn="price-amount"]', el => el.textContent.trim())
-          .catch(async () => {
-            // Fallback price selector
-            return await page.$eval('.price, .product-price', el => el.textContent.trim())
-              .catch(() => 'Price not available');
-          });
-      });
+      const price = await extractor.extract('price', [
+        { selector: '[data-tn="price-amount"]' },
+        { selector: '.price, .product-price' }
+      ]) || 'Price not available';
       
       // 3. Extract the item details section
       console.log('Extracting item details section...');
@@ -493,27 +495,23 @@ export class FirstDibsAdapter extends BaseAdapter {
       
       try {
         // 1. Extract Dimensions
+        // The value sits in a hashed class that 1stDibs renames from time to time,
+        // so fall back to the whole spec row when it stops matching
         const dimensions = {};
-        
-        // Get height
-        const height = await page.$eval('[data-tn="pdp-spec-detail-height"] ._57a9be25', el => el.textContent.trim())
-          .catch(() => null);
-        if (height) dimensions.height = height;
-        
-        // Get width
-        const width = await page.$eval('[data-tn="pdp-spec-detail-width"] ._57a9be25', el => el.textContent.trim())
-          .catch(() => null);
-        if (width) dimensions.width = width;
-        
-        // Get depth
-        const depth = await page.$eval('[data-tn="pdp-spec-detail-depth"] ._57a9be25', el => el.textContent.trim())
-          .catch(() => null);
-        if (depth) dimensions.depth = depth;
-        
-        // Get seat height (if available)
-        const seatHeight = await page.$eval('[data-tn="pdp-spec-detail-secondaryHeight"] ._57a9be25', el => el.textContent.trim())
-          .catch(() => null);
-        if (seatHeight) dimensions.seatHeight = seatHeight;
+        const dimensionFields = {
+          height: 'height',
+          width: 'width',
+          depth: 'depth',
+          seatHeight: 'secondaryHeight'
+        };
+        
+        for (const [field, spec] of Object.entries(dimensionFields)) {
+          const value = await extractor.extract(`dimensions.${field}`, [
+            { selector: `[data-tn="pdp-spec-detail-${spec}"] ._57a9be25` },
+            { selector: `[data-tn="pdp-spec-detail-${spec}"]`, transform: 'collapseWhitespace' }
+          ]);
+          if (value) dimensions[field] = value;
+        }
         
         if (Object.keys(dimensions).length > 0) {
           specifications.dimensions = dimensions;
@@ -521,54 +519,65 @@ export class FirstDibsAdapter extends BaseAdapter {
         }
         
         // 2. Extract Style
-        const style = await page.$eval('[data-tn="pdp-spec-style"] [data-tn="pdp-spec-detail-style"]', el => el.textContent.trim())
-          .catch(() => null);
+        const style = await extractor.extract('style', [
+          { selector: '[data-tn="pdp-spec-style"] [data-tn="pdp-spec-detail-style"]' },
+          { selector: '[data-tn="pdp-spec-detail-style"]' }
+        ]);
         if (style) {
           specifications.style = style;
           console.log('  Found style:', style);
         }
         
         // 3. Extract Materials
-        const materialsElements = await page.$$('[data-tn="pdp-spec-detail-material"] ._57a9be25');
-        if (materialsElements.length > 0) {
-          const materials = [];
-          for (const el of materialsElements) {
-            const material = await el.evaluate(node => node.textContent.trim().replace(/,$/,''));
-            materials.push(material);
+        const materials = await extractor.extract('materials', [
+          { selector: '[data-tn="pdp-spec-detail-material"] ._57a9be25', all: true, transform: 'stripTrailingComma' },
+          {
+            selector: '[data-tn="pdp-spec-detail-material"]',
+            transform: value => value.split(',').map(material => material.trim()).filter(Boolean)
           }
+        ]);
+        if (materials) {
           specifications.materials = materials;
           console.log('  Found materials:', materials);
         }
         
         // 4. Extract Place of Origin
-        const origin = await page.$eval('[data-tn="pdp-spec-place-of-origin"] [data-tn="pdp-spec-detail-origin"]', el => el.textContent.trim())
-          .catch(() => null);
+        const origin = await extractor.extract('origin', [
+          { selector: '[data-tn="pdp-spec-place-of-origin"] [data-tn="pdp-spec-detail-origin"]' },
+          { selector: '[data-tn="pdp-spec-detail-origin"]' }
+        ]);
         if (origin) {
           specifications.origin = origin;
           console.log('  Found origin:', origin);
         }
         
         // 5. Extract Period
-        const period = await page.$eval('[data-tn="pdp-spec-period"] [data-tn="pdp-spec-detail-period"]', el => el.textContent.trim())
-          .catch(() => null);
+        const period = await extractor.extract('period', [
+          { selector: '[data-tn="pdp-spec-period"] [data-tn="pdp-spec-detail-period"]' },
+          { selector: '[data-tn="pdp-spec-detail-period"]' }
+        ]);
         if (period) {
           specifications.period = period;
           console.log('  Found period:', period);
         }
         
         // 6. Extract Date of Manufacture
-        const dateOfManufacture = await page.$eval('[data-tn="pdp-spec-date-of-manufacture"] [data-tn="pdp-spec-detail-dateOfManufacture"]', el => el.textContent.trim())
-          .catch(() => null);
+        const dateOfManufacture = await extractor.extract('dateOfManufacture', [
+          { selector: '[data-tn="pdp-spec-date-of-manufacture"] [data-tn="pdp-spec-detail-dateOfManufacture"]' },
+          { selector: '[data-tn="pdp-spec-detail-dateOfManufacture"]' }
+        ]);
         if (dateOfManufacture) {
           specifications.dateOfManufacture = dateOfManufacture;
           console.log('  Found date of manufacture:', dateOfManufacture);
         }
         
         // 7. Extract Condition
-        const condition = await page.$eval('[data-tn="pdp-spec-detail-condition"]', el => el.textContent.trim())
-          .catch(() => null);
-        const conditionDetails = await page.$eval('[data-tn="pdp-spec-detail-conditionDetails"]', el => el.textContent.trim())
-          .catch(() => null);
+        const condition = await extractor.extract('condition', [
+          { selector: '[data-tn="pdp-spec-detail-condition"]' }
+        ]);
+        const conditionDetails = await extractor.extract('conditionDetails', [
+          { selector: '[data-tn="pdp-spec-detail-conditionDetails"]' }
+        ]);
         
         if (condition || conditionDetails) {
           specifications.condition = {
@@ -578,23 +587,34 @@ export class FirstDibsAdapter extends BaseAdapter {
           console.log('  Found condition:', specifications.condition);
         }
         
-        // 8. Extract Seller Location
-        const sellerLocation = await page.$eval('[data-tn="pdp-spec-detail-sellerLocation"]', el => el.textContent.trim())
-          .catch(() => null);
+        // 8. Extract the creators: "George Bighinello (Designer)", "Eurosalotto (Manufacturer)"
+        const creators = await extractor.extract('creators', [
+          { selector: '[data-tn="pdp-spec-detail-creator"]', all: true, transform: 'collapseWhitespace' }
+        ]);
+        if (creators) {
+          specifications.creators = creators;
+          console.log('  Found creators:', creators);
+        }
+        
+        // 9. Extract Seller Location
+        const sellerLocation = await extractor.extract('sellerLocation', [
+          { selector: '[data-tn="pdp-spec-detail-sellerLocation"]' }
+        ]);
         if (sellerLocation) {
           specifications.sellerLocation = sellerLocation;
           console.log('  Found seller location:', sellerLocation);
         }
         
-        // 9. Extract Reference Number
-        const referenceNumber = await page.$eval('[data-tn="pdp-spec-detail-referenceNumber"]', el => el.textContent.trim())
-          .catch(() => null);
+        // 10. Extract Reference Number
+        const referenceNumber = await extractor.extract('referenceNumber', [
+          { selector: '[data-tn="pdp-spec-detail-referenceNumber"]' }
+        ]);
         if (referenceNumber) {
           specifications.referenceNumber = referenceNumber;
           console.log('  Found reference number:', referenceNumber);
         }
         
-        // 10. Extract the full raw HTML of the expanding area for completeness
+        // 11. Extract the full raw HTML of the expanding area for completeness
         const expandingAreaHTML = await page.$eval('[data-tn="expanding-area"]', el => el.outerHTML)
           .catch(() => null);
         if (expandingAreaHTML) {
@@ -602,7 +622,7 @@ export class FirstDibsAdapter extends BaseAdapter {
           console.log('  Captured raw specifications HTML');
         }
         
-        // 11. Also get the text content of the entire expanding area
+        // 12. Also get the text content of the entire expanding area
         const expandingAreaText = await page.$eval('[data-tn="expanding-area"]', el => el.textContent.trim())
           .catch(() => null);
         if (expandingAreaText) {
@@ -655,35 +675,56 @@ export class FirstDibsAdapter extends BaseAdapter {
         }
       }
       
-      // Extract the product description with retry
-      const description = await this.retry(async () => {
-        try {
-          return await page.$eval('[data-tn="pdp-description"] p', el => el.textContent.trim());
-        } catch (error) {
-          console.log('Primary description selector failed, trying fallback...');
-          try {
-            return await page.$eval('.pdp-description, .product-description', el => el.textContent.trim());
-          } catch (error) {
-            console.log('Description fallback failed, trying most general selector...');
-            try {
-              return await page.$eval('p:not(:empty)', el => el.textContent.trim());
-            } catch (error) {
-              return '';
-            }
-          }
-        }
-      }).catch(() => '');
+      // Collect JSON-LD, microdata and OpenGraph data for additional structured information
+      const structuredData = await extractStructuredData(page).catch(() => null);
+      
+      // Extract the product description, keeping its line breaks for the section headings
+      // (a bare `p` fallback used to pick up the header's product id instead)
+      const description = await extractor.extract('description', [
+        { selector: '[data-tn="pdp-item-description-content"]' },
+        { value: specifications.rawSpecificationsText, label: 'rawSpecificationsText' },
+        { selector: '[data-tn="pdp-description"] p' },
+        { value: structuredData && structuredData.description, label: 'structured-data' }
+      ]) || '';
       
       console.log(`Description extracted (${description.length} characters)`);
       if (description) {
         console.log(`Description preview: ${description.substring(0, 100)}...`);
       }
       
-      // Try to extract JSON-LD data for additional structured information
-      const jsonLd = await page.$eval(
-        'script[type="application/ld+json"]', 
-        el => JSON.parse(el.textContent)
-      ).catch(() => null);
+      // Where the item sits in the catalogue; the URL path spells it out too (/furniture/seating/sofas/<slug>/<id>/)
+      const breadcrumbs = await extractor.extract('breadcrumbs', [
+        { value: structuredData && structuredData.breadcrumbs, label: 'structured-data' },
+        { selector: '[data-tn="breadcrumb-item"]', all: true, transform: 'collapseWhitespace' },
+        { value: breadcrumbsFromPath(url, { drop: 2 }), label: 'url' }
+      ]);
+      
+      // Every carousel image, in order; lib/images.js resolves their full size
+      const images = await extractor.extract('images', [
+        { run: page => extractGalleryImages(page, '[data-tn^="pdp-image-carousel-image"] img'), label: 'gallery' },
+        { value: structuredData && structuredData.images, label: 'structured-data' },
+        { value: firstImageUrl ? [firstImageUrl] : null, label: 'imageUrl' }
+      ]);
+      
+      // The dealer's storefront card; lib/sellers.js parses the rating and location
+      const seller = {
+        name: await extractor.extract('sellerName', [
+          { selector: '[data-tn="pdp-seller-name"]', transform: 'collapseWhitespace' },
+          { selector: 'a[href*="/dealers/"]', transform: 'collapseWhitespace' }
+        ]),
+        url: await extractor.extract('sellerUrl', [
+          { selector: 'a[data-tn="pdp-seller-link"]', property: 'href' },
+          { selector: 'a[href*="/dealers/"]', property: 'href' }
+        ]),
+        location: specifications.sellerLocation || null,
+        rating: await extractor.extract('sellerRating', [
+          { selector: '[data-tn="pdp-seller-rating"]', attribute: 'aria-label' },
+          { selector: '[data-tn="pdp-seller-rating"]' }
+        ]),
+        reviewCount: await extractor.extract('sellerReviewCount', [
+          { selector: '[data-tn="pdp-seller-review-count"]' }
+        ])
+      };
       
       // Combine all the extracted data
       return {
@@ -693,9 +734,13 @@ export class FirstDibsAdapter extends BaseAdapter {
         name,
         price,
         imageUrl: firstImageUrl,
+        images,
         description,
         specifications,
-        jsonLd
+        breadcrumbs,
+        seller: Object.values(seller).some(Boolean) ? seller : null,
+        structuredData,
+        extractionProvenance: extractor.getProvenance()
       };
       
     } catch (error) {
@@ -712,21 +757,37 @@ export class FirstDibsAdapter extends BaseAdapter {
   transformProductData(productData) {
     if (!productData) return null;
     
+    const specifications = productData.specifications || {};
+    const offer = productData.structuredData && productData.structuredData.offer;
+    
     // Create the standardized data object
     const transformedData = {
       retailer: this.getRetailerName(),
       product_id: productData.productId,
-      name: productData.name || '',
+      name: productData.name,
       slug: productData.slug,
-      price: productData.price || 'Price not available',
-      description: productData.description || '',
-      image_url: productData.imageUrl || '',
+      description: productData.description || null,
+      // The display price is kept as listed, in the currency 1stDibs chose for the visitor
+      price: productData.price !== 'Price not available' ? productData.price : null,
+      images: productData.images || (productData.imageUrl ? [productData.imageUrl] : []),
+      dimensions: specifications.dimensions || null,
+      materials: [].concat(specifications.materials || []),
+      breadcrumbs: productData.breadcrumbs || [],
+      style: specifications.style || null,
+      period: { period: specifications.period, dateOfManufacture: specifications.dateOfManufacture },
+      // Resolved to an ISO country by lib/geo.js
+      origin: specifications.origin || null,
+      // Graded by lib/condition.js
+      condition: specifications.condition || null,
+      // Canonicalized by lib/designers.js; the title's "by ... for ..." fills in the rest
+      ...parseCreators(specifications.creators),
+      brand: productData.structuredData && productData.structuredData.brand,
+      availability: normalizeAvailability(offer && offer.availability),
+      // Parsed into a seller record by lib/sellers.js
+      seller: productData.seller || (specifications.sellerLocation ? { location: specifications.sellerLocation } : null),
       url: productData.url,
       
-      // Store all the detailed specifications
-      specifications: productData.specifications || {},
-      
-      // Store the full raw data for reference
+      // Store the full raw data (including the specifications not mapped above) for reference
       raw_data: {
         ...productData,
         extractionMethod: 'manual'
@@ -749,7 +810,8 @@ export class FirstDibsAdapter extends BaseAdapter {
       onFailure = () => {},    // Callback when a product processing fails
       onProgress = () => {},   // Callback for overall progress
       maxProducts = Infinity,  // Maximum number of products to process
-      saveDelay = 1000         // Delay between requests to avoid rate limiting
+      saveDelay = 1000,        // Delay between requests to avoid rate limiting
+      snapshotStore = null     // SnapshotStore to archive each product page in
     } = options;
     
     console.log(`Setting up parallel processing with concurrency of ${this.concurrency}`);
@@ -797,10 +859,16 @@ export class FirstDibsAdapter extends BaseAdapter {
           
           if (productData) {
             // Transform the data to standardized format
-            const transformedData = this.transformProductData(productData);
+            const transformedData = this.createProductRecord(productData);
             
             if (transformedData) {
               console.log(`✅ Product ${productNumber}: Successfully processed data`);
+              
+              // Archive the rendered page for later re-extraction
+              if (snapshotStore) {
+                await snapshotStore.savePage(page, transformedData)
+                  .catch(error => console.log(`Warning: Could not save snapshot for product ${productNumber}: ${error.message}`));
+              }
               successCount++;
               results.push(transformedData);
               
@@ -879,4 +947,25 @@ export class FirstDibsAdapter extends BaseAdapter {
     // Return successful results
     return results.filter(Boolean);
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Register this adapter with the adapter registry
+ * @param {AdapterRegistry} registry - The registry to add this adapter to
+ */
+export function register(registry) {
+  registry.register({
+    name: '1stDibs',
+    aliases: ['firstdibs', '1st-dibs', '1st dibs'],
+    hosts: ['1stdibs.com'],
+    productUrlPattern: /\/id-[^/]+/,
+    countries: [],
+    languages: ['en'],
+    metadata: {
+      description: '1stDibs vintage and antique furniture marketplace',
+      homepage: 'https://www.1stdibs.com',
+      status: 'stable'
+    },
+    create: options => new FirstDibsAdapter(options.country, options.language)
+  });
+}
@@ -1,4 +1,8 @@
 import { BaseAdapter } from '../base-adapter.js';
+import { extractStructuredData } from '../helpers/structured-data.js';
+import { extractGalleryImages } from '../helpers/gallery.js';
+import { FieldExtractor } from '../helpers/field-chain.js';
+import { normalizeAvailability } from '../../lib/product-schema.js';
 
 /**
  * IKEA Adapter
@@ -21,6 +25,14 @@ export class IkeaAdapter extends BaseAdapter {
     return 'IKEA';
   }
 
+  /**
+   * Get the version of this adapter's extraction logic
+   * @returns {number} The extractor version
+   */
+  getExtractorVersion() {
+    return 5;
+  }
+
   /**
    * Get default categories to scrape
    * @returns {Array<Object>} Array of category objects with name and url
@@ -50,6 +62,20 @@ export class IkeaAdapter extends BaseAdapter {
     ];
   }
 
+  /**
+   * Get the mapping of this retailer's categories onto the shared taxonomy
+   * @returns {Object} URL segment or breadcrumb name -> taxonomy category path
+   */
+  getCategoryMappings() {
+    return {
+      'beds-bm003': 'Bedroom > Beds',
+      'sofas-fu003': 'Seating > Sofas',
+      'chairs-fu002': 'Seating > Chairs',
+      'tables-desks-fu004': 'Tables',
+      'storage-furniture-st001': 'Storage'
+    };
+  }
+
   /**
    * Extract product links from a category page
    * @param {Page} page - Playwright page object
@@ -93,11 +119,36 @@ export class IkeaAdapter extends BaseAdapter {
     await page.goto(url, { waitUntil: 'networkidle' });
     
     try {
-      // Try to extract JSON-LD data
-      const jsonLd = await page.$eval(
-        'script[type="application/ld+json"]', 
-        el => JSON.parse(el.textContent)
-      );
+      // Collect JSON-LD, microdata and OpenGraph data
+      const structuredData = await extractStructuredData(page);
+      const jsonLd = structuredData.product;
+      
+      // Prefer structured data, fall back to the page itself
+      const extractor = new FieldExtractor(page);
+      const name = await extractor.extract('name', [
+        { value: structuredData.name, label: 'structured-data' },
+        { selector: 'h1', transform: 'collapseWhitespace' }
+      ]);
+      const price = await extractor.extract('price', [
+        { value: structuredData.offer, label: 'structured-data' },
+        { selector: '.pip-price', transform: 'collapseWhitespace' }
+      ]);
+      const dimensions = await extractor.extract('dimensions', [
+        { value: structuredData.dimensions, label: 'structured-data' },
+        { selector: '.pip-product-dimensions__measurement-wrapper', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const breadcrumbs = await extractor.extract('breadcrumbs', [
+        { value: structuredData.breadcrumbs, label: 'structured-data' },
+        { selector: '.bc-breadcrumb__list-item', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const images = await extractor.extract('images', [
+        { run: page => extractGalleryImages(page, '.pip-media-grid__media-container img'), label: 'gallery' },
+        { value: structuredData.images, label: 'structured-data' }
+      ]);
+      
+      if (!name) {
+        throw new Error('No product name found');
+      }
       
       // Get product URL slug
       const slug = new URL(url).pathname.split('/').pop();
@@ -107,18 +158,25 @@ export class IkeaAdapter extends BaseAdapter {
       if (url.includes('/p/')) {
         const urlParts = url.split('/p/')[1].split('/');
         productId = urlParts[1] || urlParts[0];
-      } else if (jsonLd && jsonLd.sku) {
-        productId = jsonLd.sku;
+      } else if (structuredData.sku) {
+        productId = structuredData.sku;
       }
       
       return {
         jsonLd,
+        structuredData,
+        name,
+        price,
+        dimensions,
+        breadcrumbs,
+        images,
         url,
         slug,
-        productId
+        productId,
+        extractionProvenance: extractor.getProvenance()
       };
     } catch (error) {
-      console.error(`Error extracting JSON from ${url}:`, error.message);
+      console.error(`Error extracting data from ${url}:`, error.message);
       return null;
     }
   }
@@ -129,19 +187,60 @@ export class IkeaAdapter extends BaseAdapter {
    * @returns {Object} Standardized product data
    */
   transformProductData(productData) {
-    if (!productData || !productData.jsonLd) return null;
-    
-    const { jsonLd, url, slug, productId } = productData;
+    if (!productData || !productData.name) return null;
     
+    const { jsonLd, structuredData, name, price, dimensions, breadcrumbs, images, url, slug, productId, extractionProvenance } = productData;
+    const offer = structuredData && structuredData.offer;
+
     // Prepare data for insertion
     return {
       retailer: this.getRetailerName(),
       product_id: productId,
-      name: jsonLd.name || '',
+      name: name,
       slug: slug,
-      price: jsonLd.offers ? JSON.stringify(jsonLd.offers) : null,
-      raw_data: jsonLd,
+      description: structuredData && structuredData.description,
+      // Structured data gives a normalized offer, the DOM fallback a price string
+      price: price,
+      price_currency: offer && offer.currency,
+      images: images || [],
+      dimensions: dimensions,
+      breadcrumbs: breadcrumbs,
+      // Canonicalized by lib/designers.js
+      brand: structuredData && structuredData.brand,
+      maker: structuredData && structuredData.manufacturer,
+      availability: normalizeAvailability(offer && offer.availability),
+      raw_data: {
+        jsonLd,
+        url,
+        extractionMethod: extractionProvenance.name.status === 'primary' ? 'structured-data' : 'manual',
+        extractionProvenance
+      },
       url: url
     };
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Register this adapter with the adapter registry
+ * @param {AdapterRegistry} registry - The registry to add this adapter to
+ */
+export function register(registry) {
+  registry.register({
+    name: 'IKEA',
+    hosts: ['ikea.com'],
+    productUrlPattern: /\/p\//,
+    // e.g. /us/en/cat/... -> us/en
+    parseUrl: urlObj => {
+      const [country, language] = urlObj.pathname.split('/').filter(Boolean);
+      return /^[a-z]{2}$/.test(country) && /^[a-z]{2}$/.test(language) ? { country, language } : {};
+    },
+    countries: ['ca', 'us', 'gb', 'ie', 'au', 'de', 'fr', 'se', 'nl', 'it', 'es'],
+    languages: ['en', 'fr', 'de', 'sv', 'nl', 'it', 'es'],
+    metadata: {
+      description: 'IKEA product catalogue',
+      homepage: 'https://www.ikea.com',
+      status: 'stable'
+    },
+    create: options => new IkeaAdapter(options.country, options.language)
+  });
+}
@@ -1,4 +1,8 @@
 import { BaseAdapter } from '../base-adapter.js';
+import { extractStructuredData } from '../helpers/structured-data.js';
+import { extractGalleryImages } from '../helpers/gallery.js';
+import { FieldExtractor } from '../helpers/field-chain.js';
+import { normalizeAvailability } from '../../lib/product-schema.js';
 
 /**
  * Wayfair Adapter
@@ -20,6 +24,14 @@ export class WayfairAdapter extends BaseAdapter {
     return 'Wayfair';
   }
 
+  /**
+   * Get the version of this adapter's extraction logic
+   * @returns {number} The extractor version
+   */
+  getExtractorVersion() {
+    return 5;
+  }
+
   /**
    * Get default categories to scrape
    * @returns {Array<Object>} Array of category objects with name and url
@@ -45,6 +57,19 @@ export class WayfairAdapter extends BaseAdapter {
     ];
   }
 
+  /**
+   * Get the mapping of this retailer's categories onto the shared taxonomy
+   * @returns {Object} URL segment or breadcrumb name -> taxonomy category path
+   */
+  getCategoryMappings() {
+    return {
+      'sofas-c1870557': 'Seating > Sofas',
+      'beds-c1870737': 'Bedroom > Beds',
+      'kitchen-dining-tables-c46129': 'Tables > Dining Tables',
+      'tv-stands-c45583': 'Storage > Media Units'
+    };
+  }
+
   /**
    * Extract product links from a category page
    * @param {Page} page - Playwright page object
@@ -90,68 +115,67 @@ export class WayfairAdapter extends BaseAdapter {
     await page.goto(url, { waitUntil: 'networkidle' });
     
     try {
-      // Try to extract JSON-LD data - most e-commerce sites use this format
-      const jsonLd = await page.$eval(
-        'script[type="application/ld+json"]', 
-        el => JSON.parse(el.textContent)
-      );
+      // Collect JSON-LD, microdata and OpenGraph data
+      const structuredData = await extractStructuredData(page);
+      const jsonLd = structuredData.product;
+      
+      // Prefer structured data, fall back to CSS selectors when it's missing
+      const extractor = new FieldExtractor(page);
+      const name = await extractor.extract('name', [
+        { value: structuredData.name, label: 'structured-data' },
+        { selector: '.ProductDetailInfoBlock-header h1' }
+      ]);
+      const price = await extractor.extract('price', [
+        { value: structuredData.offer, label: 'structured-data' },
+        { selector: '[data-enzyme-id="PriceBlock"]' }
+      ]);
+      // e.g. "Overall: 35'' H x 84'' W x 38'' D"
+      const dimensions = await extractor.extract('dimensions', [
+        { value: structuredData.dimensions, label: 'structured-data' },
+        { selector: '[data-enzyme-id="WeightsAndDimensions"] li', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const breadcrumbs = await extractor.extract('breadcrumbs', [
+        { value: structuredData.breadcrumbs, label: 'structured-data' },
+        { selector: 'nav[aria-label="Breadcrumb" i] li', all: true, transform: 'collapseWhitespace' }
+      ]);
+      const images = await extractor.extract('images', [
+        { run: page => extractGalleryImages(page, '[data-enzyme-id="ProductImageCarousel"] img'), label: 'gallery' },
+        { value: structuredData.images, label: 'structured-data' }
+      ]);
       
       // Get product URL slug
       const slug = new URL(url).pathname.split('/').pop().replace('.html', '');
       
       // Extract Wayfair product ID - you might need to adjust this logic
-      // Look for a product ID in the URL or in the page content
-      let productId = '';
-      
       // Example: Extract from URL like /pdp/product-name-SKU123.html
       const match = url.match(/\/pdp\/.*?-([A-Z0-9]+)\.html/);
-      if (match && match[1]) {
-        productId = match[1];
-      } else if (jsonLd && jsonLd.sku) {
-        productId = jsonLd.sku;
-      }
-      
-      // Alternative: Extract from page content if not found in URL
-      if (!productId) {
+      const productId = await extractor.extract('productId', [
+        { value: match ? match[1] : null, label: 'url' },
+        { value: structuredData.sku, label: 'structured-data' },
         // Example: Try to find a data attribute or element containing the SKU
-        productId = await page.$eval('[data-sku]', el => el.getAttribute('data-sku')).catch(() => '');
+        { selector: '[data-sku]', attribute: 'data-sku' }
+      ]);
+      
+      // If we can't get at least a name and ID, give up
+      if (!name || !productId) {
+        throw new Error('No product name or ID found');
       }
       
       return {
         jsonLd,
+        structuredData,
+        name,
+        price,
+        dimensions,
+        breadcrumbs,
+        images,
         url,
         slug,
-        productId
+        productId,
+        extractionProvenance: extractor.getProvenance()
       };
     } catch (error) {
       console.error(`Error extracting data from ${url}:`, error.message);
-      
-      // Fallback method if JSON-LD is not available
-      try {
-        // Extract product information using CSS selectors
-        const name = await page.$eval('.ProductDetailInfoBlock-header h1', el => el.textContent.trim()).catch(() => '');
-        const price = await page.$eval('[data-enzyme-id="PriceBlock"]', el => el.textContent.trim()).catch(() => '');
-        
-        // Example: Extract from URL
-        const match = url.match(/\/pdp\/.*?-([A-Z0-9]+)\.html/);
-        const productId = match ? match[1] : '';
-        const slug = new URL(url).pathname.split('/').pop().replace('.html', '');
-        
-        // If we can get at least a name and ID, return the data
-        if (name && productId) {
-          return {
-            manualExtraction: true,
-            url,
-            slug,
-            productId,
-            name,
-            price
-          };
-        }
-      } catch (fallbackError) {
-        console.error(`Fallback extraction error for ${url}:`, fallbackError.message);
-      }
-      
       return null;
     }
   }
@@ -164,44 +188,54 @@ export class WayfairAdapter extends BaseAdapter {
   transformProductData(productData) {
     if (!productData) return null;
     
-    // Handle data from JSON-LD extraction
-    if (productData.jsonLd) {
-      const { jsonLd, url, slug, productId } = productData;
-      
-      return {
-        retailer: this.getRetailerName(),
-        product_id: productId,
-        name: jsonLd.name || '',
-        slug: slug,
-        price: jsonLd.offers ? JSON.stringify(jsonLd.offers) : null,
-        raw_data: jsonLd,
-        url: url
-      };
-    }
-    
-    // Handle data from fallback manual extraction
-    if (productData.manualExtraction) {
-      const { url, slug, productId, name, price } = productData;
-      
-      // Create a structured object for the raw_data field
-      const rawData = {
-        name,
-        price,
+    const { jsonLd, structuredData, name, price, dimensions, breadcrumbs, images, url, slug, productId, extractionProvenance } = productData;
+    const offer = structuredData && structuredData.offer;
+
+    return {
+      retailer: this.getRetailerName(),
+      product_id: productId,
+      name: name,
+      slug: slug,
+      description: structuredData && structuredData.description,
+      // Structured data gives a normalized offer, the DOM fallback a price string
+      price: price,
+      price_currency: offer && offer.currency,
+      images: images || [],
+      dimensions: dimensions,
+      breadcrumbs: breadcrumbs,
+      // Canonicalized by lib/designers.js
+      brand: structuredData && structuredData.brand,
+      maker: structuredData && structuredData.manufacturer,
+      availability: normalizeAvailability(offer && offer.availability),
+      raw_data: {
+        jsonLd,
         url,
-        extractionMethod: 'manual'
-      };
-      
-      return {
-        retailer: this.getRetailerName(),
-        product_id: productId,
-        name: name,
-        slug: slug,
-        price: JSON.stringify({ price }),
-        raw_data: rawData,
-        url: url
-      };
-    }
-    
-    return null;
+        extractionMethod: extractionProvenance.name.status === 'primary' ? 'structured-data' : 'manual',
+        extractionProvenance
+      },
+      url: url
+    };
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Register this adapter with the adapter registry
+ * @param {AdapterRegistry} registry - The registry to add this adapter to
+ */
+export function register(registry) {
+  registry.register({
+    name: 'Wayfair',
+    hosts: ['wayfair.ca', 'wayfair.com', 'wayfair.co.uk', 'wayfair.de'],
+    productUrlPattern: /\/pdp\/.*?-[A-Z0-9]+\.html/,
+    // The country is the top-level domain, e.g. wayfair.ca -> ca
+    parseUrl: urlObj => ({ country: urlObj.hostname.replace(/^(www\.)?wayfair\./, '') }),
+    countries: ['ca', 'com', 'co.uk', 'de'],
+    languages: ['en', 'de'],
+    metadata: {
+      description: 'Wayfair online furniture store',
+      homepage: 'https://www.wayfair.com',
+      status: 'example'
+    },
+    create: options => new WayfairAdapter(options.country)
+  });
+}
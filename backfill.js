@@ -0,0 +1,166 @@
+// Furniture Scraper - Backfill Stale Records
+//
+// Usage:
+//   node backfill.js [--retailer NAME] [--results DIR] [--reprocess] [--snapshots-only] [--save]
+//
+// Lists the stored products that were produced by an older extractor version
+// than their adapter's current one, or built with an older product schema. Products are read from Supabase, or from
+// saved result files with --results. With --reprocess they are re-extracted
+// from their latest page snapshot, or re-scraped from their URL when none was
+// archived (unless --snapshots-only). Re-processed products are written to
+// results/backfill-<timestamp>/; with --save they also replace the stored rows.
+import dotenv from 'dotenv';
+import { chromium } from 'playwright';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { findStaleRecords, loadRecordsFromResults, loadRecordsFromSupabase } from './lib/backfill.js';
+import { reextractSnapshot, rescrapeUrl, updateStoredProduct } from './lib/reextract.js';
+import { SnapshotStore, DEFAULT_SNAPSHOT_DIR } from './lib/snapshot-store.js';
+import { AdapterHealthTracker, buildHealthSummary } from './lib/adapter-health.js';
+import { SCHEMA_VERSION } from './lib/product-schema.js';
+
+// Load environment variables
+dotenv.config();
+
+// Constants and configuration
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR;
+const RESULTS_DIR = './results';
+const DELAY_BETWEEN_REQUESTS = parseInt(process.env.DELAY_BETWEEN_REQUESTS || '1500');
+
+/**
+ * Print the stale records grouped by retailer and version
+ * @param {Array<Object>} stale - Result of findStaleRecords()
+ */
+function printStaleRecords(stale) {
+  const groups = new Map();
+  stale.forEach(record => {
+    const key = `${record.retailer} v${record.version} -> v${record.currentVersion}, schema v${record.schemaVersion} -> v${SCHEMA_VERSION}`;
+    groups.set(key, [...(groups.get(key) || []), record]);
+  });
+
+  for (const [key, records] of groups) {
+    console.log(`\n${key}: ${records.length} record(s)`);
+    records.forEach(record => console.log(`  ${record.productId}  ${record.url || ''}`));
+  }
+}
+
+// Main execution
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      retailer: { type: 'string' },
+      results: { type: 'string' },
+      reprocess: { type: 'boolean', default: false },
+      'snapshots-only': { type: 'boolean', default: false },
+      save: { type: 'boolean', default: false }
+    }
+  });
+
+  // Supabase is needed to read the records (unless they come from result files) and to save
+  let supabase = null;
+  if (!options.results || options.save) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('Supabase credentials not set (use --results DIR to read saved result files instead)');
+    }
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  }
+
+  const records = options.results
+    ? await loadRecordsFromResults(options.results, { retailer: options.retailer })
+    : await loadRecordsFromSupabase(supabase, { retailer: options.retailer });
+  const stale = findStaleRecords(records);
+
+  console.log(`${stale.length} of ${records.length} record(s) were produced by an older extractor version or schema`);
+  printStaleRecords(stale);
+
+  if (!options.reprocess || stale.length === 0) return;
+
+  // Create a session directory for the results
+  const startTime = new Date().toISOString();
+  const sessionDir = path.join(RESULTS_DIR, `backfill-${startTime.replace(/[:.]/g, '-')}`);
+  const productsDir = path.join(sessionDir, 'products');
+  await fs.mkdir(productsDir, { recursive: true });
+
+  const store = new SnapshotStore(SNAPSHOT_DIR);
+  const health = new AdapterHealthTracker();
+  const stats = {
+    startTime,
+    staleCount: stale.length,
+    fromSnapshot: 0,
+    rescraped: 0,
+    skippedCount: 0,
+    errorCount: 0,
+    savedCount: 0,
+    endTime: null
+  };
+
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    for (const record of stale) {
+      console.log(`\nBackfilling ${record.retailer} ${record.productId} (v${record.version} -> v${record.currentVersion})`);
+
+      try {
+        const [latest] = await store.list({ retailer: record.retailer, productId: record.productId, latest: true });
+        let product = null;
+
+        if (latest) {
+          product = await reextractSnapshot(browser, await store.load(latest.file));
+          if (product) stats.fromSnapshot++;
+        } else if (options['snapshots-only'] || !record.url) {
+          console.log('  No snapshot archived, skipping');
+          stats.skippedCount++;
+          continue;
+        } else {
+          product = await rescrapeUrl(browser, record.url);
+          if (product) stats.rescraped++;
+          await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_REQUESTS));
+        }
+
+        if (!product) {
+          console.error(`❌ Could not re-process ${record.retailer} ${record.productId}`);
+          health.recordFailure(record.retailer);
+          stats.errorCount++;
+          continue;
+        }
+
+        health.record(product);
+
+        const fileName = `${String(product.product_id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+        await fs.writeFile(path.join(productsDir, fileName), JSON.stringify(product, null, 2));
+
+        if (options.save && await updateStoredProduct(supabase, product)) {
+          stats.savedCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Error backfilling ${record.retailer} ${record.productId}:`, error.message);
+        stats.errorCount++;
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  stats.endTime = new Date().toISOString();
+
+  const summary = { ...stats, health: await buildHealthSummary(health, RESULTS_DIR, sessionDir) };
+  await fs.writeFile(path.join(sessionDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  console.log('\n--- Final Statistics ---');
+  console.log(`✅ Re-extracted from snapshots: ${stats.fromSnapshot} products`);
+  console.log(`✅ Re-scraped: ${stats.rescraped} products`);
+  console.log(`⚠️ Skipped (no snapshot): ${stats.skippedCount} products`);
+  console.log(`❌ Failed: ${stats.errorCount} products`);
+  if (options.save) {
+    console.log(`Updated in Supabase: ${stats.savedCount} products`);
+  }
+  console.log(`Results saved to ${sessionDir}`);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
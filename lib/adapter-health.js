@@ -0,0 +1,224 @@
+/**
+ * Adapter Health Report
+ *
+ * Counts, per adapter and per field, how often the primary selector matched, a
+ * fallback matched, or nothing matched, and compares the rates against earlier
+ * runs so selector drift (e.g. a renamed hashed class) shows up as a warning
+ * instead of silently emptying a field. Products an adapter failed to extract
+ * count as matched by nothing for every field.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+// Provenance statuses recorded by FieldExtractor
+const STATUSES = ['primary', 'fallback', 'none'];
+
+// Default drift detection settings
+const DEFAULT_THRESHOLD = 0.2; // Warn when a rate moves by more than 20 percentage points
+const DEFAULT_HISTORY = 5; // Compare against the last 5 runs
+const MIN_PRODUCTS = 5; // Ignore runs too small to give meaningful rates
+
+/**
+ * Tracks field provenance across a run
+ */
+export class AdapterHealthTracker {
+  constructor() {
+    // retailer -> { products, failures, fields: { field -> { primary, fallback, none } } }
+    this.adapters = {};
+  }
+
+  /**
+   * Get the counts of a retailer, starting them on first use
+   * @param {string} retailer - Retailer name
+   * @returns {Object} { products, failures, fields }
+   */
+  getAdapter(retailer) {
+    return this.adapters[retailer] || (this.adapters[retailer] = { products: 0, failures: 0, fields: {} });
+  }
+
+  /**
+   * Record the provenance of a transformed product
+   * @param {Object} product - Transformed product with raw_data.extractionProvenance
+   */
+  record(product) {
+    if (!product || !product.retailer) return;
+    const provenance = (product.raw_data && product.raw_data.extractionProvenance) || {};
+    this.recordProvenance(product.retailer, provenance);
+  }
+
+  /**
+   * Record a provenance map for one product of a retailer
+   * @param {string} retailer - Retailer name
+   * @param {Object} provenance - Field name -> { status }
+   */
+  recordProvenance(retailer, provenance) {
+    const adapter = this.getAdapter(retailer);
+    adapter.products++;
+
+    for (const [field, { status }] of Object.entries(provenance)) {
+      const counts = adapter.fields[field] || (adapter.fields[field] = { primary: 0, fallback: 0, none: 0 });
+      if (STATUSES.includes(status)) counts[status]++;
+    }
+  }
+
+  /**
+   * Record a product of a retailer that couldn't be extracted or built into a valid record
+   * @param {string} retailer - Retailer name
+   */
+  recordFailure(retailer) {
+    const adapter = this.getAdapter(retailer);
+    adapter.products++;
+    adapter.failures++;
+  }
+
+  /**
+   * Build the report for this run
+   *
+   * Failed products are counted as `none` for every field.
+   * @returns {Object} retailer -> { products, failures, fields: { field -> { counts..., rates } } }
+   */
+  getReport() {
+    const report = {};
+
+    for (const [retailer, { products, failures, fields }] of Object.entries(this.adapters)) {
+      report[retailer] = { products, failures, fields: {} };
+
+      for (const [field, matched] of Object.entries(fields)) {
+        const counts = { ...matched, none: matched.none + failures };
+        const total = counts.primary + counts.fallback + counts.none;
+        const rates = {};
+        STATUSES.forEach(status => {
+          rates[status] = total > 0 ? Number((counts[status] / total).toFixed(3)) : 0;
+        });
+        report[retailer].fields[field] = { ...counts, rates };
+      }
+    }
+
+    return report;
+  }
+}
+
+/**
+ * Load the health reports of earlier runs from their summary.json files
+ * @param {string} resultsDir - Directory holding the session directories
+ * @param {Object} options - { excludeDir, limit }
+ * @returns {Promise<Array<Object>>} Health reports, most recent first
+ */
+export async function loadPreviousReports(resultsDir, { excludeDir = null, limit = DEFAULT_HISTORY } = {}) {
+  let sessions;
+  try {
+    sessions = await fs.readdir(resultsDir);
+  } catch (error) {
+    return [];
+  }
+
+  // Session directories end in a timestamp (scrape-<timestamp>, reextract-<timestamp>), so sort on that
+  const timestampOf = name => name.replace(/^\D*/, '');
+  const candidates = sessions
+    .filter(name => !excludeDir || path.resolve(resultsDir, name) !== path.resolve(excludeDir))
+    .sort((a, b) => timestampOf(b).localeCompare(timestampOf(a)));
+
+  const reports = [];
+  for (const name of candidates) {
+    if (reports.length >= limit) break;
+
+    try {
+      const summary = JSON.parse(await fs.readFile(path.join(resultsDir, name, 'summary.json'), 'utf8'));
+      if (summary.health && summary.health.adapters) {
+        reports.push(summary.health.adapters);
+      }
+    } catch (error) {
+      // No summary, or one written before health reports existed
+    }
+  }
+
+  return reports;
+}
+
+/**
+ * Compare a run's rates with the average of earlier runs
+ * @param {Object} report - Report from AdapterHealthTracker.getReport()
+ * @param {Array<Object>} previousReports - Reports from loadPreviousReports()
+ * @param {Object} options - { threshold }
+ * @returns {Array<Object>} Warnings: { retailer, field, status, current, baseline, message }
+ */
+export function detectDrift(report, previousReports, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const warnings = [];
+
+  for (const [retailer, { products, failures = 0, fields }] of Object.entries(report)) {
+    if (products < MIN_PRODUCTS) continue;
+
+    const history = previousReports
+      .map(previous => previous[retailer])
+      .filter(previous => previous && previous.products >= MIN_PRODUCTS);
+    if (history.length === 0) continue;
+
+    // When every product failed, the run knows no fields: nothing matched the ones earlier runs had
+    const checked = { ...fields };
+    if (failures === products) {
+      history.flatMap(previous => Object.keys(previous.fields)).forEach(field => {
+        checked[field] = { rates: { primary: 0, fallback: 0, none: 1 } };
+      });
+    }
+
+    for (const [field, { rates }] of Object.entries(checked)) {
+      const previousRates = history
+        .map(previous => previous.fields[field])
+        .filter(Boolean)
+        .map(previous => previous.rates);
+      if (previousRates.length === 0) continue;
+
+      const average = status => previousRates.reduce((sum, rates) => sum + rates[status], 0) / previousRates.length;
+
+      // The primary selector matching less often, or nothing matching more often, both mean drift
+      const checks = [
+        { status: 'primary', baseline: average('primary'), change: average('primary') - rates.primary },
+        { status: 'none', baseline: average('none'), change: rates.none - average('none') }
+      ];
+
+      for (const { status, baseline, change } of checks) {
+        if (change > threshold) {
+          warnings.push({
+            retailer,
+            field,
+            status,
+            current: rates[status],
+            baseline: Number(baseline.toFixed(3)),
+            message: `${retailer} ${field}: ${status} rate ${formatRate(rates[status])} vs ${formatRate(baseline)} over the last ${previousRates.length} run(s)`
+          });
+        }
+      }
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Format a rate as a percentage
+ * @param {number} rate - Rate between 0 and 1
+ * @returns {string} e.g. "42%"
+ */
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Build the health section of a session's summary.json and log any warnings
+ * @param {AdapterHealthTracker} tracker - Tracker filled during the run
+ * @param {string} resultsDir - Directory holding the session directories
+ * @param {string} sessionDir - This run's session directory (excluded from history)
+ * @returns {Promise<Object>} { adapters, warnings }
+ */
+export async function buildHealthSummary(tracker, resultsDir, sessionDir) {
+  const adapters = tracker.getReport();
+  const previousReports = await loadPreviousReports(resultsDir, { excludeDir: sessionDir });
+  const warnings = detectDrift(adapters, previousReports);
+
+  if (warnings.length > 0) {
+    console.warn('\n⚠️ Possible selector drift detected:');
+    warnings.forEach(warning => console.warn(`  - ${warning.message}`));
+  }
+
+  return { adapters, warnings };
+}
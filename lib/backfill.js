@@ -0,0 +1,143 @@
+/**
+ * Stale Record Detection
+ *
+ * Finds stored products whose extractor version is older than the current
+ * version of their adapter, or whose schema version is older than the current
+ * product schema, from Supabase or from saved result files.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+import { SCHEMA_VERSION } from './product-schema.js';
+
+// Rows fetched from Supabase per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Get the extractor version a record was produced with
+ * @param {Object} record - Stored product
+ * @returns {number} The version, 0 for records from before versions were stamped
+ */
+export function getRecordVersion(record) {
+  return Number(record.extractor_version) || 0;
+}
+
+/**
+ * Get the product schema version a record was built with
+ * @param {Object} record - Stored product
+ * @returns {number} The version, 0 for records from before the schema was versioned
+ */
+export function getRecordSchemaVersion(record) {
+  return Number(record.schema_version) || 0;
+}
+
+/**
+ * Find the records produced by an older extractor version than their adapter's current one,
+ * or built with an older product schema
+ * @param {Array<Object>} records - Stored products ({ retailer, product_id, url, extractor_version, schema_version })
+ * @returns {Array<Object>} Array of { retailer, productId, url, version, currentVersion, schemaVersion }
+ */
+export function findStaleRecords(records) {
+  const currentVersions = new Map();
+  const stale = [];
+
+  for (const record of records) {
+    if (!currentVersions.has(record.retailer)) {
+      try {
+        currentVersions.set(record.retailer, AdapterFactory.getAdapter(record.retailer).getExtractorVersion());
+      } catch (error) {
+        console.warn(`Skipping ${record.retailer} records: ${error.message}`);
+        currentVersions.set(record.retailer, null);
+      }
+    }
+
+    const currentVersion = currentVersions.get(record.retailer);
+    const version = getRecordVersion(record);
+    const schemaVersion = getRecordSchemaVersion(record);
+
+    if (currentVersion !== null && (version < currentVersion || schemaVersion < SCHEMA_VERSION)) {
+      stale.push({
+        retailer: record.retailer,
+        productId: record.product_id,
+        url: record.url,
+        version,
+        currentVersion,
+        schemaVersion
+      });
+    }
+  }
+
+  return stale;
+}
+
+/**
+ * Load the stored products from Supabase
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Object} options - { retailer }
+ * @returns {Promise<Array<Object>>} Array of { retailer, product_id, url, extractor_version, schema_version }
+ * @throws {Error} If the query fails
+ */
+export async function loadRecordsFromSupabase(supabase, { retailer } = {}) {
+  const records = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('products')
+      .select('retailer, product_id, url, extractor_version, schema_version')
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (retailer) query = query.eq('retailer', retailer);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Error loading products from Supabase: ${error.message}`);
+    }
+
+    records.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return records;
+}
+
+/**
+ * Load the products saved in result session directories (any `products/` folder below a directory)
+ *
+ * When a product was saved more than once, the copy from the latest session wins.
+ * @param {string} resultsDir - A results directory or a single session directory
+ * @param {Object} options - { retailer }
+ * @returns {Promise<Array<Object>>} The saved products
+ */
+export async function loadRecordsFromResults(resultsDir, { retailer } = {}) {
+  const records = new Map();
+
+  // Session directories end in a timestamp, so sorting on it visits older sessions first
+  const timestampOf = name => name.replace(/^\D*/, '');
+
+  const walk = async dir => {
+    const entries = (await fs.readdir(dir, { withFileTypes: true }))
+      .sort((a, b) => timestampOf(a.name).localeCompare(timestampOf(b.name)));
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.name !== 'products') {
+        await walk(entryPath);
+        continue;
+      }
+
+      for (const file of (await fs.readdir(entryPath)).filter(name => name.endsWith('.json'))) {
+        const record = JSON.parse(await fs.readFile(path.join(entryPath, file), 'utf8'));
+        if (!record.retailer || !record.product_id) continue;
+        if (retailer && record.retailer !== retailer) continue;
+
+        records.set(`${record.retailer}/${record.product_id}`, record);
+      }
+    }
+  };
+
+  await walk(resultsDir);
+  return [...records.values()];
+}
@@ -0,0 +1,76 @@
+/**
+ * Breadcrumbs
+ *
+ * Where a product sits in the retailer's navigation, as an ordered list of
+ * names, outermost first: ["Furniture", "Seating", "Sofas"]. Adapters read it
+ * from BreadcrumbList JSON-LD, the page's breadcrumb links, or failing those
+ * the category part of the product URL (breadcrumbsFromPath()).
+ */
+
+// Crumbs that lead back to the front page rather than a category
+const HOME_PATTERN = /^(home|homepage|start|accueil|startseite|hem|inicio)$/i;
+
+/**
+ * Turn a URL slug into a name
+ * @param {string} segment - e.g. "dining-room-chairs"
+ * @returns {string} e.g. "Dining Room Chairs"
+ */
+function humanize(segment) {
+  return decodeURIComponent(segment)
+    .replace(/\.html?$/i, '')
+    .replace(/[-_]+/g, ' ')
+    .trim()
+    .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Build a breadcrumb trail from the category segments of a product URL
+ * @param {string} url - Product URL
+ * @param {Object} options - { skip, drop }: leading and trailing segments that aren't categories
+ *   (a locale prefix, the product slug and id)
+ * @returns {Array<string>} The trail, e.g. ["Furniture", "Seating", "Sofas"]; empty if there is none
+ */
+export function breadcrumbsFromPath(url, { skip = 0, drop = 1 } = {}) {
+  let segments;
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+
+  return segments.slice(skip, Math.max(skip, segments.length - drop)).map(humanize).filter(Boolean);
+}
+
+/**
+ * Tidy a breadcrumb trail
+ *
+ * Whitespace is collapsed, the link back to the front page is dropped, and
+ * so is a last crumb naming the product itself.
+ * @param {Array<string>|string|null} breadcrumbs - Trail as extracted
+ * @param {string} [productName] - Name of the product
+ * @returns {Array<string>} The trail, outermost first
+ */
+export function normalizeBreadcrumbs(breadcrumbs, productName = null) {
+  const trail = [].concat(breadcrumbs || [])
+    .filter(crumb => typeof crumb === 'string')
+    .map(crumb => crumb.replace(/\s+/g, ' ').replace(/^[\s/>›»]+|[\s/>›»]+$/g, ''))
+    .filter(Boolean)
+    .filter((crumb, index, all) => index === 0 || crumb !== all[index - 1]);
+
+  if (trail.length > 0 && HOME_PATTERN.test(trail[0])) trail.shift();
+
+  if (productName && trail.length > 0 && trail[trail.length - 1].toLowerCase() === productName.trim().toLowerCase()) {
+    trail.pop();
+  }
+
+  return trail;
+}
+
+/**
+ * Tidy a record's breadcrumb trail
+ * @param {Object} record - Transformed product record
+ * @returns {Object} The record with its breadcrumbs normalized
+ */
+export function normalizeRecordBreadcrumbs(record) {
+  return { ...record, breadcrumbs: normalizeBreadcrumbs(record.breadcrumbs, record.name) };
+}
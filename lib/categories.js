@@ -0,0 +1,225 @@
+/**
+ * Category Taxonomy
+ *
+ * Maps products onto one hierarchical taxonomy shared by every retailer
+ * (data/categories.json), so "all dining chairs" can be browsed whatever
+ * the retailer calls them. Each category path lists the keywords that
+ * identify it:
+ *
+ *   { "Seating": ["seating"], "Seating > Dining Chairs": ["dining chair", "side chair"] }
+ *
+ * A product is classified from, in order of trust: the retailer's
+ * breadcrumb, its own URL path, the category URL it was crawled from and
+ * its title. Each of these is first looked up in the adapter's mapping table
+ * (getCategoryMappings(), for retailer ids like IKEA's "sofas-fu003"), then
+ * searched for keywords. The first category found wins, unless a later
+ * source narrows it down to one of its subcategories.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Taxonomy shipped with the scraper
+export const DEFAULT_TAXONOMY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'categories.json');
+
+// Where a product's category was found, most trusted first
+export const CATEGORY_SOURCES = ['breadcrumb', 'url', 'category-url', 'title'];
+
+// Separator between the levels of a category path
+const SEPARATOR = ' > ';
+
+/**
+ * Reduce text to lowercase words separated by single spaces
+ * @param {string} text - Breadcrumb, URL segment or title
+ * @returns {string} The words of the text
+ */
+function toWords(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a URL into its path segments, without file extensions
+ * @param {string} url - Absolute URL or path
+ * @returns {Array<string>} Path segments, outermost first
+ */
+function pathSegments(url) {
+  if (!url) return [];
+
+  let pathname;
+  try {
+    pathname = new URL(url, 'https://example.com').pathname;
+  } catch (error) {
+    return [];
+  }
+
+  return pathname
+    .split('/')
+    .map(segment => decodeURIComponent(segment).replace(/\.html?$/i, ''))
+    .filter(Boolean);
+}
+
+/**
+ * A hierarchical category taxonomy with the keywords of each category
+ */
+export class CategoryTaxonomy {
+  /**
+   * @param {Object} taxonomy - Category path ("Seating > Sofas") -> array of keywords
+   * @throws {Error} If a category has no parent in the taxonomy or its keywords aren't strings
+   */
+  constructor(taxonomy = {}) {
+    this.categories = Object.keys(taxonomy);
+    this.keywords = [];
+
+    for (const [category, keywords] of Object.entries(taxonomy)) {
+      const parent = category.split(SEPARATOR).slice(0, -1).join(SEPARATOR);
+      if (parent && !(parent in taxonomy)) {
+        throw new Error(`Category "${category}" has no parent "${parent}" in the taxonomy`);
+      }
+
+      if (!Array.isArray(keywords) || !keywords.every(keyword => typeof keyword === 'string')) {
+        throw new Error(`Keywords of the category "${category}" must be a list of strings`);
+      }
+
+      for (const keyword of keywords) {
+        const words = toWords(keyword);
+        this.keywords.push({
+          category,
+          depth: category.split(SEPARATOR).length,
+          length: words.length,
+          // Plurals count too ("sofas", "benches")
+          pattern: new RegExp(`\\b${words.replace(/ /g, ' ?')}(?:s|es)?\\b`)
+        });
+      }
+    }
+  }
+
+  /**
+   * Load a taxonomy from a JSON file
+   * @param {string} file - Path to the taxonomy
+   * @returns {CategoryTaxonomy} The taxonomy
+   * @throws {Error} If the file can't be read or is malformed
+   */
+  static load(file = DEFAULT_TAXONOMY_FILE) {
+    let taxonomy;
+    try {
+      taxonomy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the category taxonomy from ${file}: ${error.message}`);
+    }
+    return new CategoryTaxonomy(taxonomy);
+  }
+
+  /**
+   * Find the category whose keywords match a piece of text
+   *
+   * The deepest category wins, then the longest keyword, then the earliest
+   * match, so "Teak Dining Table" is a dining table rather than a table.
+   * @param {string} text - Breadcrumb, URL path or title
+   * @returns {string|null} The category path, or null if no keyword matched
+   */
+  matchKeywords(text) {
+    const words = toWords(text);
+    if (!words) return null;
+
+    let best = null;
+    for (const { category, depth, length, pattern } of this.keywords) {
+      const match = words.match(pattern);
+      if (!match) continue;
+
+      const candidate = { category, depth, length, index: match.index };
+      if (!best
+        || depth > best.depth
+        || (depth === best.depth && length > best.length)
+        || (depth === best.depth && length === best.length && match.index < best.index)) {
+        best = candidate;
+      }
+    }
+
+    return best ? best.category : null;
+  }
+
+  /**
+   * Classify a product into the taxonomy
+   * @param {Object} product - { breadcrumbs, url, categoryUrl, name }
+   * @param {Object} mappings - Adapter mapping table: breadcrumb name or URL segment -> category path
+   * @returns {Object|null} { category, source }, or null if nothing matched
+   * @throws {Error} If the mapping table points at a category that isn't in the taxonomy
+   */
+  classify({ breadcrumbs = [], url = null, categoryUrl = null, name = null }, mappings = {}) {
+    const lookup = new Map();
+    for (const [key, category] of Object.entries(mappings)) {
+      if (!this.categories.includes(category)) {
+        throw new Error(`Category mapping "${key}" points at "${category}", which isn't in the taxonomy`);
+      }
+      lookup.set(toWords(key), category);
+    }
+
+    // Each source: the terms looked up in the mapping table (most specific first), and the text searched for keywords
+    const sources = [
+      { source: 'breadcrumb', terms: [...breadcrumbs].reverse(), texts: [...breadcrumbs].reverse() },
+      { source: 'url', terms: pathSegments(url).reverse(), texts: [pathSegments(url).join(' ')] },
+      { source: 'category-url', terms: pathSegments(categoryUrl).reverse(), texts: [pathSegments(categoryUrl).join(' ')] },
+      { source: 'title', terms: [], texts: [name] }
+    ];
+
+    let result = null;
+
+    for (const { source, terms, texts } of sources) {
+      const mapped = terms.map(term => lookup.get(toWords(term))).find(Boolean);
+      const matched = texts.map(text => this.matchKeywords(text)).find(Boolean);
+
+      // The mapping table wins; keywords and later sources only narrow the category down
+      for (const category of [mapped, matched].filter(Boolean)) {
+        if (!result || category.startsWith(result.category + SEPARATOR)) {
+          result = { category, source };
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+// Taxonomy loaded on first use by categorizeRecord()
+let defaultTaxonomy = null;
+
+/**
+ * Get the taxonomy from CATEGORY_TAXONOMY_FILE (or the bundled one), loading it once
+ * @returns {CategoryTaxonomy} The taxonomy
+ */
+export function getCategoryTaxonomy() {
+  if (!defaultTaxonomy) {
+    defaultTaxonomy = CategoryTaxonomy.load(process.env.CATEGORY_TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE);
+  }
+  return defaultTaxonomy;
+}
+
+/**
+ * Set a record's category from the taxonomy
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { categoryUrl, categoryMappings, taxonomy } (default taxonomy: the shared one)
+ * @returns {Object} The record with category and category_source set
+ */
+export function categorizeRecord(record, { categoryUrl = null, categoryMappings = {}, taxonomy = getCategoryTaxonomy() } = {}) {
+  const match = taxonomy.classify({
+    breadcrumbs: record.breadcrumbs || [],
+    url: record.url,
+    categoryUrl,
+    name: record.name
+  }, categoryMappings);
+
+  if (!match) {
+    console.warn(`No category for ${record.product_id} (${record.name})`);
+  }
+
+  return {
+    ...record,
+    category: match ? match.category : null,
+    category_source: match ? match.source : null
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Colour Palette
+ *
+ * Colour is rarely spelled out consistently in product titles, so it is read
+ * from the product's primary image instead. The image is decoded in plain
+ * JavaScript (JPEG and PNG), its pixels are sampled and grouped into a few
+ * dominant colours, and each colour is given a named family to filter on:
+ *
+ *   [{ hex: '#9a5a2e', share: 0.64, family: 'brown' }, { hex: '#1f1d1b', share: 0.21, family: 'black' }]
+ *
+ * A plain studio background (most product shots) is recognised from the
+ * image's border and left out, so the palette describes the product itself.
+ */
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+// Named colour families, as stored in colors[].family
+export const COLOR_FAMILIES = ['black', 'grey', 'white', 'beige', 'brown', 'red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink'];
+
+// Pixels sampled per image, at most
+const MAX_SAMPLES = 40000;
+
+// RGB distance under which two colours count as the same dominant colour
+const MERGE_DISTANCE = 48;
+
+// RGB distance from the background colour under which a pixel is background
+const BACKGROUND_DISTANCE = 28;
+
+// Share of the border that has to be one colour for it to be a background
+const BACKGROUND_COVERAGE = 0.8;
+
+// Colours covering less of the product than this are left out of the palette
+const MIN_SHARE = 0.02;
+
+/**
+ * Decode a JPEG or PNG image
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object} { width, height, data } with data as RGBA bytes
+ * @throws {Error} If the image isn't a JPEG or PNG, or can't be decoded
+ */
+export function decodeImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width, height, data };
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+  }
+
+  throw new Error('Unsupported image format (expected JPEG or PNG)');
+}
+
+/**
+ * Distance between two RGB colours
+ * @param {Array<number>} a - [r, g, b]
+ * @param {Array<number>} b - [r, g, b]
+ * @returns {number} Euclidean distance
+ */
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Format an RGB colour as hex
+ * @param {Array<number>} rgb - [r, g, b]
+ * @returns {string} e.g. "#9a5a2e"
+ */
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Read the RGB value of an opaque pixel
+ * @param {Object} image - Decoded image
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {Array<number>|null} [r, g, b], or null if the pixel is mostly transparent
+ */
+function pixelAt({ width, data }, x, y) {
+  const index = (y * width + x) * 4;
+  return data[index + 3] < 128 ? null : [data[index], data[index + 1], data[index + 2]];
+}
+
+/**
+ * Find a plain background colour along the image's border
+ * @param {Object} image - Decoded image
+ * @param {number} step - Sampling step in pixels
+ * @returns {Array<number>|null} The background [r, g, b], or null if the border isn't one colour
+ */
+function findBackground(image, step) {
+  const { width, height } = image;
+  const border = [];
+
+  for (let x = 0; x < width; x += step) {
+    border.push(pixelAt(image, x, 0), pixelAt(image, x, height - 1));
+  }
+  for (let y = 0; y < height; y += step) {
+    border.push(pixelAt(image, 0, y), pixelAt(image, width - 1, y));
+  }
+
+  const opaque = border.filter(Boolean);
+  if (opaque.length === 0) return null;
+
+  const mean = [0, 1, 2].map(channel => opaque.reduce((sum, rgb) => sum + rgb[channel], 0) / opaque.length);
+  const matching = opaque.filter(rgb => distance(rgb, mean) < BACKGROUND_DISTANCE).length;
+  return matching / opaque.length >= BACKGROUND_COVERAGE ? mean : null;
+}
+
+/**
+ * Group an image's pixels into its dominant colours
+ * @param {Object} image - { width, height, data } as returned by decodeImage()
+ * @param {Object} options - { size, ignoreBackground }
+ * @param {number} [options.size=5] - Most colours in the palette
+ * @param {boolean} [options.ignoreBackground=true] - Leave out a plain background
+ * @returns {Array<Object>} [{ hex, share, family }], largest share first
+ */
+export function extractPalette(image, { size = 5, ignoreBackground = true } = {}) {
+  const { width, height } = image;
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_SAMPLES)));
+  const background = ignoreBackground ? findBackground(image, step) : null;
+
+  // Histogram of 4 bits per channel, keeping the exact mean of each bucket
+  const buckets = new Map();
+  let total = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const rgb = pixelAt(image, x, y);
+      if (!rgb || (background && distance(rgb, background) < BACKGROUND_DISTANCE)) continue;
+
+      const key = ((rgb[0] >> 4) << 8) | ((rgb[1] >> 4) << 4) | (rgb[2] >> 4);
+      const bucket = buckets.get(key) || { sum: [0, 0, 0], count: 0 };
+      rgb.forEach((value, channel) => { bucket.sum[channel] += value; });
+      bucket.count++;
+      buckets.set(key, bucket);
+      total++;
+    }
+  }
+
+  // Nothing but background: the product is the background's colour
+  if (total === 0) {
+    return ignoreBackground && background ? extractPalette(image, { size, ignoreBackground: false }) : [];
+  }
+
+  // Merge similar buckets into colours, most common first
+  const colors = [];
+  const sorted = [...buckets.values()].sort((a, b) => b.count - a.count);
+  for (const { sum, count } of sorted) {
+    const rgb = sum.map(value => value / count);
+    const match = colors.find(color => distance(color.rgb, rgb) < MERGE_DISTANCE);
+
+    if (match) {
+      match.rgb = match.rgb.map((value, channel) => (value * match.count + rgb[channel] * count) / (match.count + count));
+      match.count += count;
+    } else {
+      colors.push({ rgb, count });
+    }
+  }
+
+  return colors
+    .sort((a, b) => b.count - a.count)
+    .filter(color => color.count / total >= MIN_SHARE)
+    .slice(0, size)
+    .map(({ rgb, count }) => {
+      const hex = toHex(rgb);
+      return { hex, share: Math.round((count / total) * 1000) / 1000, family: colorFamily(hex) };
+    });
+}
+
+/**
+ * Name the colour family of a colour
+ * @param {string} hex - e.g. "#9a5a2e"
+ * @returns {string} One of COLOR_FAMILIES
+ */
+export function colorFamily(hex) {
+  const [r, g, b] = [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const s = max === min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+
+  let h = 0;
+  if (max !== min) {
+    if (max === r) h = ((g - b) / (max - min)) % 6;
+    else if (max === g) h = (b - r) / (max - min) + 2;
+    else h = (r - g) / (max - min) + 4;
+    h = (h * 60 + 360) % 360;
+  }
+
+  if (l < 0.12) return 'black';
+  if (l > 0.92) return 'white';
+  if (s < 0.15 || (s < 0.25 && l < 0.3)) {
+    if (l > 0.85) return 'white';
+    return l < 0.2 ? 'black' : 'grey';
+  }
+
+  // Wood, leather and natural fabrics
+  if (h >= 15 && h < 50) {
+    if (l >= 0.7 || (s < 0.45 && l >= 0.55)) return 'beige';
+    if (s < 0.45 || (l < 0.5 && (h < 40 || l < 0.35))) return 'brown';
+  }
+  if ((h < 15 || h >= 345) && l < 0.3 && s < 0.6) return 'brown';
+
+  if (h < 15 || h >= 345) return l > 0.75 ? 'pink' : 'red';
+  if (h < 40) return 'orange';
+  if (h < 70) return l < 0.3 ? 'green' : 'yellow';
+  if (h < 170) return 'green';
+  if (h < 260) return 'blue';
+  if (h < 290) return 'purple';
+  return 'pink';
+}
+
+/**
+ * Compute the colour palette of an image file
+ * @param {Buffer} buffer - JPEG or PNG file contents
+ * @param {Object} options - Options for extractPalette()
+ * @returns {Array<Object>} [{ hex, share, family }]
+ * @throws {Error} If the image can't be decoded
+ */
+export function paletteFromImage(buffer, options = {}) {
+  return extractPalette(decodeImage(buffer), options);
+}
@@ -0,0 +1,112 @@
+/**
+ * Condition
+ *
+ * Vintage and antique pieces come with a condition rating ("Good") and notes
+ * ("Reupholstered. Wear consistent with age and use."). They are brought into
+ * one grade on a fixed scale, plus the restoration work the notes mention:
+ *
+ *   { grade: 'good', rating: 'Good', details: '...', restorations: ['reupholstered'] }
+ *
+ * The rating decides the grade; the notes can raise a "Good" piece the seller
+ * calls very good, or lower a piece with damage to its structure.
+ */
+import { findSection } from './description.js';
+
+// Condition grades, best first, stored as condition_grade
+export const CONDITION_GRADES = ['new', 'excellent', 'very-good', 'good', 'fair', 'poor'];
+
+// Retailer ratings and condition phrases -> grade
+const RATINGS = [
+  { pattern: /\b(new|unused|mint|new old stock)\b/i, grade: 'new' },
+  { pattern: /\bexcellent\b/i, grade: 'excellent' },
+  { pattern: /\bvery good\b/i, grade: 'very-good' },
+  { pattern: /\bgood\b/i, grade: 'good' },
+  { pattern: /\bfair\b/i, grade: 'fair' },
+  { pattern: /\b(poor|distressed|as is|for restoration)\b/i, grade: 'poor' }
+];
+
+// Restoration work named in the notes
+const RESTORATIONS = [
+  { pattern: /\breupholster(ed|y)?\b|\bre-upholstered\b|\bnewly upholstered\b/i, name: 'reupholstered' },
+  { pattern: /\brefinish(ed)?\b|\brefurbished\b|\brepolished\b/i, name: 'refinished' },
+  { pattern: /\brepaired\b|\brestored\b/i, name: 'repaired' },
+  { pattern: /\breplacements? made\b|\breplaced\b/i, name: 'replacements' },
+  { pattern: /\badditions or alterations\b|\baltered\b/i, name: 'alterations' },
+  { pattern: /\brewired\b/i, name: 'rewired' }
+];
+
+// "In very good condition", "excellent vintage condition"
+const CONDITION_PHRASE = /\b(new|mint|excellent|very good|good|fair|poor)\b(?:\s+\w+)?\s+condition\b/i;
+
+// Damage that lowers a grade, unless called minor or ruled out ("no structural damage", "free of any water damage")
+const DAMAGE = /(?<!\bminor\s)(?<!\b(?:no|without|free of)\s+(?:\w+\s+)?)\b(structural damages?|water damages?|broken|cracked|missing (?:parts?|pieces?)|needs? (?:repair|restoration))\b/i;
+
+/**
+ * Map a rating or condition phrase onto a grade
+ * @param {string|null} text - e.g. "Good", "in excellent vintage condition"
+ * @returns {string|null} The grade, or null if the text names none
+ */
+function gradeOf(text) {
+  if (!text) return null;
+  const rating = RATINGS.find(({ pattern }) => pattern.test(text));
+  return rating ? rating.grade : null;
+}
+
+/**
+ * Grade a product's condition
+ * @param {Object|string|null} condition - { rating, details } as listed, or the rating alone
+ * @param {string} [description] - Description text, used when there is no rating or details
+ * @returns {Object|null} { grade, rating, details, restorations }, or null if nothing is known
+ */
+export function parseCondition(condition, description = null) {
+  const { rating = null, details = null } = typeof condition === 'string' ? { rating: condition } : (condition || {});
+  const clean = value => (typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null);
+
+  const listed = { rating: clean(rating), details: clean(details) };
+  const phraseIn = text => {
+    const match = (text || '').match(CONDITION_PHRASE);
+    return match ? gradeOf(match[1]) : null;
+  };
+
+  let grade = gradeOf(listed.rating) || phraseIn(listed.details) || phraseIn(description);
+  if (!grade && !listed.details) return null;
+
+  // Notes calling a "Good" piece better than that make it very good
+  const noted = phraseIn(listed.details);
+  if (grade === 'good' && noted && CONDITION_GRADES.indexOf(noted) < CONDITION_GRADES.indexOf('good')) {
+    grade = 'very-good';
+  }
+  if (grade && grade !== 'poor' && listed.details && DAMAGE.test(listed.details)) {
+    grade = CONDITION_GRADES[CONDITION_GRADES.indexOf(grade) + 1];
+  }
+
+  return {
+    grade: grade || null,
+    rating: listed.rating,
+    details: listed.details,
+    restorations: RESTORATIONS.filter(({ pattern }) => pattern.test(listed.details || '')).map(({ name }) => name)
+  };
+}
+
+/**
+ * Grade a record's condition
+ *
+ * The description's "Condition" section stands in for missing details.
+ * @param {Object} record - Transformed product record (with description_sections)
+ * @returns {Object} The record with condition and condition_grade set
+ */
+export function normalizeRecordCondition(record) {
+  const listed = typeof record.condition === 'string' ? { rating: record.condition } : (record.condition || {});
+  const section = findSection(record.description_sections, 'condition');
+
+  const condition = parseCondition(
+    { rating: listed.rating, details: listed.details || section },
+    record.description
+  );
+
+  return {
+    ...record,
+    condition,
+    condition_grade: condition ? condition.grade : null
+  };
+}
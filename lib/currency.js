@@ -0,0 +1,188 @@
+/**
+ * Currency Conversion
+ *
+ * Converts normalized prices into a reporting currency with a locally stored,
+ * dated exchange-rate table, so nothing is fetched while scraping. The table
+ * lists, per date, how many units of each currency one unit of its base
+ * currency buys:
+ *
+ *   { "base": "USD", "rates": { "2025-03-21": { "USD": 1, "CAD": 1.4335, ... } } }
+ *
+ * A price is converted with the latest rates dated on or before the day it
+ * was normalized. Refresh the table with `npm run rates -- --import FILE`.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Exchange-rate table shipped with the scraper
+export const DEFAULT_RATES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'exchange-rates.json');
+
+// Currency every price is also reported in, unless REPORTING_CURRENCY says otherwise
+export const DEFAULT_REPORTING_CURRENCY = 'USD';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A dated table of exchange rates
+ */
+export class ExchangeRateTable {
+  /**
+   * @param {Object} table - { base, rates: { 'YYYY-MM-DD': { CURRENCY: rate } } }
+   * @throws {Error} If the table is malformed
+   */
+  constructor(table) {
+    if (!table || !/^[A-Z]{3}$/.test(table.base || '')) {
+      throw new Error('Exchange-rate table needs a "base" currency code');
+    }
+
+    for (const [date, rates] of Object.entries(table.rates || {})) {
+      if (!DATE_PATTERN.test(date)) {
+        throw new Error(`Invalid exchange-rate date "${date}" (expected YYYY-MM-DD)`);
+      }
+      for (const [currency, rate] of Object.entries(rates)) {
+        if (!(typeof rate === 'number' && rate > 0)) {
+          throw new Error(`Invalid ${currency} rate on ${date}: ${rate}`);
+        }
+      }
+    }
+
+    this.base = table.base;
+    this.rates = table.rates || {};
+    this.dates = Object.keys(this.rates).sort();
+  }
+
+  /**
+   * Load a table from a JSON file
+   * @param {string} file - Path to the table
+   * @returns {ExchangeRateTable} The table
+   * @throws {Error} If the file can't be read or is malformed
+   */
+  static load(file = DEFAULT_RATES_FILE) {
+    let table;
+    try {
+      table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read exchange rates from ${file}: ${error.message}`);
+    }
+    return new ExchangeRateTable(table);
+  }
+
+  /**
+   * Find the rates to use on a date: the latest ones dated on or before it
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object|null} { date, rates } or null if the table has nothing that old
+   */
+  getRates(date) {
+    const rateDate = this.dates.filter(candidate => candidate <= date).pop();
+    return rateDate ? { date: rateDate, rates: this.rates[rateDate] } : null;
+  }
+
+  /**
+   * Convert an amount between two currencies
+   * @param {number} amount - Amount to convert
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Currency to convert to
+   * @param {string} date - Day of the price (YYYY-MM-DD), defaults to today
+   * @returns {Object|null} { amount, rate, rateDate }, or null if a rate is missing
+   */
+  convert(amount, from, to, date = new Date().toISOString().slice(0, 10)) {
+    const entry = this.getRates(date);
+    if (!entry) return null;
+
+    const rateFor = currency => (currency === this.base ? 1 : entry.rates[currency]);
+    const fromRate = rateFor(from);
+    const toRate = rateFor(to);
+    if (!fromRate || !toRate) return null;
+
+    const rate = toRate / fromRate;
+    return {
+      amount: Math.round(amount * rate * 100) / 100,
+      rate: Number(rate.toPrecision(8)),
+      rateDate: entry.date
+    };
+  }
+
+  /**
+   * Merge another table into this one, rebasing its rates onto this table's base
+   *
+   * Dates already in this table are overwritten.
+   * @param {ExchangeRateTable} other - Table to merge in
+   * @returns {Array<string>} The dates that were added or replaced
+   * @throws {Error} If a date of the other table has no rate for this table's base
+   */
+  merge(other) {
+    for (const date of other.dates) {
+      const rates = other.rates[date];
+      const baseRate = this.base === other.base ? 1 : rates[this.base];
+
+      if (!baseRate) {
+        throw new Error(`Rates for ${date} have no ${this.base} rate to rebase onto`);
+      }
+
+      this.rates[date] = Object.fromEntries(
+        Object.entries({ ...rates, [other.base]: 1 })
+          .map(([currency, rate]) => [currency, Number((rate / baseRate).toPrecision(8))])
+      );
+    }
+
+    this.dates = Object.keys(this.rates).sort();
+    return other.dates;
+  }
+
+  /**
+   * Write the table to a JSON file
+   * @param {string} file - Path to write to
+   */
+  save(file = DEFAULT_RATES_FILE) {
+    const rates = Object.fromEntries(this.dates.map(date => [date, this.rates[date]]));
+    fs.writeFileSync(file, `${JSON.stringify({ base: this.base, rates }, null, 2)}\n`);
+  }
+}
+
+// Table loaded on first use by convertRecordPrice()
+let defaultTable = null;
+
+/**
+ * Get the exchange-rate table from EXCHANGE_RATES_FILE (or the bundled one), loading it once
+ * @returns {ExchangeRateTable} The table
+ */
+export function getExchangeRates() {
+  if (!defaultTable) {
+    defaultTable = ExchangeRateTable.load(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE);
+  }
+  return defaultTable;
+}
+
+/**
+ * Add the reporting-currency amount to a record's normalized price
+ * @param {Object} record - Record with a price normalized by normalizeRecordPrice()
+ * @param {Object} options - { rates, reportingCurrency, date } (defaults: the shared table, REPORTING_CURRENCY, today)
+ * @returns {Object} The record with price.reportingAmount/reportingCurrency/rateDate and price_reporting_amount set
+ */
+export function convertRecordPrice(record, {
+  rates = getExchangeRates(),
+  reportingCurrency = process.env.REPORTING_CURRENCY || DEFAULT_REPORTING_CURRENCY,
+  date
+} = {}) {
+  const { price } = record;
+  const converted = price && price.amount !== null && price.currency
+    ? rates.convert(price.amount, price.currency, reportingCurrency, date)
+    : null;
+
+  if (price && price.amount !== null && price.currency && !converted) {
+    console.warn(`No ${price.currency} -> ${reportingCurrency} exchange rate for ${record.product_id}`);
+  }
+
+  return {
+    ...record,
+    price: price && {
+      ...price,
+      reportingAmount: converted ? converted.amount : null,
+      reportingCurrency: converted ? reportingCurrency : null,
+      rateDate: converted ? converted.rateDate : null
+    },
+    price_reporting_amount: converted ? converted.amount : null,
+    price_reporting_currency: converted ? reportingCurrency : null
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Product Descriptions
+ *
+ * Sellers often structure long descriptions with headings of their own -
+ * "Design", "Condition", "Dimensions:", "ABOUT THE DESIGNER" - so the text is
+ * also split into its named sections, in order:
+ *
+ *   [{ heading: null, text: 'Large lounge sofa ...' }, { heading: 'Condition', text: 'Minor patina.' }]
+ *
+ * The text before the first heading has a null heading.
+ */
+
+// Headings sellers use, matched case-insensitively without a trailing colon
+const KNOWN_HEADINGS = [
+  'about', 'about the designer', 'about the maker', 'about the artist', 'about us',
+  'care', 'condition', 'description', 'design', 'details', 'dimensions', 'history',
+  'literature', 'materials', 'measurements', 'measures', 'note', 'notes', 'please note',
+  'provenance', 'shipping', 'returns', 'specifications', 'features'
+];
+
+// Longest heading, in words, a line of its own may be
+const MAX_HEADING_WORDS = 5;
+
+/**
+ * Check whether a line of its own is a section heading
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True for a known heading, or a short all-caps line
+ */
+function isHeadingLine(line) {
+  const heading = line.replace(/:$/, '').trim();
+  if (!heading || heading.split(/\s+/).length > MAX_HEADING_WORDS || /[.!?,;]$/.test(heading)) return false;
+
+  return KNOWN_HEADINGS.includes(heading.toLowerCase())
+    || line.endsWith(':')
+    || /^[A-Z][A-Z &'/-]+$/.test(heading);
+}
+
+/**
+ * Split a description into its headed sections
+ *
+ * A heading is a short line of its own ("Condition", "ABOUT THE DESIGNER",
+ * "Please note:") or a known heading followed by a colon and the start of
+ * its text ("Dimensions: Width 180 cm").
+ * @param {string|null} text - Description text, with its line breaks
+ * @returns {Array<Object>} [{ heading, text }] in order; empty sections are left out
+ */
+export function parseDescriptionSections(text) {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  const startSection = heading => {
+    sections.push(current);
+    current = { heading, lines: [] };
+  };
+
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    const inline = line.match(/^([A-Za-z][A-Za-z &'/-]{1,40}?)\s*:\s*(\S.*)$/);
+
+    if (line && isHeadingLine(line)) {
+      startSection(line.replace(/:$/, '').trim());
+    } else if (inline && KNOWN_HEADINGS.includes(inline[1].toLowerCase())) {
+      startSection(inline[1]);
+      current.lines.push(inline[2]);
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ heading, lines }) => ({
+      heading,
+      // Blank lines separate paragraphs
+      text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+    }))
+    .filter(section => section.text);
+}
+
+/**
+ * Find a section by its heading
+ * @param {Array<Object>} sections - Sections from parseDescriptionSections()
+ * @param {string} heading - Heading to look for, case-insensitive
+ * @returns {string|null} The section's text, or null if there is none
+ */
+export function findSection(sections, heading) {
+  const section = (sections || []).find(item => item.heading && item.heading.toLowerCase() === heading.toLowerCase());
+  return section ? section.text : null;
+}
+
+/**
+ * Split a record's description into sections
+ * @param {Object} record - Transformed product record
+ * @returns {Object} The record with description_sections set
+ */
+export function normalizeRecordDescription(record) {
+  return { ...record, description_sections: parseDescriptionSections(record.description) };
+}
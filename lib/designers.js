@@ -0,0 +1,248 @@
+/**
+ * Designer and Maker Attribution
+ *
+ * Who designed a piece and who made it are spread over the 1stDibs creator
+ * field ("Hans J. Wegner (Designer)"), JSON-LD brand/manufacturer and titles
+ * ("Set of Four Dining Chairs by Vamo Sønderborg"). They are brought onto the
+ * canonical names of a maintained directory (data/designers.json), so one
+ * designer can be looked up across retailers:
+ *
+ *   { "designers": { "Hans J. Wegner": ["hans wegner", "wegner"] },
+ *     "makers": { "Carl Hansen & Søn": ["carl hansen & son"] } }
+ *
+ * Names the directory doesn't know are kept as written. Every name also gets
+ * a slug, the key of the shared designers table in Supabase.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Directory shipped with the scraper
+export const DEFAULT_DESIGNERS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'designers.json');
+
+// Kinds of names in the directory
+export const DESIGNER_KINDS = ['designer', 'maker'];
+
+// Creator roles as 1stDibs lists them ("Eurosalotto (Manufacturer)") -> attribution
+const CREATOR_ROLES = {
+  designer: 'designer',
+  artist: 'designer',
+  architect: 'designer',
+  manufacturer: 'maker',
+  maker: 'maker',
+  workshop: 'maker',
+  studio: 'maker',
+  producer: 'maker'
+};
+
+// "... by Hans J. Wegner for Getama, Denmark" - the names run up to a comma, a date or a parenthesis
+const TITLE_ATTRIBUTION = /(?<!\b(?:inspired|influenced|followed|made to order|surrounded)\s)\bby\s+([A-Z\u00c0-\u00d6\u00d8-\u00de][^,(]*?)(?:\s+for\s+([A-Z\u00c0-\u00d6\u00d8-\u00de][^,(]*?))?(?=\s*[,(]|\s+(?:in|from|circa|c\.)\s|\s+\d{4}|\s*$)/;
+
+// Stand-ins for a name nobody recorded
+const ANONYMOUS = /^(?:unknown(?: (?:designer|maker|artist))?|anonymous|various|n\/a|none|(?:local )?artisans?|craftsm[ae]n)$/i;
+
+/**
+ * Reduce a name to the form it is matched in
+ * @param {string} name - Name as written
+ * @returns {string} Lowercased name without accents, dots, hyphens or repeated spaces
+ */
+function matchKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.\-–_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Turn a name into the key of the designers table
+ * @param {string} name - Canonical name
+ * @returns {string} e.g. "hans-j-wegner", "carl-hansen-and-son"
+ */
+export function designerSlug(name) {
+  return matchKey(name.replace(/ø/gi, 'o').replace(/æ/gi, 'ae').replace(/å/gi, 'a'))
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Tidy a name as listed
+ * @param {any} name - Raw name
+ * @returns {string|null} The name with whitespace collapsed, or null if empty
+ */
+function cleanName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name.replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+  return cleaned && !ANONYMOUS.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * A directory of designers and makers with the spellings of their names
+ */
+export class DesignerDirectory {
+  /**
+   * @param {Object} directory - { designers, makers }: canonical name -> array of spellings
+   * @throws {Error} If a spelling isn't a string or belongs to two names
+   */
+  constructor(directory = {}) {
+    this.names = new Map();
+    this.aliases = new Map();
+
+    for (const kind of DESIGNER_KINDS) {
+      for (const [canonical, spellings] of Object.entries(directory[`${kind}s`] || {})) {
+        if (!Array.isArray(spellings) || !spellings.every(spelling => typeof spelling === 'string')) {
+          throw new Error(`Spellings of the ${kind} "${canonical}" must be a list of strings`);
+        }
+
+        for (const spelling of [canonical, ...spellings]) {
+          const key = matchKey(spelling);
+          const known = this.names.get(key);
+          if (known && known.name !== canonical) {
+            throw new Error(`"${spelling}" is listed for both "${known.name}" and "${canonical}"`);
+          }
+          this.names.set(key, { name: canonical, kind });
+        }
+        this.aliases.set(canonical, spellings);
+      }
+    }
+  }
+
+  /**
+   * Load a directory from a JSON file
+   * @param {string} file - Path to the directory
+   * @returns {DesignerDirectory} The directory
+   * @throws {Error} If the file can't be read or is malformed
+   */
+  static load(file = DEFAULT_DESIGNERS_FILE) {
+    let directory;
+    try {
+      directory = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the designer directory from ${file}: ${error.message}`);
+    }
+    return new DesignerDirectory(directory);
+  }
+
+  /**
+   * Look a name up in the directory
+   * @param {string} name - Name as listed
+   * @returns {Object|null} { name, kind } with the canonical name (kind null if unknown), or null if empty
+   */
+  resolve(name) {
+    const cleaned = cleanName(name);
+    if (!cleaned) return null;
+    return this.names.get(matchKey(cleaned)) || { name: cleaned, kind: null };
+  }
+}
+
+// Directory loaded on first use by normalizeRecordAttribution()
+let defaultDirectory = null;
+
+/**
+ * Get the directory from DESIGNERS_FILE (or the bundled one), loading it once
+ * @returns {DesignerDirectory} The directory
+ */
+export function getDesignerDirectory() {
+  if (!defaultDirectory) {
+    defaultDirectory = DesignerDirectory.load(process.env.DESIGNERS_FILE || DEFAULT_DESIGNERS_FILE);
+  }
+  return defaultDirectory;
+}
+
+/**
+ * Read designer and maker from creator entries
+ * @param {Array<string>|string|null} creators - e.g. ["George Bighinello (Designer)", "Eurosalotto (Manufacturer)"]
+ * @returns {Object} { designer, maker } as listed, either null if absent
+ */
+export function parseCreators(creators) {
+  const attribution = { designer: null, maker: null };
+
+  for (const entry of [].concat(creators || [])) {
+    if (typeof entry !== 'string') continue;
+
+    const match = entry.match(/^(.*?)\s*\(([^)]+)\)\s*,?\s*$/);
+    const name = cleanName(match ? match[1] : entry);
+    // Creators without a role are the designer
+    const role = match ? CREATOR_ROLES[match[2].trim().toLowerCase()] : 'designer';
+
+    if (name && role && !attribution[role]) attribution[role] = name;
+  }
+
+  return attribution;
+}
+
+/**
+ * Read designer and maker from a product title
+ * @param {string|null} title - e.g. "Lounge Sofa by George Bighinello for Eurosalotto, Italy, 1970s"
+ * @returns {Object} { by, for }: the name after "by" and after "for", either null
+ */
+export function parseTitleAttribution(title) {
+  const match = typeof title === 'string' ? title.match(TITLE_ATTRIBUTION) : null;
+  return { by: match ? cleanName(match[1]) : null, for: match ? cleanName(match[2]) : null };
+}
+
+/**
+ * Attribute a record to its designer, maker and brand
+ *
+ * Adapters return what the page states (designer, maker, brand); a title
+ * "by X for Y" fills in the rest, X being the designer unless the directory
+ * knows it as a maker.
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { directory } (default: the shared directory)
+ * @returns {Object} The record with canonical designer, maker and brand
+ */
+export function normalizeRecordAttribution(record, { directory = getDesignerDirectory() } = {}) {
+  let designer = directory.resolve(record.designer);
+  let maker = directory.resolve(record.maker);
+  const brand = directory.resolve(record.brand);
+
+  const title = parseTitleAttribution(record.name);
+  const by = directory.resolve(title.by);
+  if (by && (title.for || by.kind !== 'maker')) {
+    designer = designer || by;
+  } else if (by) {
+    maker = maker || by;
+  }
+  maker = maker || directory.resolve(title.for);
+
+  return {
+    ...record,
+    designer: designer ? designer.name : null,
+    maker: maker ? maker.name : null,
+    brand: brand ? brand.name : null
+  };
+}
+
+/**
+ * Rows for the designers table naming a record's designer, maker and brand
+ * @param {Object} record - Normalized product record
+ * @param {Object} options - { directory } (default: the shared directory)
+ * @returns {Array<Object>} [{ slug, name, aliases }], each name once
+ */
+export function designerRows(record, { directory = getDesignerDirectory() } = {}) {
+  const names = [...new Set([record.designer, record.maker, record.brand].filter(Boolean))];
+  return names.map(name => ({ slug: designerSlug(name), name, aliases: directory.aliases.get(name) || [] }));
+}
+
+/**
+ * Add a record's designer, maker and brand to the designers table
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Object} record - Normalized product record
+ * @returns {Promise<boolean>} True if the rows were saved (or there were none)
+ */
+export async function saveDesigners(supabase, record) {
+  const rows = designerRows(record);
+  if (rows.length === 0) return true;
+
+  // Names already in the table are left as they are
+  const { error } = await supabase.from('designers').upsert(rows, { onConflict: 'slug', ignoreDuplicates: true });
+  if (error) {
+    console.error(`Error saving the designers of ${record.product_id}:`, error.message);
+    return false;
+  }
+
+  return true;
+}
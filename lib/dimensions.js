@@ -0,0 +1,265 @@
+/**
+ * Dimension Parsing
+ *
+ * Turns the dimensions adapters find - 1stDibs spec rows like
+ * "Height: 30.71 in (78 cm)", page text like "35'' H x 84'' W x 38'' D" or
+ * "Width: 228 cm", and schema.org QuantitativeValues - into numbers in
+ * centimetres, keeping the unit they were listed in.
+ */
+
+// Dimensions kept in a record, all in centimetres
+export const DIMENSION_KEYS = ['height', 'width', 'depth', 'diameter', 'seatHeight'];
+
+// Centimetres per unit
+const UNIT_FACTORS = {
+  mm: 0.1,
+  cm: 1,
+  m: 100,
+  in: 2.54,
+  ft: 30.48
+};
+
+// Spellings of each unit, longest first
+const UNIT_ALIASES = [
+  ['inches', 'in'],
+  ['inch', 'in'],
+  ['in.', 'in'],
+  ['in', 'in'],
+  ["''", 'in'],
+  ['"', 'in'],
+  ['″', 'in'],
+  ['”', 'in'],
+  ['feet', 'ft'],
+  ['ft', 'ft'],
+  ['mm', 'mm'],
+  ['cm', 'cm'],
+  ['m', 'm']
+];
+
+// schema.org / UN/CEFACT unit codes
+const UNIT_CODES = { CMT: 'cm', MMT: 'mm', MTR: 'm', INH: 'in', FOT: 'ft' };
+
+// Unicode vulgar fractions
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+
+// Labels, most specific first; single letters only count as whole words ("35'' H")
+const LABELS = [
+  ['seatHeight', /seat\s*height|\bseat\s*h\b|\bsh\b/i],
+  ['diameter', /diam|\bdia\b|[Øø⌀]/i],
+  ['height', /height|\bh\b|\bht\b/i],
+  ['width', /width|\bw\b|\bwd\b/i],
+  ['depth', /depth|\bd\b|\bdp\b/i],
+  // Kept as the width when no width is listed (see foldLength)
+  ['length', /length|\blen\b|\bl\b/i]
+];
+
+// Measurements of parts of the piece ("Seat Depth", "Arm Height") rather than the whole
+const PART_PATTERN = /\b(seat|arm|armrest|leg|back|cushion|clearance|box|package)\b/i;
+
+const FRACTION_CHARS = Object.keys(FRACTIONS).join('');
+
+/**
+ * Join unit spellings into a regex alternation
+ * @param {Array<Array<string>>} aliases - [spelling, unit] pairs
+ * @returns {string} The alternation, longest spelling first
+ */
+function unitAlternation(aliases) {
+  return aliases.map(([alias]) => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+}
+
+// Spelled-out units must end a word ("30 in" but not "30 inset"); symbols may run into a label ('72"W')
+const WORD_UNIT_PATTERN = unitAlternation(UNIT_ALIASES.filter(([alias]) => /^[a-z]/.test(alias)));
+const SYMBOL_UNIT_PATTERN = unitAlternation(UNIT_ALIASES.filter(([alias]) => !/^[a-z]/.test(alias)));
+
+// A number with an optional fraction ("1/2", "30", "30.71", "30,5", "1,200", "30 1/2", "30½", "½"), then an optional unit
+const MEASUREMENT_PATTERN = new RegExp(
+  `(?:(\\d+)\\/(\\d+)|(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?)(?:\\s*-?\\s*(\\d+)\\/(\\d+)|\\s*([${FRACTION_CHARS}]))?|([${FRACTION_CHARS}]))` +
+  `\\s*(?:((?:${WORD_UNIT_PATTERN})(?![a-z])|${SYMBOL_UNIT_PATTERN})|(?![a-z]))`,
+  'i'
+);
+
+// Digits grouped in thousands with commas ("1,200"), not a decimal comma ("30,5")
+const THOUSANDS_PATTERN = /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+
+/**
+ * Map a unit spelling onto its short name
+ * @param {string} unit - Unit as written
+ * @returns {string|null} mm, cm, m, in or ft
+ */
+function normalizeUnit(unit) {
+  if (!unit) return null;
+  const alias = UNIT_ALIASES.find(([spelling]) => spelling === unit.toLowerCase());
+  return alias ? alias[1] : null;
+}
+
+/**
+ * Round a length in centimetres to a millimetre
+ * @param {number} value - Length in cm
+ * @returns {number} The rounded length
+ */
+function roundCm(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Parse the first measurement in a piece of text
+ *
+ * Feet followed by inches ("2 ft 6 in") are read as one length in feet.
+ * @param {string} text - e.g. "Height: 30.71 in (78 cm)" or "30 1/2 in"
+ * @returns {Object|null} { value, unit } with the value in the listed unit (unit may be null)
+ */
+export function parseMeasurement(text) {
+  const match = String(text || '').match(MEASUREMENT_PATTERN);
+  if (!match) return null;
+
+  const [, loneNumerator, loneDenominator, whole, numerator, denominator, fractionChar, loneFractionChar, unit] = match;
+  let value;
+
+  if (loneNumerator !== undefined) {
+    value = Number(loneNumerator) / Number(loneDenominator);
+  } else if (whole !== undefined) {
+    value = THOUSANDS_PATTERN.test(whole) ? parseFloat(whole.replace(/,/g, '')) : parseFloat(whole.replace(',', '.'));
+    if (numerator !== undefined) value += Number(numerator) / Number(denominator);
+    if (fractionChar !== undefined) value += FRACTIONS[fractionChar];
+  } else {
+    value = FRACTIONS[loneFractionChar];
+  }
+
+  if (!Number.isFinite(value)) return null;
+
+  if (normalizeUnit(unit) === 'ft') {
+    const rest = String(text).slice(match.index + match[0].length);
+    const inches = /^\s*(?:-|and)?\s*\d/i.test(rest) ? parseMeasurement(rest) : null;
+    if (inches && inches.unit === 'in') value += inches.value / 12;
+  }
+
+  return { value, unit: normalizeUnit(unit) };
+}
+
+/**
+ * Convert a length to centimetres
+ * @param {number} value - Length
+ * @param {string} unit - mm, cm, m, in or ft
+ * @returns {number|null} The length in cm, rounded to a millimetre
+ */
+export function toCentimetres(value, unit) {
+  return UNIT_FACTORS[unit] ? roundCm(value * UNIT_FACTORS[unit]) : null;
+}
+
+/**
+ * Work out which dimension a label names
+ * @param {string} label - e.g. "Seat Height", "H", "Overall Width", "Length"
+ * @returns {string|null} One of DIMENSION_KEYS, or "length"
+ */
+export function dimensionKeyFor(label) {
+  const camel = String(label || '').replace(/([a-z])([A-Z])/g, '$1 $2');
+  const found = LABELS.find(([, pattern]) => pattern.test(camel));
+
+  if (!found) return null;
+  if (found[0] !== 'seatHeight' && PART_PATTERN.test(camel)) return null;
+  return found[0];
+}
+
+/**
+ * Keep a listed length as the width of a piece listed without one
+ *
+ * Tables and benches are often given a length rather than a width.
+ * @param {Object} dimensions - Parsed dimensions, possibly with a length
+ * @returns {Object} The dimensions without the length
+ */
+function foldLength({ length, ...dimensions }) {
+  if (length !== undefined && dimensions.width === undefined) dimensions.width = length;
+  return dimensions;
+}
+
+/**
+ * Parse free dimension text into centimetres
+ *
+ * Segments are split on commas, semicolons, line breaks and "x"; each needs a
+ * label ("Width: 228 cm", "84'' W"). A unit given only once ("W 200 x D 90 x
+ * H 75 cm") applies to every segment.
+ * @param {string} text - Dimension text
+ * @returns {Object|null} { height, width, depth, diameter, seatHeight, sourceUnit } or null if nothing was found
+ */
+export function parseDimensionText(text) {
+  const segments = String(text || '')
+    .split(/[;\n]|,\s+|\s+[x×]\s+|×/i)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  const found = [];
+  for (const segment of segments) {
+    const key = dimensionKeyFor(segment.replace(MEASUREMENT_PATTERN, ' '));
+    const measurement = parseMeasurement(segment);
+    if (key && measurement) found.push({ key, ...measurement });
+  }
+
+  const sharedUnit = (found.find(item => item.unit) || {}).unit;
+  const dimensions = {};
+
+  for (const { key, value, unit } of found) {
+    const centimetres = toCentimetres(value, unit || sharedUnit);
+    if (centimetres !== null && dimensions[key] === undefined) dimensions[key] = centimetres;
+  }
+
+  if (Object.keys(dimensions).length === 0) return null;
+  return { ...foldLength(dimensions), sourceUnit: sharedUnit };
+}
+
+/**
+ * Parse one dimension value: a string, or a schema.org QuantitativeValue
+ * @param {string|Object} value - e.g. "30.71 in (78 cm)" or { value: 78, unitCode: 'CMT' }
+ * @returns {Object|null} { value, unit } with value in cm and the unit it was listed in
+ */
+function parseDimensionValue(value) {
+  if (value && typeof value === 'object') {
+    const unit = UNIT_CODES[value.unitCode] || normalizeUnit(value.unitText);
+    const amount = parseFloat(value.value);
+    return unit && Number.isFinite(amount) ? { value: toCentimetres(amount, unit), unit } : null;
+  }
+
+  const measurement = parseMeasurement(value);
+  if (!measurement || !measurement.unit) return null;
+  return { value: toCentimetres(measurement.value, measurement.unit), unit: measurement.unit };
+}
+
+/**
+ * Parse dimensions in any of the forms adapters find
+ * @param {string|Array<string>|Object|null} dimensions - Free text, lines of "Label: value",
+ *   or an object of label -> value (text or QuantitativeValue)
+ * @returns {Object|null} { height, width, depth, diameter, seatHeight, sourceUnit } in cm, or null
+ */
+export function parseDimensions(dimensions) {
+  if (!dimensions) return null;
+
+  if (typeof dimensions === 'string') return parseDimensionText(dimensions);
+  if (Array.isArray(dimensions)) return parseDimensionText(dimensions.join('\n'));
+  if (typeof dimensions !== 'object') return null;
+
+  // Already parsed
+  if ('sourceUnit' in dimensions) return dimensions;
+
+  const parsed = {};
+  let sourceUnit = null;
+
+  for (const [label, value] of Object.entries(dimensions)) {
+    const key = dimensionKeyFor(label);
+    const measurement = key ? parseDimensionValue(value) : null;
+
+    if (measurement && measurement.value !== null && parsed[key] === undefined) {
+      parsed[key] = measurement.value;
+      sourceUnit = sourceUnit || measurement.unit;
+    }
+  }
+
+  return Object.keys(parsed).length > 0 ? { ...foldLength(parsed), sourceUnit } : null;
+}
+
+/**
+ * Replace a record's dimensions with their parsed form
+ * @param {Object} record - Transformed product record
+ * @returns {Object} The record with dimensions in cm
+ */
+export function normalizeRecordDimensions(record) {
+  return { ...record, dimensions: parseDimensions(record.dimensions) };
+}
@@ -0,0 +1,242 @@
+/**
+ * Places
+ *
+ * Where a piece comes from ("Denmark", "Danish", "England") and where its
+ * seller is ("Hellouw, NL", "Brooklyn, NY") are listed as free text. They are
+ * resolved to ISO 3166-1 country codes and ISO 3166-2 regions with a bundled
+ * gazetteer (data/gazetteer.json) of country names, demonyms, alpha-3 codes
+ * and common abbreviations, plus the regions listings name:
+ *
+ *   { "countries": { "NL": { "name": "Netherlands", "alpha3": "NLD",
+ *                            "aliases": ["holland"], "demonyms": ["dutch"] } },
+ *     "regions": { "GB-WLS": { "name": "Wales", "aliases": [], "demonyms": ["welsh"] } } }
+ *
+ * Nothing is looked up online.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Gazetteer shipped with the scraper
+export const DEFAULT_GAZETTEER_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'gazetteer.json');
+
+// Two-letter codes after a comma are US states ("Brooklyn, NY", as 1stDibs writes US
+// locations) before they are countries, except these: far more dealers are in
+// Germany than in Delaware
+const COUNTRY_BEFORE_STATE = ['DE'];
+
+// Stand-ins for a place nobody recorded
+const UNKNOWN = /^(?:unknown|n\/a|none|various|not specified)$/i;
+
+/**
+ * Reduce a place name to the form it is matched in
+ * @param {string} name - Name as written
+ * @returns {string} Lowercased name without accents, dots, hyphens or repeated spaces
+ */
+function matchKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[-–_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Write a name in title case when it was written all in one case
+ * @param {string} name - e.g. "PARIS", "amstelveen"
+ * @returns {string} e.g. "Paris", "Amstelveen"; mixed case is kept
+ */
+function tidyCase(name) {
+  if (name !== name.toUpperCase() && name !== name.toLowerCase()) return name;
+  return name.toLowerCase().replace(/(^|[\s\-/'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+/**
+ * A gazetteer of countries and regions with the names they go by
+ */
+export class Gazetteer {
+  /**
+   * @param {Object} gazetteer - { countries, regions } (see above)
+   * @throws {Error} If a code or name is malformed, or a name belongs to two places of a kind
+   */
+  constructor(gazetteer = {}) {
+    this.countries = new Map();
+    this.regions = new Map();
+    // Country names, aliases, demonyms and alpha-3 codes -> country code
+    this.countryNames = new Map();
+    // Region names, aliases and demonyms -> region code
+    this.regionNames = new Map();
+
+    const addNames = (names, code, key, entry) => {
+      const spellings = [entry.name, ...(entry.aliases || []), ...(entry.demonyms || [])];
+      if (!spellings.every(spelling => typeof spelling === 'string' && spelling.trim())) {
+        throw new Error(`Names of ${key} "${code}" must be non-empty strings`);
+      }
+      for (const spelling of spellings) {
+        const known = names.get(matchKey(spelling));
+        if (known && known !== code) {
+          throw new Error(`"${spelling}" is listed for both "${known}" and "${code}"`);
+        }
+        names.set(matchKey(spelling), code);
+      }
+    };
+
+    for (const [code, entry] of Object.entries(gazetteer.countries || {})) {
+      if (!/^[A-Z]{2}$/.test(code) || !entry || !/^[A-Z]{3}$/.test(entry.alpha3 || '')) {
+        throw new Error(`Country "${code}" needs an ISO 3166 alpha-2 code and an alpha-3 code`);
+      }
+      this.countries.set(code, { code, name: entry.name, alpha3: entry.alpha3 });
+      addNames(this.countryNames, code, 'country', { ...entry, aliases: [...(entry.aliases || []), entry.alpha3] });
+    }
+
+    for (const [code, entry] of Object.entries(gazetteer.regions || {})) {
+      const country = code.slice(0, 2);
+      if (!/^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(code) || !this.countries.has(country) || !entry) {
+        throw new Error(`Region "${code}" needs an ISO 3166-2 code of a listed country`);
+      }
+      this.regions.set(code, { code, name: entry.name, country });
+      addNames(this.regionNames, code, 'region', entry);
+    }
+  }
+
+  /**
+   * Load a gazetteer from a JSON file
+   * @param {string} file - Path to the gazetteer
+   * @returns {Gazetteer} The gazetteer
+   * @throws {Error} If the file can't be read or is malformed
+   */
+  static load(file = DEFAULT_GAZETTEER_FILE) {
+    let gazetteer;
+    try {
+      gazetteer = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the gazetteer from ${file}: ${error.message}`);
+    }
+    return new Gazetteer(gazetteer);
+  }
+
+  /**
+   * Resolve a place name, demonym or code
+   *
+   * Country names win over region names ("Georgia" is the country).
+   * @param {string} text - e.g. "Denmark", "Danish", "UK", "ITA", "Wales"
+   * @returns {Object|null} { country, region }, or null if the place is unknown
+   */
+  resolve(text) {
+    if (typeof text !== 'string') return null;
+    const key = matchKey(text);
+    if (!key) return null;
+
+    const code = key.toUpperCase();
+    if (/^[A-Z]{2}$/.test(code) && this.countries.has(code)) return { country: code, region: null };
+
+    const country = this.countryNames.get(key);
+    if (country) return { country, region: null };
+
+    const region = this.regionNames.get(key);
+    return region ? { country: this.regions.get(region).country, region } : null;
+  }
+
+  /**
+   * Resolve a two-letter code written after a comma ("NY", "NL", "ON", "UK")
+   * @param {string} code - Uppercase code
+   * @returns {Object|null} { country, region }, or null if the code is unknown
+   */
+  resolveCode(code) {
+    if (this.regions.has(`US-${code}`) && !COUNTRY_BEFORE_STATE.includes(code)) {
+      return { country: 'US', region: `US-${code}` };
+    }
+    if (this.countries.has(code)) return { country: code, region: null };
+
+    const region = [...this.regions.values()].find(entry => entry.code.endsWith(`-${code}`));
+    if (region) return { country: region.country, region: region.code };
+
+    // Codes that aren't ISO 3166 but are written anyway ("UK", "EL")
+    return this.resolve(code);
+  }
+
+  /**
+   * Resolve a location written as "City, Region, Country" or any tail of it
+   *
+   * The parts after the first are read from the last; the first is the city
+   * when there is more than one part.
+   * @param {string|null} location - e.g. "Hellouw, NL", "Brooklyn, NY", "Geneva, Switzerland", "Italy"
+   * @returns {Object|null} { city, region, country }, each null if unknown, or null if there is no location
+   */
+  resolveLocation(location) {
+    if (typeof location !== 'string') return null;
+    const parts = location.split(',').map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (parts.length === 0 || UNKNOWN.test(parts.join(' '))) return null;
+
+    if (parts.length === 1) {
+      const place = this.resolve(parts[0]);
+      return place ? { city: null, ...place } : { city: tidyCase(parts[0]), region: null, country: null };
+    }
+
+    let country = null;
+    let region = null;
+    for (const part of parts.slice(1).reverse()) {
+      const place = /^[A-Za-z]{2}$/.test(part) ? this.resolveCode(part.toUpperCase()) : this.resolve(part);
+      if (!place || (country && place.country !== country)) continue;
+      country = place.country;
+      region = region || place.region;
+    }
+
+    return { city: tidyCase(parts[0]), region, country };
+  }
+}
+
+// Gazetteer loaded on first use
+let defaultGazetteer = null;
+
+/**
+ * Get the gazetteer from GAZETTEER_FILE (or the bundled one), loading it once
+ * @returns {Gazetteer} The gazetteer
+ */
+export function getGazetteer() {
+  if (!defaultGazetteer) {
+    defaultGazetteer = Gazetteer.load(process.env.GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE);
+  }
+  return defaultGazetteer;
+}
+
+/**
+ * Resolve where a piece was made
+ * @param {string|Object|null} origin - Origin as listed ("Denmark", "Danish", "Copenhagen, Denmark"), or already resolved
+ * @param {Object} options - { gazetteer } (default: the shared gazetteer)
+ * @returns {Object|null} { text, country, region }, or null if there is no origin
+ */
+export function parseOrigin(origin, { gazetteer = getGazetteer() } = {}) {
+  const text = origin && typeof origin === 'object' ? origin.text : origin;
+  if (typeof text !== 'string') return null;
+
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+  const place = gazetteer.resolveLocation(cleaned);
+  if (!place) return null;
+
+  return { text: cleaned, country: place.country, region: place.region };
+}
+
+/**
+ * Resolve a record's place of origin
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { gazetteer } (default: the shared gazetteer)
+ * @returns {Object} The record with origin and origin_country set
+ */
+export function normalizeRecordOrigin(record, { gazetteer = getGazetteer() } = {}) {
+  const origin = parseOrigin(record.origin, { gazetteer });
+
+  if (origin && !origin.country) {
+    console.warn(`Unknown place of origin "${origin.text}" for ${record.product_id}`);
+  }
+
+  return {
+    ...record,
+    origin,
+    origin_country: origin ? origin.country : null
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Image Store
+ *
+ * Archives product images on disk so they outlive the retailer's CDN URLs.
+ * Files are named after the SHA-256 of their content, so an image shared by
+ * several products (or served under several URLs) is stored once, and each
+ * product gets a manifest listing its gallery and the file of every image:
+ *
+ *   <rootDir>/files/<hash[0..2]>/<hash>.<ext>
+ *   <rootDir>/manifests/<retailer>/<product_id>.json
+ *
+ * The product record points at its manifest through image_manifest.
+ *
+ * Downloads share the scraper's politeness limits: at most
+ * maxConcurrentRequests at a time, each followed by delayBetweenRequests.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import pLimit from 'p-limit';
+
+// File extensions of the image types retailers serve
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg'
+};
+
+/**
+ * Turn a retailer name or product ID into a safe file name
+ * @param {string} value - Raw value
+ * @returns {string} Value with anything but letters, digits, dashes and underscores replaced
+ */
+function toKey(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Pick the file extension of a downloaded image
+ * @param {string} contentType - Content-Type of the response
+ * @param {string} url - Image URL, used when the type isn't a known one
+ * @returns {string} Extension including the dot
+ */
+function extensionFor(contentType, url) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+
+  const match = new URL(url).pathname.match(/\.(jpe?g|png|webp|avif|gif|svg)$/i);
+  return match ? `.${match[1].toLowerCase().replace('jpeg', 'jpg')}` : '.bin';
+}
+
+/**
+ * Download an image
+ * @param {string} url - Image URL
+ * @param {Object} options - { fetch, userAgent }
+ * @param {Function} [options.fetch] - fetch() implementation (the global one by default)
+ * @param {string} [options.userAgent] - User-Agent header to send
+ * @returns {Promise<Object>} { body, contentType } with the body as a Buffer
+ * @throws {Error} If the request fails or the response isn't an image
+ */
+export async function fetchImage(url, { fetch = globalThis.fetch, userAgent = null } = {}) {
+  const response = await fetch(url, {
+    headers: userAgent ? { 'User-Agent': userAgent } : {}
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (contentType && !/^image\//i.test(contentType)) {
+    throw new Error(`Not an image (${contentType})`);
+  }
+
+  return { body: Buffer.from(await response.arrayBuffer()), contentType };
+}
+
+/**
+ * Content-addressed archive of product images with a manifest per product
+ */
+export class ImageStore {
+  /**
+   * @param {string} rootDir - Directory holding the archive
+   * @param {Object} options - Download settings
+   * @param {number} [options.delayBetweenRequests=1500] - Pause after each download (in ms)
+   * @param {number} [options.maxConcurrentRequests=2] - Downloads at the same time
+   * @param {string} [options.userAgent] - User-Agent header sent with downloads
+   * @param {Function} [options.fetch] - fetch() implementation (the global one by default)
+   */
+  constructor(rootDir, { delayBetweenRequests = 1500, maxConcurrentRequests = 2, userAgent = null, fetch = globalThis.fetch } = {}) {
+    if (!rootDir) {
+      throw new Error('An image store needs a directory');
+    }
+
+    this.rootDir = rootDir;
+    this.delayBetweenRequests = delayBetweenRequests;
+    this.userAgent = userAgent;
+    this.fetch = fetch;
+    this.limit = pLimit(maxConcurrentRequests);
+
+    // Totals for the run summary
+    this.stats = { products: 0, downloaded: 0, reused: 0, duplicates: 0, failed: 0 };
+  }
+
+  /**
+   * Path of a product's manifest within the archive, as stored in image_manifest
+   * @param {string} retailer - Retailer name
+   * @param {string} productId - Product ID
+   * @returns {string} Path of the manifest file, relative to rootDir
+   */
+  manifestFile(retailer, productId) {
+    return path.posix.join('manifests', toKey(retailer), `${toKey(productId)}.json`);
+  }
+
+  /**
+   * Path of a product's manifest
+   * @param {string} retailer - Retailer name
+   * @param {string} productId - Product ID
+   * @returns {string} Path of the manifest file
+   */
+  manifestPath(retailer, productId) {
+    return path.join(this.rootDir, this.manifestFile(retailer, productId));
+  }
+
+  /**
+   * Read a product's manifest
+   * @param {string} retailer - Retailer name
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object|null>} The manifest, or null if the product has none
+   */
+  async loadManifest(retailer, productId) {
+    try {
+      return JSON.parse(await fs.readFile(this.manifestPath(retailer, productId), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Wait between downloads, like the scraper does between pages
+   * @returns {Promise} Promise that resolves after the delay
+   */
+  async politeDelay() {
+    if (this.delayBetweenRequests <= 0) return;
+    const jitter = Math.floor(Math.random() * 500);
+    await new Promise(resolve => setTimeout(resolve, this.delayBetweenRequests + jitter));
+  }
+
+  /**
+   * Download an image and store it under its content hash
+   * @param {string} url - Image URL
+   * @returns {Promise<Object>} { file, sha256, contentType, bytes, duplicate } - file is relative to rootDir
+   * @throws {Error} If the download fails or isn't an image
+   */
+  async download(url) {
+    return this.limit(async () => {
+      try {
+        const { body, contentType } = await fetchImage(url, { fetch: this.fetch, userAgent: this.userAgent });
+        const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+        const file = path.join('files', sha256.slice(0, 2), `${sha256}${extensionFor(contentType, url)}`);
+
+        await fs.mkdir(path.join(this.rootDir, path.dirname(file)), { recursive: true });
+
+        // The same content is only written once
+        let duplicate = false;
+        try {
+          await fs.writeFile(path.join(this.rootDir, file), body, { flag: 'wx' });
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          duplicate = true;
+        }
+
+        return { file, sha256, contentType, bytes: body.length, duplicate };
+      } finally {
+        await this.politeDelay();
+      }
+    });
+  }
+
+  /**
+   * Archive a product's images and write its manifest
+   *
+   * Images the product's previous manifest already holds (same URL, file still
+   * on disk) aren't downloaded again. Failed downloads are logged and listed
+   * in the manifest without a file.
+   * @param {Object} product - Transformed product ({ retailer, product_id, url, images: [{ url, alt }] })
+   * @returns {Promise<Object>} The manifest: { retailer, productId, url, archivedAt, images }
+   * @throws {Error} If the retailer or product ID is missing
+   */
+  async archiveProduct(product) {
+    if (!product.retailer || !product.product_id) {
+      throw new Error('Archiving images needs a retailer and a product ID');
+    }
+
+    const previous = await this.loadManifest(product.retailer, product.product_id);
+    const stored = new Map((previous ? previous.images : [])
+      .filter(image => image.file)
+      .map(image => [image.url, image]));
+
+    const images = await Promise.all((product.images || []).map(async ({ url, alt }) => {
+      const known = stored.get(url);
+      if (known && await fileExists(path.join(this.rootDir, known.file))) {
+        this.stats.reused++;
+        return { ...known, alt };
+      }
+
+      try {
+        const { duplicate, ...download } = await this.download(url);
+        this.stats.downloaded++;
+        if (duplicate) this.stats.duplicates++;
+        return { url, alt, ...download };
+      } catch (error) {
+        console.warn(`Could not archive image ${url} of ${product.product_id}: ${error.message}`);
+        this.stats.failed++;
+        return { url, alt, file: null, error: error.message };
+      }
+    }));
+
+    const manifest = {
+      retailer: product.retailer,
+      productId: product.product_id,
+      url: product.url || null,
+      archivedAt: new Date().toISOString(),
+      images
+    };
+
+    const file = this.manifestPath(product.retailer, product.product_id);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(manifest, null, 2));
+    this.stats.products++;
+
+    return manifest;
+  }
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} file - Path to check
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
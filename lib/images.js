@@ -0,0 +1,148 @@
+/**
+ * Product Images
+ *
+ * Turns the images adapters find - gallery <img> elements with their srcset
+ * and alt text, or plain URLs from JSON-LD - into an ordered list of
+ * { url, alt } at the highest resolution the retailer serves. Thumbnails are
+ * resolved through their srcset's largest candidate, and the size parameters
+ * retailer CDNs add (1stDibs' `?width=768`, IKEA's `_s3.jpg`, Cloudinary's
+ * `w_400,h_300/`, Magento's `/cache/<hash>/`) are stripped or raised.
+ */
+
+// Query parameters that only ask a CDN for a smaller rendition
+const SIZE_PARAMS = ['width', 'height', 'w', 'h', 'dpr', 'size'];
+
+// Per-CDN rewrites towards the full-size image
+const CDN_RULES = [
+  {
+    // IKEA serves sizes _s1 to _s5 and ?f=xxxs to ?f=xxxl; _s5 without ?f is the largest
+    host: /(^|\.)ikea\.com$/,
+    rewrite: url => {
+      url.pathname = url.pathname.replace(/_s[1-4](\.\w+)$/, '_s5$1');
+      url.searchParams.delete('f');
+    }
+  },
+  {
+    // Wayfair: /im/<id>/resize-h300-w300^compr-r85/...
+    host: /(^|\.)wfcdn\.com$/,
+    rewrite: url => {
+      url.pathname = url.pathname.replace(/resize-h\d+-w\d+/, 'resize-h1600-w1600');
+    }
+  },
+  {
+    // Cloudinary: /image/upload/w_400,h_300,c_fill/v1/...
+    path: /\/image\/upload\//,
+    rewrite: url => {
+      url.pathname = url.pathname.replace(/\/upload\/(?:[a-z]{1,2}_[^/]+\/)+(?=v\d+\/)/, '/upload/');
+    }
+  },
+  {
+    // Magento: /media/catalog/product/cache/<hash>/...
+    path: /\/media\/catalog\/product\/cache\/[0-9a-f]+\//,
+    rewrite: url => {
+      url.pathname = url.pathname.replace(/\/cache\/[0-9a-f]+\//, '/');
+    }
+  }
+];
+
+/**
+ * Pick the largest candidate of a srcset
+ * @param {string} srcset - e.g. "a.jpg 768w, b.jpg 1536w" or "a.jpg 1x, b.jpg 2x"
+ * @returns {string|null} The candidate URL with the largest width or density
+ */
+export function largestSrcsetCandidate(srcset) {
+  if (typeof srcset !== 'string' || !srcset.trim()) return null;
+
+  // Candidates are separated by a comma and whitespace; URLs may contain bare commas (w_400,h_300)
+  const candidates = srcset.split(/,\s+/).map(candidate => {
+    const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+    return { url, size: parseFloat(descriptor) || 1 };
+  }).filter(candidate => candidate.url);
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => (candidate.size > best.size ? candidate : best)).url;
+}
+
+/**
+ * Rewrite an image URL to ask for the full-size image
+ * @param {string} url - Absolute image URL
+ * @returns {string} The full-size URL (unchanged if it isn't a known CDN URL)
+ */
+export function fullSizeImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  for (const param of SIZE_PARAMS) {
+    if (/^\d+(\.\d+)?x?$/.test(parsed.searchParams.get(param) || '')) parsed.searchParams.delete(param);
+  }
+
+  for (const rule of CDN_RULES) {
+    if ((rule.host && rule.host.test(parsed.hostname)) || (rule.path && rule.path.test(parsed.pathname))) {
+      rule.rewrite(parsed);
+    }
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Resolve one image to { url, alt }
+ * @param {string|Object} image - URL, or { src, srcset, alt } from the page (url/contentUrl also work)
+ * @param {string} [baseUrl] - Page URL relative sources are resolved against
+ * @returns {Object|null} { url, alt }, or null if there is no usable http(s) URL
+ */
+function resolveImage(image, baseUrl) {
+  const source = typeof image === 'string' ? { src: image } : image;
+  if (!source || typeof source !== 'object') return null;
+
+  const raw = largestSrcsetCandidate(source.srcset) || source.src || source.url || source.contentUrl;
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+
+  let url;
+  try {
+    url = new URL(raw.trim(), baseUrl || undefined);
+  } catch (error) {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  const alt = typeof source.alt === 'string' ? source.alt.replace(/\s+/g, ' ').trim() : '';
+  return { url: fullSizeImageUrl(url.toString()), alt: alt || null };
+}
+
+/**
+ * Normalize a product's images into an ordered, deduplicated gallery
+ * @param {Array<string|Object>|string|null} images - Image URLs or { src, srcset, alt } objects, in gallery order
+ * @param {string} [baseUrl] - Page URL relative sources are resolved against
+ * @returns {Array<Object>} [{ url, alt }], each image once, at the highest resolution found
+ */
+export function normalizeImages(images, baseUrl = null) {
+  const gallery = [];
+
+  for (const image of [].concat(images || [])) {
+    const resolved = resolveImage(image, baseUrl);
+    if (!resolved) continue;
+
+    const existing = gallery.find(item => item.url === resolved.url);
+    if (!existing) {
+      gallery.push(resolved);
+    } else if (!existing.alt) {
+      existing.alt = resolved.alt;
+    }
+  }
+
+  return gallery;
+}
+
+/**
+ * Replace a record's images with their normalized gallery
+ * @param {Object} record - Transformed product record
+ * @returns {Object} The record with images as [{ url, alt }]
+ */
+export function normalizeRecordImages(record) {
+  return { ...record, images: normalizeImages(record.images, record.url) };
+}
@@ -0,0 +1,384 @@
+/**
+ * Price Normalization
+ *
+ * Turns the prices adapters find (display text like "CA$5,512.59" or
+ * "1 234,56 €", normalized JSON-LD offers, or the stringified offers of older
+ * records) into a numeric amount, an ISO 4217 currency and a price type.
+ */
+
+// Kinds of price a product can have
+export const PRICE_TYPES = ['regular', 'sale', 'range', 'on-request', 'unavailable'];
+
+// Currency used by each storefront country when a price only shows a symbol
+export const COUNTRY_CURRENCIES = {
+  ca: 'CAD',
+  us: 'USD',
+  gb: 'GBP',
+  ie: 'EUR',
+  au: 'AUD',
+  nz: 'NZD',
+  de: 'EUR',
+  fr: 'EUR',
+  nl: 'EUR',
+  be: 'EUR',
+  it: 'EUR',
+  es: 'EUR',
+  at: 'EUR',
+  ch: 'CHF',
+  se: 'SEK',
+  no: 'NOK',
+  dk: 'DKK',
+  jp: 'JPY',
+  mx: 'MXN'
+};
+
+// Currency symbols, longest first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['US$', 'USD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['MX$', 'MXN'],
+  ['S$', 'SGD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['Fr.', 'CHF']
+];
+
+// ISO codes recognised when written out in a price ("EUR 1.200", "1,200 USD")
+const CURRENCY_CODES = [
+  'USD', 'CAD', 'EUR', 'GBP', 'CHF', 'AUD', 'NZD', 'HKD', 'SGD', 'JPY',
+  'CNY', 'INR', 'MXN', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK'
+];
+
+// Currencies written with a plain "$"
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN'];
+
+// Currencies written with "kr"
+const KRONA_CURRENCIES = ['SEK', 'NOK', 'DKK'];
+
+const ON_REQUEST_PATTERN = /(price|prices)\s+(up)?on\s+request|request\s+(a\s+)?(price|quote)|contact\s+(us|seller|for)|call\s+for\s+price|\bP\.?O\.?R\b/i;
+const UNAVAILABLE_PATTERN = /not\s+available|unavailable|sold(\s+out)?\b|no\s+longer/i;
+const SALE_PATTERN = /\bsale\b|\bnow\b|\bwas\b|reduced|\bsave\b|[\d%]\s*off\b|clearance|regular\s+price|compare\s+at/i;
+const RANGE_SEPARATOR_PATTERN = /^\s*(-|–|—|to|à|bis)\s*$/i;
+const PERCENT_PATTERN = /^\s*%/;
+// A discount: the amount after "save" or before "off" ("Save $200", "$200 off")
+const SAVING_BEFORE_PATTERN = /\bsave\s*(up\s+to\s*)?$/i;
+const SAVING_AFTER_PATTERN = /^\s*off\b/i;
+// The price a discount is taken off ("25% off $1,000")
+const DISCOUNTED_PATTERN = /\boff\s*$/i;
+// A lower bound rather than the price ("From $199", "Starting at $1,299")
+const STARTING_PATTERN = /\b(from|starting(\s+(at|from))?|as\s+low\s+as|à\s+partir\s+de|ab)\s*$/i;
+
+// A number as displayed: digits with grouping spaces, apostrophes, dots or commas
+const NUMBER_PATTERN = /\d(?:[\d.,'’\s  ]*\d)?/g;
+
+/**
+ * Parse a displayed number written in any common locale format
+ *
+ * "1,234.56", "1.234,56", "1 234,56" and "1'234.56" all give 1234.56. A lone
+ * separator followed by exactly three digits is read as a thousands separator,
+ * unless it follows a leading zero ("0,123").
+ * @param {string} text - The number as displayed
+ * @returns {number|null} The number, or null if it can't be read
+ */
+export function parseLocaleNumber(text) {
+  if (text === null || text === undefined) return null;
+
+  const compact = String(text).trim().replace(/[\s  '’]/g, '');
+  if (!/^\d[\d.,]*$/.test(compact)) return null;
+
+  let normalized = compact;
+  const lastDot = compact.lastIndexOf('.');
+  const lastComma = compact.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both are used: the last one is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const grouping = decimal === '.' ? ',' : '.';
+    normalized = compact.split(grouping).join('').replace(decimal, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = compact.split(separator);
+    const isGrouping = parts.length > 2 || (parts[parts.length - 1].length === 3 && parts[0] !== '0');
+    normalized = isGrouping ? parts.join('') : parts.join('.');
+  }
+
+  const value = Number(normalized);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Read the first number in a piece of text, in any common locale format
+ * @param {string} text - e.g. "USD 1.234,56" or "Width: 84 in"
+ * @returns {number|null} The number, or null if the text has none
+ */
+export function parseNumberIn(text) {
+  const match = String(text === null || text === undefined ? '' : text).match(new RegExp(NUMBER_PATTERN.source));
+  return match ? parseLocaleNumber(match[0]) : null;
+}
+
+/**
+ * Get the currency of a storefront country
+ * @param {string} country - Two-letter country code
+ * @returns {string|null} The ISO 4217 currency code
+ */
+export function currencyForCountry(country) {
+  return (country && COUNTRY_CURRENCIES[country.toLowerCase()]) || null;
+}
+
+/**
+ * Detect the currency of a displayed price
+ * @param {string} text - The price as displayed
+ * @param {string|null} fallbackCurrency - Currency to assume for bare "$" or "kr"
+ * @returns {string|null} The ISO 4217 currency code
+ */
+export function detectCurrency(text, fallbackCurrency = null) {
+  const code = CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`).test(text));
+  if (code) return code;
+
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => text.includes(candidate));
+  if (symbol) return symbol[1];
+
+  if (text.includes('$')) {
+    return DOLLAR_CURRENCIES.includes(fallbackCurrency) ? fallbackCurrency : 'USD';
+  }
+
+  if (/\bkr\b/i.test(text)) {
+    return KRONA_CURRENCIES.includes(fallbackCurrency) ? fallbackCurrency : null;
+  }
+
+  return fallbackCurrency;
+}
+
+/**
+ * Remove currency codes and symbols from a piece of price text
+ * @param {string} text - Price text
+ * @returns {string} The text without them
+ */
+function stripCurrency(text) {
+  let stripped = text;
+  CURRENCY_SYMBOLS.forEach(([symbol]) => { stripped = stripped.split(symbol).join(''); });
+  return stripped
+    .replace(new RegExp(`\\b(${CURRENCY_CODES.join('|')}|kr)\\b`, 'gi'), '')
+    .replace(/\$/g, '');
+}
+
+/**
+ * Build a normalized price
+ * @param {Object} fields - Any of { type, amount, currency, minAmount, maxAmount, regularAmount, text }
+ * @returns {Object} The price with every key present
+ */
+function createPrice(fields) {
+  return {
+    type: null,
+    amount: null,
+    currency: null,
+    minAmount: null,
+    maxAmount: null,
+    regularAmount: null,
+    text: null,
+    ...fields
+  };
+}
+
+/**
+ * Check whether a currency symbol or code is written next to a number
+ * @param {string} text - Price text
+ * @param {Object} match - { text, index } of the number
+ * @returns {boolean} True for "$50", "50 €", "EUR 50" or "50kr"
+ */
+function hasCurrencyMarker(text, match) {
+  const before = text.slice(0, match.index).trimEnd();
+  const after = text.slice(match.index + match.text.length).trimStart();
+  const marked = candidate => before.endsWith(candidate) || after.startsWith(candidate);
+
+  return marked('$')
+    || CURRENCY_SYMBOLS.some(([symbol]) => marked(symbol))
+    || new RegExp(`\\b(${CURRENCY_CODES.join('|')}|kr)$`, 'i').test(before)
+    || new RegExp(`^(${CURRENCY_CODES.join('|')}|kr)\\b`, 'i').test(after);
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} The rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parse a displayed price
+ *
+ * Percentages and discounts ("25% off", "Save $200") mark a sale but aren't
+ * prices, and neither are counts ("2 for $50") when another number has a
+ * currency next to it. A lone "From $199" is a range with no maximum.
+ * @param {string} text - The price as displayed
+ * @param {string|null} fallbackCurrency - Currency to assume when the text only has a symbol
+ * @returns {Object|null} The normalized price, or null for empty text
+ */
+export function parsePriceText(text, fallbackCurrency = null) {
+  const displayed = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!displayed) return null;
+
+  const before = match => stripCurrency(displayed.slice(0, match.index));
+  const after = match => stripCurrency(displayed.slice(match.index + match.text.length));
+
+  const numbers = [...displayed.matchAll(NUMBER_PATTERN)]
+    .map(match => ({ text: match[0], index: match.index, value: parseLocaleNumber(match[0]) }))
+    .filter(match => match.value !== null);
+  const percent = numbers.find(match => PERCENT_PATTERN.test(displayed.slice(match.index + match.text.length)));
+  const saving = numbers.find(match => match !== percent
+    && (SAVING_BEFORE_PATTERN.test(before(match)) || SAVING_AFTER_PATTERN.test(after(match))));
+
+  let amounts = numbers.filter(match => match !== saving
+    && !PERCENT_PATTERN.test(displayed.slice(match.index + match.text.length)));
+  if (amounts.some(match => hasCurrencyMarker(displayed, match))) {
+    amounts = amounts.filter(match => hasCurrencyMarker(displayed, match));
+  }
+
+  if (amounts.length === 0) {
+    if (ON_REQUEST_PATTERN.test(displayed)) return createPrice({ type: 'on-request', text: displayed });
+    if (UNAVAILABLE_PATTERN.test(displayed)) return createPrice({ type: 'unavailable', text: displayed });
+    return createPrice({ text: displayed });
+  }
+
+  const currency = detectCurrency(displayed, fallbackCurrency);
+  const isSale = SALE_PATTERN.test(displayed);
+
+  if (amounts.length === 1) {
+    const [price] = amounts;
+    if (!isSale && STARTING_PATTERN.test(before(price))) {
+      return createPrice({ type: 'range', amount: price.value, currency, minAmount: price.value, text: displayed });
+    }
+    if (!isSale) return createPrice({ type: 'regular', amount: price.value, currency, text: displayed });
+
+    const discount = saving ? { amount: saving.value } : percent ? { rate: percent.value / 100 } : null;
+
+    // "25% off $1,000", "$200 off $1,000": the amount is the price before the discount
+    if (discount && DISCOUNTED_PATTERN.test(before(price))) {
+      const amount = discount.amount !== undefined ? price.value - discount.amount : price.value * (1 - discount.rate);
+      return createPrice({ type: 'sale', amount: roundAmount(amount), currency, regularAmount: price.value, text: displayed });
+    }
+
+    // "$1,000 Save $200", "$750 (25% off)": the amount is the sale price
+    let regularAmount = null;
+    if (discount && discount.amount !== undefined) regularAmount = roundAmount(price.value + discount.amount);
+    if (discount && discount.rate > 0 && discount.rate < 1) regularAmount = roundAmount(price.value / (1 - discount.rate));
+    return createPrice({ type: 'sale', amount: price.value, currency, regularAmount, text: displayed });
+  }
+
+  // Two amounts are a range when only a dash or "to" separates them
+  const [first, second] = amounts;
+  const between = stripCurrency(displayed.slice(first.index + first.text.length, second.index));
+
+  if (!isSale && RANGE_SEPARATOR_PATTERN.test(between)) {
+    const minAmount = Math.min(first.value, second.value);
+    const maxAmount = Math.max(first.value, second.value);
+    return createPrice({ type: 'range', amount: minAmount, currency, minAmount, maxAmount, text: displayed });
+  }
+
+  // Otherwise the lowest amount is the sale price and the highest the regular one
+  const values = amounts.map(match => match.value);
+  return createPrice({
+    type: 'sale',
+    amount: Math.min(...values),
+    currency,
+    regularAmount: Math.max(...values),
+    text: displayed
+  });
+}
+
+/**
+ * Normalize a JSON-LD offer (as returned by normalizeOffers())
+ * @param {Object} offer - { price, lowPrice, highPrice, currency, availability }
+ * @param {string|null} fallbackCurrency - Currency to assume when the offer has none
+ * @returns {Object|null} The normalized price
+ */
+function parseOffer(offer, fallbackCurrency) {
+  const toAmount = value => (typeof value === 'number' ? value : parseLocaleNumber(value));
+  const price = toAmount(offer.price);
+  const lowPrice = toAmount(offer.lowPrice);
+  const highPrice = toAmount(offer.highPrice);
+  const currency = offer.currency || offer.priceCurrency || fallbackCurrency;
+
+  if (lowPrice !== null && highPrice !== null && lowPrice !== highPrice) {
+    return createPrice({ type: 'range', amount: lowPrice, currency, minAmount: lowPrice, maxAmount: highPrice });
+  }
+
+  const amount = price !== null ? price : lowPrice;
+  if (amount === null) {
+    return /SoldOut|OutOfStock|Discontinued/.test(offer.availability || '')
+      ? createPrice({ type: 'unavailable', currency })
+      : null;
+  }
+
+  return createPrice({ type: 'regular', amount, currency });
+}
+
+/**
+ * Normalize any price an adapter found
+ *
+ * Accepts display text, numbers, normalized offers, `{ text }` or `{ price }`
+ * objects, and the JSON strings older records stored in the price column.
+ * @param {Object|string|number|null} price - The price as found
+ * @param {string|null} fallbackCurrency - Currency to assume when the price doesn't say
+ * @returns {Object|null} { type, amount, currency, minAmount, maxAmount, regularAmount, text }, or null if there is no price
+ */
+export function parsePrice(price, fallbackCurrency = null) {
+  if (price === null || price === undefined || price === '') return null;
+
+  if (typeof price === 'number') {
+    return Number.isFinite(price) ? createPrice({ type: 'regular', amount: price, currency: fallbackCurrency }) : null;
+  }
+
+  if (typeof price === 'string') {
+    const trimmed = price.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        return parsePrice(JSON.parse(trimmed), fallbackCurrency);
+      } catch (error) {
+        // Not JSON after all, read it as display text
+      }
+    }
+    return parsePriceText(trimmed, fallbackCurrency);
+  }
+
+  if (typeof price !== 'object') return null;
+
+  // Already normalized
+  if (PRICE_TYPES.includes(price.type) && 'amount' in price) return createPrice(price);
+
+  if (price.text !== undefined) return parsePriceText(price.text, fallbackCurrency);
+
+  // { price: "$199" } from the DOM fallbacks of older records
+  if (typeof price.price === 'string' && !('lowPrice' in price)) {
+    return parsePriceText(price.price, price.currency || fallbackCurrency);
+  }
+
+  return parseOffer(price, fallbackCurrency);
+}
+
+/**
+ * Replace a record's price with the normalized one and fill the typed price columns
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { country } of the storefront, used when the price only shows a symbol
+ * @returns {Object} The record with price, price_amount, price_currency and price_type set
+ */
+export function normalizeRecordPrice(record, { country } = {}) {
+  const price = parsePrice(record.price, record.price_currency || currencyForCountry(country));
+
+  return {
+    ...record,
+    price,
+    price_amount: price ? price.amount : null,
+    price_currency: price ? price.currency : null,
+    price_type: price ? price.type : null
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Canonical Product Schema
+ *
+ * The shape every adapter's records are brought into before they are stored,
+ * so products from all retailers land in the same columns. Adapters return
+ * the fields they know from transformProductData(); createProductRecord()
+ * fills in the rest, stamps the versions and validates the result.
+ *
+ * Bump SCHEMA_VERSION whenever a field is added, removed or changes meaning,
+ * and update supabase-schema.sql to match.
+ *
+ * Versions:
+ *   1 - initial schema
+ *   2 - price normalized by lib/price.js, typed price_amount and price_type
+ *   3 - reporting-currency amount (lib/currency.js)
+ *   4 - dimensions parsed into centimetres (lib/dimensions.js)
+ *   5 - materials, style and period normalized against a vocabulary (lib/vocabulary.js)
+ *   6 - category from the shared taxonomy (lib/categories.js)
+ *   7 - retailer breadcrumb trail (lib/breadcrumbs.js)
+ *   8 - images are the full gallery as { url, alt } (lib/images.js)
+ *   9 - dominant colour palette of the primary image (lib/colors.js)
+ *  10 - description sections (lib/description.js) and condition grade (lib/condition.js)
+ *  11 - designer, maker and brand attribution (lib/designers.js)
+ *  12 - quantity, unit price and sale unit (lib/quantity.js)
+ *  13 - seller records with parsed location and rating, linked by seller_id (lib/sellers.js)
+ *  14 - place of origin and seller locations resolved with the gazetteer (lib/geo.js)
+ *  15 - image_manifest linking the product to its archived images (lib/image-store.js)
+ */
+import { PRICE_TYPES } from './price.js';
+import { DIMENSION_KEYS } from './dimensions.js';
+import { AUTHENTICITY } from './vocabulary.js';
+import { CATEGORY_SOURCES } from './categories.js';
+import { CONDITION_GRADES } from './condition.js';
+import { SOLD_AS } from './quantity.js';
+
+// Version of the schema below, stored on every record as schema_version
+export const SCHEMA_VERSION = 15;
+
+// schema.org ItemAvailability values, without the https://schema.org/ prefix
+export const AVAILABILITY = [
+  'InStock',
+  'OutOfStock',
+  'PreOrder',
+  'PreSale',
+  'BackOrder',
+  'MadeToOrder',
+  'LimitedAvailability',
+  'InStoreOnly',
+  'OnlineOnly',
+  'SoldOut',
+  'Discontinued',
+  'Reserved'
+];
+
+/**
+ * Field definitions
+ *
+ * Each field has a `type` (string, number, integer, object, array), may be
+ * `required` (present and not null) and may add `default`, `items` (array
+ * element type), `itemProperties` (allowed keys of object elements), `values`
+ * (allowed types of an object's values), `properties` (allowed keys of an
+ * object), `enum` or `pattern`.
+ */
+export const PRODUCT_FIELDS = {
+  retailer: { type: 'string', required: true },
+  product_id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  slug: { type: 'string' },
+  url: { type: 'string', required: true },
+  description: { type: 'string' },
+  // The description's headed sections, in order (see lib/description.js)
+  description_sections: { type: 'array', items: 'object', itemProperties: ['heading', 'text'], default: () => [] },
+  // Normalized price (see parsePrice() in lib/price.js)
+  price: {
+    type: 'object',
+    properties: [
+      'type', 'amount', 'currency', 'minAmount', 'maxAmount', 'regularAmount', 'text',
+      'reportingAmount', 'reportingCurrency', 'rateDate'
+    ]
+  },
+  price_amount: { type: 'number' },
+  price_currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+  price_type: { type: 'string', enum: PRICE_TYPES },
+  // price_amount converted with the exchange-rate table (see lib/currency.js)
+  price_reporting_amount: { type: 'number' },
+  price_reporting_currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+  // Pieces the price covers and the price of one (see lib/quantity.js)
+  quantity: { type: 'integer' },
+  unit_price: { type: 'number' },
+  sold_as: { type: 'string', enum: SOLD_AS },
+  // Gallery in page order, at full size (see normalizeImages() in lib/images.js)
+  images: { type: 'array', items: 'object', itemProperties: ['url', 'alt'], default: () => [] },
+  // Manifest of the archived images and their files, relative to the image archive (see lib/image-store.js)
+  image_manifest: { type: 'string' },
+  // Dominant colours of the primary image, largest share first (see lib/colors.js)
+  colors: { type: 'array', items: 'object', itemProperties: ['hex', 'share', 'family'], default: () => [] },
+  // Centimetres, plus the unit they were listed in (see parseDimensions() in lib/dimensions.js)
+  dimensions: {
+    type: 'object',
+    properties: [...DIMENSION_KEYS, 'sourceUnit'],
+    values: ['number', 'string']
+  },
+  // Canonical names from the vocabulary (see lib/vocabulary.js)
+  materials: { type: 'array', items: 'string', default: () => [] },
+  style: { type: 'string' },
+  style_authenticity: { type: 'string', enum: AUTHENTICITY },
+  // Years the piece was made in (see parsePeriod() in lib/vocabulary.js)
+  period: { type: 'object', properties: ['text', 'startYear', 'endYear', 'decade'] },
+  period_start_year: { type: 'integer' },
+  period_end_year: { type: 'integer' },
+  decade: { type: 'integer' },
+  // Where the piece was made, resolved to ISO 3166 (see lib/geo.js)
+  origin: { type: 'object', properties: ['text', 'country', 'region'] },
+  origin_country: { type: 'string', pattern: /^[A-Z]{2}$/ },
+  // The retailer's navigation trail, outermost first (see lib/breadcrumbs.js)
+  breadcrumbs: { type: 'array', items: 'string', default: () => [] },
+  // Path in the category taxonomy, e.g. "Seating > Dining Chairs" (see lib/categories.js)
+  category: { type: 'string' },
+  category_source: { type: 'string', enum: CATEGORY_SOURCES },
+  // Condition as listed, graded (see lib/condition.js)
+  condition: { type: 'object', properties: ['grade', 'rating', 'details', 'restorations'] },
+  condition_grade: { type: 'string', enum: CONDITION_GRADES },
+  // Canonical names from the designer directory (see lib/designers.js)
+  designer: { type: 'string' },
+  maker: { type: 'string' },
+  brand: { type: 'string' },
+  availability: { type: 'string', enum: AVAILABILITY },
+  // The dealer, linked to the sellers table by retailer and seller_id (see lib/sellers.js)
+  seller: {
+    type: 'object',
+    properties: ['id', 'name', 'url', 'location', 'city', 'region', 'country', 'rating', 'reviewCount']
+  },
+  seller_id: { type: 'string' },
+  seller_country: { type: 'string', pattern: /^[A-Z]{2}$/ },
+  raw_data: { type: 'object', required: true },
+  extractor_version: { type: 'integer', required: true },
+  schema_version: { type: 'integer', required: true }
+};
+
+/**
+ * Check a value against a type name
+ * @param {any} value - Value to check
+ * @param {string} type - string, number, integer, object or array
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Fill in every schema field a record doesn't set, with its default or null
+ * @param {Object} record - Partial product record
+ * @returns {Object} The record with all schema fields present
+ */
+export function withDefaults(record) {
+  const complete = {};
+
+  for (const [field, definition] of Object.entries(PRODUCT_FIELDS)) {
+    const value = record[field];
+    complete[field] = value !== undefined && value !== null
+      ? value
+      : (definition.default ? definition.default() : null);
+  }
+
+  // Keep unknown fields so validation can report them
+  for (const [field, value] of Object.entries(record)) {
+    if (!(field in complete)) complete[field] = value;
+  }
+
+  return complete;
+}
+
+/**
+ * Validate a product record against the canonical schema
+ * @param {Object} record - Product record
+ * @returns {Object} { valid, errors } where errors lists every problem found
+ */
+export function validateProduct(record) {
+  const errors = [];
+
+  if (!hasType(record, 'object')) {
+    return { valid: false, errors: ['record must be an object'] };
+  }
+
+  for (const field of Object.keys(record)) {
+    if (!(field in PRODUCT_FIELDS)) errors.push(`${field}: not part of the product schema`);
+  }
+
+  for (const [field, definition] of Object.entries(PRODUCT_FIELDS)) {
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      if (definition.required) errors.push(`${field}: required`);
+      continue;
+    }
+
+    if (!hasType(value, definition.type)) {
+      errors.push(`${field}: expected ${definition.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+      continue;
+    }
+
+    if (definition.required && value === '') {
+      errors.push(`${field}: must not be empty`);
+    }
+
+    if (definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${field}: "${value}" is not one of ${definition.enum.join(', ')}`);
+    }
+
+    if (definition.pattern && !definition.pattern.test(value)) {
+      errors.push(`${field}: "${value}" doesn't match ${definition.pattern}`);
+    }
+
+    if (definition.items && !value.every(item => hasType(item, definition.items))) {
+      errors.push(`${field}: every item must be ${/^[aeiou]/.test(definition.items) ? 'an' : 'a'} ${definition.items}`);
+    }
+
+    if (definition.itemProperties) {
+      value.forEach((item, index) => {
+        if (!hasType(item, 'object')) return;
+        for (const key of Object.keys(item)) {
+          if (!definition.itemProperties.includes(key)) errors.push(`${field}[${index}].${key}: not part of the product schema`);
+        }
+      });
+    }
+
+    if (definition.values) {
+      for (const [key, item] of Object.entries(value)) {
+        if (!definition.values.some(type => hasType(item, type))) {
+          errors.push(`${field}.${key}: expected ${definition.values.join(' or ')}`);
+        }
+      }
+    }
+
+    if (definition.properties) {
+      for (const key of Object.keys(value)) {
+        if (!definition.properties.includes(key)) errors.push(`${field}.${key}: not part of the product schema`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Map an availability value (schema.org URL or name, or OpenGraph text like "in stock") onto AVAILABILITY
+ * @param {string|null} value - Raw availability
+ * @returns {string|null} The schema.org name, or null if it isn't recognized
+ */
+export function normalizeAvailability(value) {
+  if (!value) return null;
+
+  const key = String(value).replace(/^.*[/:]/, '').replace(/[\s_-]+/g, '').toLowerCase();
+  return AVAILABILITY.find(name => name.toLowerCase() === key) || null;
+}
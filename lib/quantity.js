@@ -0,0 +1,161 @@
+/**
+ * Quantity and Sale Unit
+ *
+ * Vintage listings are often a "Set of Four", a "Pair of" or "Sold
+ * individually", so the listed price may cover several pieces. The quantity
+ * the price covers and the unit it is sold as are read from the title, the
+ * specifications and the description:
+ *
+ *   "Kai Kristiansen Set of Four Dining Chairs"  -> { quantity: 4, soldAs: 'set' }
+ *   "Pair of 19th Century English Oak Stools"    -> { quantity: 2, soldAs: 'pair' }
+ *   "... Two available, sold separately."        -> { quantity: 1, soldAs: 'single' }
+ *
+ * so prices can be compared per piece.
+ */
+
+// Units a product can be sold as, stored as sold_as
+export const SOLD_AS = ['single', 'pair', 'set'];
+
+// Counts sellers write out
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, sixteen: 16, twenty: 20, dozen: 12
+};
+
+// A count as digits or a word
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Pieces a title names in the plural ("Dining Chairs")
+const PLURAL_PIECES = 'chairs|armchairs|stools|benches|lamps|sconces|nightstands|ottomans|poufs|tables|sofas|settees|bergeres';
+
+// Phrases naming how many pieces the listing is, in the order they are tried.
+// Titles can be trusted with a bare "Pair"; running text needs "this pair".
+const QUANTITY_PHRASES = [
+  // "1 of 2 French Armchairs", "One of a pair": one piece of several
+  { pattern: new RegExp(`^(?:1|one)\\s+of\\s+(?:${NUMBER}|a\\s+pair)\\b|\\bone\\s+of\\s+a\\s+pair\\b`, 'i'), soldAs: 'single', quantity: 1, titleOnly: true },
+  { pattern: new RegExp(`\\b${NUMBER}\\s+pairs\\s+of\\b`, 'i'), soldAs: 'set', pieces: 2 },
+  { pattern: new RegExp(`\\bset\\s+(?:of|di|de)\\s+${NUMBER}\\b`, 'i'), soldAs: 'set' },
+  { pattern: new RegExp(`\\b${NUMBER}[-\\s]pieces?\\s+(?:\\w+\\s+)?set\\b`, 'i'), soldAs: 'set' },
+  { pattern: /\btrio\b/i, soldAs: 'set', quantity: 3 },
+  // "Six Henredon Dining Chairs"
+  { pattern: new RegExp(`^${NUMBER}\\s+(?=.*\\b(?:${PLURAL_PIECES})\\b)`, 'i'), soldAs: 'set', titleOnly: true },
+  { pattern: /\bpair\b/i, soldAs: 'pair', quantity: 2, titleOnly: true },
+  { pattern: /\b(?:this|these)\s+(?:[\w-]+\s+){0,2}pair\b/i, soldAs: 'pair', quantity: 2 },
+  // "Set of Mid-Century Lounge Chairs": a set of unknown size
+  { pattern: /\bset\s+of\b/i, soldAs: 'set', quantity: null, titleOnly: true }
+];
+
+// "Sold individually", "Price is per stool", "Two available, sold separately"
+const SOLD_SINGLY = /\b(?:sold|priced|offered)\s+(?:individually|separately|singly|per\s+(?:piece|item|unit|chair|stool))\b|\bprice\s+(?:is\s+)?(?:per|for\s+(?:each|one|a\s+single))\s+(?:piece|item|unit|chair|armchair|stool|lamp|table|one)\b/i;
+
+// "Price is for the set of four pieces", "priced and sold in a set of 2", "Sold as a pair"
+const SOLD_TOGETHER = new RegExp(`\\b(?:price\\s+(?:is\\s+)?for|(?:sold|priced)(?:\\s+and\\s+sold)?\\s+(?:as|in))\\s+(?:the|a|an|this)\\s+(set|pair)\\b(?:\\s+of\\s+${NUMBER}\\b)?`, 'i');
+
+/**
+ * Read a count
+ * @param {string} text - Digits or a number word
+ * @returns {number|null} The count, or null if it isn't a positive number
+ */
+function toCount(text) {
+  const count = /^\d+$/.test(text) ? parseInt(text, 10) : NUMBER_WORDS[text.toLowerCase()];
+  return count > 0 ? count : null;
+}
+
+/**
+ * Find the first quantity phrase in a text
+ * @param {string|null} text - Title, specifications or description
+ * @param {Object} options - { title }: whether the text is the title
+ * @returns {Object|null} { quantity, soldAs }, or null if no phrase matches
+ */
+function matchPhrases(text, { title = false } = {}) {
+  if (!text) return null;
+
+  for (const { pattern, soldAs, quantity, pieces = 1, titleOnly = false } of QUANTITY_PHRASES) {
+    const match = !titleOnly || title ? text.match(pattern) : null;
+    if (!match) continue;
+
+    const count = quantity !== undefined ? quantity : toCount(match[1]) * pieces;
+    // A set of two is a pair
+    return { quantity: count, soldAs: soldAs === 'set' && count === 2 ? 'pair' : soldAs };
+  }
+
+  return null;
+}
+
+/**
+ * Work out how many pieces a listing's price covers
+ *
+ * What the seller says about the price ("sold individually", "price is for
+ * the set") wins; otherwise the title, the specifications and the
+ * description are searched in that order. A title naming no count is a
+ * single piece, unless it names several ("Dining Chairs").
+ * @param {Object} listing - { title, description, specifications } texts
+ * @returns {Object|null} { quantity, soldAs } (quantity null for a set of unknown size), or null if unknown
+ */
+export function parseQuantity({ title = null, description = null, specifications = null } = {}) {
+  const text = [specifications, description].filter(Boolean).join('\n');
+  const matches = [matchPhrases(title, { title: true }), matchPhrases(specifications), matchPhrases(description)]
+    .filter(Boolean);
+  // A later count completes a title's "Set of Chairs"
+  const found = matches.find(match => match.quantity) || matches[0] || null;
+
+  if (SOLD_SINGLY.test(text) && !SOLD_TOGETHER.test(text)) {
+    return { quantity: 1, soldAs: 'single' };
+  }
+
+  const together = text.match(SOLD_TOGETHER);
+  if (together) {
+    const unit = together[1].toLowerCase();
+    const quantity = (together[2] && toCount(together[2]))
+      || (found && found.soldAs !== 'single' ? found.quantity : null)
+      || (unit === 'pair' ? 2 : null);
+    return { quantity, soldAs: unit === 'set' && quantity === 2 ? 'pair' : unit };
+  }
+
+  if (found) return found;
+  // Several pieces, but not how many
+  if (title && new RegExp(`\\b(?:${PLURAL_PIECES})\\b`, 'i').test(title)) return null;
+  return title ? { quantity: 1, soldAs: 'single' } : null;
+}
+
+/**
+ * Collect the specification text an adapter kept in raw_data
+ * @param {Object} record - Transformed product record
+ * @returns {string|null} The specification values, one per line, or null if there are none
+ */
+function specificationText(record) {
+  const specifications = record.raw_data && record.raw_data.specifications;
+  if (!specifications || typeof specifications !== 'object') return null;
+
+  const lines = Object.entries(specifications)
+    // rawSpecificationsText and rawHtml repeat the description
+    .filter(([key]) => !key.startsWith('raw'))
+    .flatMap(([, value]) => [].concat(value))
+    .filter(value => typeof value === 'string');
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Set a record's quantity, sale unit and price per piece
+ * @param {Object} record - Transformed product record (with its normalized price)
+ * @returns {Object} The record with quantity, unit_price and sold_as set
+ */
+export function normalizeRecordQuantity(record) {
+  const parsed = parseQuantity({
+    title: record.name,
+    description: record.description,
+    specifications: specificationText(record)
+  });
+  const quantity = parsed ? parsed.quantity : null;
+
+  return {
+    ...record,
+    quantity,
+    // In price_currency, like price_amount
+    unit_price: quantity && typeof record.price_amount === 'number'
+      ? Math.round(record.price_amount / quantity * 100) / 100
+      : null,
+    sold_as: parsed ? parsed.soldAs : null
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Re-extraction
+ *
+ * Runs the current adapter's extractProductData and transformProductData over
+ * an archived page snapshot. The snapshot is served for the product URL and
+ * every other request is aborted, so nothing reaches the network. Products
+ * without a snapshot can be re-scraped from their URL instead.
+ *
+ * Fields FurnitureScraper fills in after extraction (the colour palette and
+ * the image manifest) are not recomputed here, so they are left as stored.
+ */
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+import { saveDesigners } from './designers.js';
+import { saveSeller } from './sellers.js';
+
+// Fields added after createProductRecord by FurnitureScraper.saveProduct, which a
+// re-extracted product only has as their defaults
+export const ENRICHED_FIELDS = ['colors', 'image_manifest'];
+
+/**
+ * Pick the adapter for a snapshot, preferring the one its URL resolves to
+ * @param {Object} snapshot - Loaded snapshot ({ retailer, url })
+ * @returns {BaseAdapter} The adapter instance
+ */
+export function getAdapterForSnapshot(snapshot) {
+  const resolved = snapshot.url ? AdapterFactory.resolveUrl(snapshot.url) : null;
+
+  if (resolved && resolved.retailer === snapshot.retailer) {
+    return AdapterFactory.getAdapterForUrl(snapshot.url);
+  }
+
+  return AdapterFactory.getAdapter(snapshot.retailer);
+}
+
+/**
+ * Re-extract a product from its snapshot
+ * @param {Browser} browser - Playwright browser
+ * @param {Object} snapshot - Loaded snapshot ({ retailer, productId, url, html })
+ * @param {BaseAdapter} adapter - Adapter to use (defaults to getAdapterForSnapshot())
+ * @returns {Promise<Object|null>} The transformed product, or null if extraction failed
+ */
+export async function reextractSnapshot(browser, snapshot, adapter = getAdapterForSnapshot(snapshot)) {
+  // The snapshot is the rendered DOM, so the page's own scripts must not run again
+  const context = await browser.newContext({ javaScriptEnabled: false, serviceWorkers: 'block' });
+  const productUrl = snapshot.url.split('#')[0];
+
+  await context.route('**/*', route => {
+    const request = route.request();
+
+    if (request.isNavigationRequest() && request.url().split('#')[0] === productUrl) {
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: snapshot.html });
+    }
+
+    return route.abort();
+  });
+
+  try {
+    const page = await context.newPage();
+    const productData = await adapter.extractProductData(page, snapshot.url);
+    return adapter.createProductRecord(productData);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Re-scrape a single product from the live site
+ * @param {Browser} browser - Playwright browser
+ * @param {string} url - Product URL
+ * @param {BaseAdapter} adapter - Adapter to use (defaults to the one the URL resolves to)
+ * @returns {Promise<Object|null>} The transformed product, or null if extraction failed
+ */
+export async function rescrapeUrl(browser, url, adapter = AdapterFactory.getAdapterForUrl(url)) {
+  const context = await browser.newContext({
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36'
+  });
+
+  try {
+    const page = await context.newPage();
+    const productData = await adapter.extractProductData(page, url);
+    return adapter.createProductRecord(productData);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Replace a stored product's fields with re-extracted ones
+ *
+ * The ENRICHED_FIELDS are kept as stored.
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Object} product - Product record
+ * @returns {Promise<boolean>} True if the update succeeded
+ */
+export async function updateStoredProduct(supabase, product) {
+  const { retailer, product_id, ...fields } = product;
+  for (const field of ENRICHED_FIELDS) delete fields[field];
+  await saveDesigners(supabase, product);
+  await saveSeller(supabase, product);
+
+  const { error } = await supabase
+    .from('products')
+    .update(fields)
+    .eq('retailer', retailer)
+    .eq('product_id', product_id);
+
+  if (error) {
+    console.error(`Error updating ${retailer} ${product_id}:`, error.message);
+    return false;
+  }
+
+  return true;
+}
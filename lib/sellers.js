@@ -0,0 +1,143 @@
+/**
+ * Sellers
+ *
+ * Marketplaces like 1stDibs list pieces from many dealers. The dealer an
+ * adapter finds on the page - name, profile URL, location and rating - is
+ * turned into a seller record of its own, keyed by retailer and seller id,
+ * so inventory can be grouped by dealer:
+ *
+ *   { id: 'almelo-design-house', name: 'Almelo Design House',
+ *     url: 'https://www.1stdibs.com/dealers/almelo-design-house/',
+ *     location: 'Almelo, NL', city: 'Almelo', region: null, country: 'NL',
+ *     rating: 4.9, reviewCount: 212 }
+ *
+ * Products link to it through seller_id.
+ */
+import { designerSlug } from './designers.js';
+import { getGazetteer } from './geo.js';
+
+/**
+ * Read a seller rating
+ * @param {string|number|null} rating - e.g. "Rated 4.9 out of 5 stars", "4.9", 5
+ * @returns {number|null} The rating out of 5, or null if there is none
+ */
+export function parseSellerRating(rating) {
+  const match = String(rating || '').match(/\d+(?:[.,]\d+)?/);
+  const value = match ? parseFloat(match[0].replace(',', '.')) : NaN;
+  return value >= 0 && value <= 5 ? value : null;
+}
+
+/**
+ * Read a review count
+ * @param {string|number|null} count - e.g. "(212 reviews)", "1,024 Reviews"
+ * @returns {number|null} The count, or null if there is none
+ */
+export function parseReviewCount(count) {
+  if (typeof count === 'number') return Number.isInteger(count) && count >= 0 ? count : null;
+  const match = String(count || '').replace(/[,.](?=\d{3}\b)/g, '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Work out a seller's id
+ * @param {Object} seller - { name, url }
+ * @returns {string|null} The last segment of the profile URL ("/dealers/almelo-design-house/"), else a slug of the name
+ */
+export function sellerId({ name = null, url = null } = {}) {
+  if (url) {
+    const path = url.replace(/[?#].*$/, '').replace(/\/+$/, '');
+    const segment = path.slice(path.lastIndexOf('/') + 1);
+    if (segment && !/^https?:$/.test(segment) && !segment.includes('.')) return segment.toLowerCase();
+  }
+  return name ? designerSlug(name) || null : null;
+}
+
+/**
+ * Turn a seller an adapter found into a seller record
+ *
+ * The location is resolved with the gazetteer (see lib/geo.js).
+ * @param {Object|null} seller - { name, url, location, rating, reviewCount } as listed
+ * @param {Object} options - { gazetteer } (default: the shared gazetteer)
+ * @returns {Object|null} The seller record (see above), or null if nothing is known
+ */
+export function normalizeSeller(seller, { gazetteer = getGazetteer() } = {}) {
+  if (!seller || typeof seller !== 'object') return null;
+
+  const clean = value => (typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null);
+  const name = clean(seller.name);
+  const url = clean(seller.url);
+  const location = clean(seller.location);
+  if (!name && !url && !location) return null;
+
+  const place = gazetteer.resolveLocation(location) || { city: null, region: null, country: null };
+
+  return {
+    id: sellerId({ name, url }),
+    name,
+    url,
+    location,
+    ...place,
+    rating: parseSellerRating(seller.rating),
+    reviewCount: parseReviewCount(seller.reviewCount)
+  };
+}
+
+/**
+ * Normalize a record's seller and link the record to it
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { gazetteer } (default: the shared gazetteer)
+ * @returns {Object} The record with seller, seller_id and seller_country set
+ */
+export function normalizeRecordSeller(record, { gazetteer = getGazetteer() } = {}) {
+  const seller = normalizeSeller(record.seller, { gazetteer });
+  return {
+    ...record,
+    seller,
+    seller_id: seller ? seller.id : null,
+    seller_country: seller ? seller.country : null
+  };
+}
+
+/**
+ * Build the sellers table row for a record's seller
+ * @param {Object} record - Normalized product record
+ * @returns {Object|null} The row, or null if the seller has no id
+ */
+export function sellerRow(record) {
+  const seller = record.seller;
+  if (!seller || !seller.id) return null;
+
+  return {
+    retailer: record.retailer,
+    seller_id: seller.id,
+    name: seller.name,
+    url: seller.url,
+    location: seller.location,
+    city: seller.city,
+    region: seller.region,
+    country: seller.country,
+    rating: seller.rating,
+    review_count: seller.reviewCount,
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Add or update a record's seller in the sellers table
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Object} record - Normalized product record
+ * @returns {Promise<boolean>} True if the row was saved (or there was none)
+ */
+export async function saveSeller(supabase, record) {
+  const row = sellerRow(record);
+  if (!row) return true;
+
+  // The latest listing has the latest rating
+  const { error } = await supabase.from('sellers').upsert([row], { onConflict: 'retailer,seller_id' });
+  if (error) {
+    console.error(`Error saving the seller of ${record.product_id}:`, error.message);
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,141 @@
+/**
+ * HTML Snapshot Store
+ *
+ * Archives the rendered DOM of product pages as gzipped files keyed by
+ * retailer, product ID and capture time:
+ *
+ *   snapshots/<retailer>/<product_id>/<timestamp>.json.gz
+ *
+ * Each file holds { retailer, productId, url, capturedAt, html } so the page
+ * can be re-extracted later without going back to the retailer.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Default directory for the archive
+export const DEFAULT_SNAPSHOT_DIR = './snapshots';
+
+// Extension of a snapshot file
+const SNAPSHOT_EXTENSION = '.json.gz';
+
+/**
+ * Turn a retailer name or product ID into a safe directory name
+ * @param {string} value - Raw value
+ * @returns {string} Value with anything but letters, digits, dashes and underscores replaced
+ */
+function toKey(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Archive of product page snapshots on disk
+ */
+export class SnapshotStore {
+  /**
+   * @param {string} rootDir - Directory holding the archive
+   */
+  constructor(rootDir = DEFAULT_SNAPSHOT_DIR) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} snapshot - { retailer, productId, url, html, capturedAt? }
+   * @returns {Promise<string>} Path of the snapshot file
+   * @throws {Error} If the retailer or product ID is missing
+   */
+  async save({ retailer, productId, url, html, capturedAt = new Date().toISOString() }) {
+    if (!retailer || !productId) {
+      throw new Error('A snapshot needs a retailer and a product ID');
+    }
+
+    const dir = path.join(this.rootDir, toKey(retailer), toKey(productId));
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${capturedAt.replace(/[:.]/g, '-')}${SNAPSHOT_EXTENSION}`);
+    const body = JSON.stringify({ retailer, productId, url, capturedAt, html });
+    await fs.writeFile(file, await gzip(body));
+
+    return file;
+  }
+
+  /**
+   * Save the rendered DOM of a product page
+   * @param {Page} page - Playwright page showing the product
+   * @param {Object} product - Transformed product ({ retailer, product_id, url })
+   * @returns {Promise<string>} Path of the snapshot file
+   */
+  async savePage(page, product) {
+    return this.save({
+      retailer: product.retailer,
+      productId: product.product_id,
+      url: product.url || page.url(),
+      html: await page.content()
+    });
+  }
+
+  /**
+   * Read a snapshot file
+   * @param {string} file - Path of the snapshot file
+   * @returns {Promise<Object>} { retailer, productId, url, capturedAt, html }
+   */
+  async load(file) {
+    return JSON.parse((await gunzip(await fs.readFile(file))).toString('utf8'));
+  }
+
+  /**
+   * List the archived snapshots
+   * @param {Object} options - Filters
+   * @param {string} [options.retailer] - Only this retailer
+   * @param {string} [options.productId] - Only this product
+   * @param {boolean} [options.latest=false] - Only the most recent snapshot of each product
+   * @returns {Promise<Array<Object>>} Array of { retailer, productId, file }, oldest first per product
+   */
+  async list({ retailer, productId, latest = false } = {}) {
+    const retailerDirs = retailer ? [toKey(retailer)] : await readDirNames(this.rootDir);
+    const entries = [];
+
+    for (const retailerDir of retailerDirs) {
+      const productDirs = productId
+        ? [toKey(productId)]
+        : await readDirNames(path.join(this.rootDir, retailerDir));
+
+      for (const productDir of productDirs) {
+        const dir = path.join(this.rootDir, retailerDir, productDir);
+        // Timestamped names sort chronologically
+        const files = (await readDirNames(dir, false))
+          .filter(name => name.endsWith(SNAPSHOT_EXTENSION))
+          .sort();
+
+        (latest ? files.slice(-1) : files).forEach(name => {
+          entries.push({ retailer: retailerDir, productId: productDir, file: path.join(dir, name) });
+        });
+      }
+    }
+
+    return entries;
+  }
+}
+
+/**
+ * List the entries of a directory, or nothing if it doesn't exist
+ * @param {string} dir - Directory to read
+ * @param {boolean} directories - List directories (true) or files (false)
+ * @returns {Promise<Array<string>>} Entry names
+ */
+async function readDirNames(dir, directories = true) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => (directories ? entry.isDirectory() : entry.isFile()))
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Material, Style and Period Normalization
+ *
+ * Brings the free-text materials, styles and periods retailers list onto a
+ * maintained vocabulary (data/vocabulary.json), so "Leather" and "full grain
+ * leather" count as one material and "Scandinavian Modern (Of the Period)"
+ * becomes the style "Scandinavian Modern" with authenticity "of-the-period".
+ *
+ * The vocabulary maps each canonical name to the spellings it covers:
+ *
+ *   { "materials": { "Leather": ["leather", "full grain leather"] },
+ *     "styles": { "Mid-Century Modern": ["mid-century modern", "mcm"] },
+ *     "authenticity": { "of-the-period": ["of the period"] },
+ *     "ignoredMaterials": ["other"] }
+ *
+ * Matching ignores case, hyphens and repeated spaces. Add spellings to the
+ * file as they turn up; unknown styles are logged while scraping.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Vocabulary shipped with the scraper
+export const DEFAULT_VOCABULARY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'vocabulary.json');
+
+// Whether a piece was made in the period of its style, later in that style, or is a copy
+export const AUTHENTICITY = ['of-the-period', 'in-the-style-of', 'reproduction'];
+
+// Parts of a century, as 1stDibs lists them ("Mid-20th Century")
+const CENTURY_PARTS = { early: [0, 33], mid: [34, 66], late: [67, 99] };
+
+const CENTURY_PATTERN = /\b(?:(early|mid|late)[\s-]*)?(\d{1,2})(?:st|nd|rd|th)[\s-]+century\b/gi;
+const YEAR_PATTERN = /\b(?:(early|mid|late)[\s-]*)?(1\d{3}|20\d{2})('?s)?\b/gi;
+const OPEN_START_PATTERN = /\b(?:and|or)\s+(?:earlier|before)\b|^\s*(?:before|pre)\b/i;
+const OPEN_END_PATTERN = /(?:[-–]|\b(?:and|or)\s+(?:later|contemporary)|\bonwards?|\bpresent)\s*$/i;
+
+/**
+ * Reduce a term to the form it is matched in
+ * @param {string} text - Term as written
+ * @returns {string} Lowercased term with hyphens, "&" and repeated spaces evened out
+ */
+function matchKey(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[-–—_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a lookup from the spellings of each canonical name
+ * @param {Object} terms - Canonical name -> array of spellings
+ * @param {string} kind - What the terms are, for error messages
+ * @returns {Map} Match key -> canonical name
+ * @throws {Error} If a spelling isn't a string or belongs to two names
+ */
+function buildLookup(terms, kind) {
+  const lookup = new Map();
+
+  for (const [canonical, spellings] of Object.entries(terms || {})) {
+    if (!Array.isArray(spellings)) {
+      throw new Error(`Spellings of the ${kind} "${canonical}" must be a list`);
+    }
+
+    for (const spelling of [canonical, ...spellings]) {
+      if (typeof spelling !== 'string') {
+        throw new Error(`Invalid spelling of the ${kind} "${canonical}": ${spelling}`);
+      }
+      const key = matchKey(spelling);
+      if (lookup.has(key) && lookup.get(key) !== canonical) {
+        throw new Error(`"${spelling}" is listed for the ${kind}s "${lookup.get(key)}" and "${canonical}"`);
+      }
+      lookup.set(key, canonical);
+    }
+  }
+
+  return lookup;
+}
+
+/**
+ * A controlled vocabulary of materials, styles and authenticity qualifiers
+ */
+export class Vocabulary {
+  /**
+   * @param {Object} vocabulary - { materials, styles, authenticity, ignoredMaterials }
+   * @throws {Error} If the vocabulary is malformed
+   */
+  constructor(vocabulary = {}) {
+    for (const value of Object.keys(vocabulary.authenticity || {})) {
+      if (!AUTHENTICITY.includes(value)) {
+        throw new Error(`Unknown authenticity "${value}" (expected one of ${AUTHENTICITY.join(', ')})`);
+      }
+    }
+
+    this.materials = buildLookup(vocabulary.materials, 'material');
+    this.styles = buildLookup(vocabulary.styles, 'style');
+    this.ignoredMaterials = new Set((vocabulary.ignoredMaterials || []).map(matchKey));
+
+    // Qualifier patterns, longest spelling first so "in the style of" wins over "style of"
+    this.authenticity = [...buildLookup(vocabulary.authenticity, 'authenticity')]
+      .sort(([a], [b]) => b.length - a.length)
+      .map(([key, value]) => [new RegExp(`\\b${escapeRegExp(key).replace(/ /g, '[\\s-]+')}\\b`, 'i'), value]);
+  }
+
+  /**
+   * Load a vocabulary from a JSON file
+   * @param {string} file - Path to the vocabulary
+   * @returns {Vocabulary} The vocabulary
+   * @throws {Error} If the file can't be read or is malformed
+   */
+  static load(file = DEFAULT_VOCABULARY_FILE) {
+    let vocabulary;
+    try {
+      vocabulary = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the vocabulary from ${file}: ${error.message}`);
+    }
+    return new Vocabulary(vocabulary);
+  }
+
+  /**
+   * Canonicalize and dedupe a list of materials
+   *
+   * Entries listing several materials ("Walnut, Brass") are split up and
+   * notes in parentheses dropped. Materials the vocabulary doesn't know are
+   * kept as written.
+   * @param {Array<string>|string} materials - Materials as listed
+   * @returns {Array<string>} Canonical material names, in listed order
+   */
+  normalizeMaterials(materials) {
+    const normalized = [];
+
+    for (const entry of [].concat(materials || [])) {
+      if (typeof entry !== 'string') continue;
+
+      const names = entry
+        .replace(/\([^)]*\)/g, ' ')
+        .split(/,|\/|;/)
+        .flatMap(name => this.splitJoinedMaterials(name))
+        .map(name => name.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+      for (const name of names) {
+        const key = matchKey(name);
+        if (this.ignoredMaterials.has(key)) continue;
+
+        const material = this.materials.get(key) || name;
+        if (!normalized.includes(material)) normalized.push(material);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Split "Walnut and Brass" into its materials, but keep "Black and White
+   * Marble" whole: "and" (or "&") only separates materials the vocabulary knows
+   * @param {string} text - One entry of a material list
+   * @returns {Array<string>} The materials it names
+   */
+  splitJoinedMaterials(text) {
+    const parts = text.split(/\s+(?:&|and)\s+/i);
+    const known = part => {
+      const key = matchKey(part.replace(/\s+/g, ' ').trim());
+      return this.materials.has(key) || this.ignoredMaterials.has(key);
+    };
+
+    return parts.length > 1 && parts.every(known) ? parts : [text];
+  }
+
+  /**
+   * Map a style onto the taxonomy, splitting off its authenticity qualifier
+   * @param {string} text - e.g. "Scandinavian Modern (Of the Period)"
+   * @returns {Object} { style, authenticity }, either null if not recognised
+   */
+  normalizeStyle(text) {
+    if (typeof text !== 'string' || !text.trim()) return { style: null, authenticity: null };
+
+    let remaining = text;
+    let authenticity = null;
+
+    for (const [pattern, value] of this.authenticity) {
+      if (pattern.test(remaining)) {
+        authenticity = authenticity || value;
+        remaining = remaining.replace(pattern, ' ');
+      }
+    }
+
+    // Try the whole style, then each of several listed ("Modern, Bauhaus")
+    const candidates = [remaining, ...remaining.split(/[,/]/)]
+      .map(candidate => matchKey(candidate.replace(/[()]/g, ' ')))
+      .filter(Boolean);
+    const match = candidates.find(candidate => this.styles.has(candidate));
+
+    return { style: match ? this.styles.get(match) : null, authenticity };
+  }
+}
+
+// Vocabulary loaded on first use by normalizeRecordVocabulary()
+let defaultVocabulary = null;
+
+/**
+ * Get the vocabulary from VOCABULARY_FILE (or the bundled one), loading it once
+ * @returns {Vocabulary} The vocabulary
+ */
+export function getVocabulary() {
+  if (!defaultVocabulary) {
+    defaultVocabulary = Vocabulary.load(process.env.VOCABULARY_FILE || DEFAULT_VOCABULARY_FILE);
+  }
+  return defaultVocabulary;
+}
+
+/**
+ * Parse a period or date of manufacture into years
+ *
+ * Understands years ("1965", "circa 1965"), decades ("1970s", "1970's"),
+ * ranges ("1950-1959", "1930s/1940s"), open ranges ("2010-", "18th Century
+ * and Earlier") and centuries or parts of them ("Late 20th Century", "Late
+ * 1800s", counted in thirds: early 00-33, mid 34-66, late 67-99). "2000s"
+ * is read as the decade, the way it is used for contemporary pieces.
+ * @param {string} text - Period as listed
+ * @returns {Object|null} { text, startYear, endYear, decade } or null if no years were found;
+ *   decade is set when the whole period falls in one decade
+ */
+export function parsePeriodText(text) {
+  if (typeof text !== 'string') return null;
+
+  let spans = [...text.matchAll(YEAR_PATTERN)].map(([, part, year, plural]) => {
+    const start = Number(year);
+    if (!plural) return [start, start];
+    if (start % 100 === 0 && start < 2000) {
+      const [from, to] = CENTURY_PARTS[part && part.toLowerCase()] || [0, 99];
+      return [start + from, start + to];
+    }
+    return [start, start + 9];
+  });
+
+  if (spans.length === 0) {
+    spans = [...text.matchAll(CENTURY_PATTERN)].map(([, part, century]) => {
+      const [from, to] = CENTURY_PARTS[part && part.toLowerCase()] || [0, 99];
+      const base = (Number(century) - 1) * 100;
+      return [base + from, base + to];
+    });
+  }
+
+  if (spans.length === 0) return null;
+
+  const startYear = OPEN_START_PATTERN.test(text) ? null : Math.min(...spans.map(([start]) => start));
+  const endYear = OPEN_END_PATTERN.test(text) ? null : Math.max(...spans.map(([, end]) => end));
+  const decade = startYear !== null && endYear !== null && Math.floor(startYear / 10) === Math.floor(endYear / 10)
+    ? Math.floor(startYear / 10) * 10
+    : null;
+
+  return { text: text.trim(), startYear, endYear, decade };
+}
+
+/**
+ * Parse the period of a piece from what the adapter found
+ * @param {string|Object|null} period - Period text, { period, dateOfManufacture }, or an already parsed period
+ * @returns {Object|null} { text, startYear, endYear, decade }; the date of manufacture wins over the
+ *   period when both parse, being the more precise of the two
+ */
+export function parsePeriod(period) {
+  if (!period) return null;
+  if (typeof period === 'string') return parsePeriodText(period);
+  if (typeof period !== 'object') return null;
+
+  // Already parsed
+  if ('startYear' in period) return period;
+
+  return parsePeriodText(period.dateOfManufacture) || parsePeriodText(period.period);
+}
+
+/**
+ * Normalize a record's materials, style and period against the vocabulary
+ * @param {Object} record - Transformed product record
+ * @param {Object} options - { vocabulary } (default: the shared vocabulary)
+ * @returns {Object} The record with canonical materials, style, style_authenticity and period years
+ */
+export function normalizeRecordVocabulary(record, { vocabulary = getVocabulary() } = {}) {
+  const { style, authenticity } = vocabulary.normalizeStyle(record.style);
+  const period = parsePeriod(record.period);
+
+  if (record.style && !style) {
+    console.warn(`Unknown style "${record.style}" for ${record.product_id}`);
+  }
+
+  return {
+    ...record,
+    materials: vocabulary.normalizeMaterials(record.materials),
+    style,
+    style_authenticity: authenticity || record.style_authenticity || null,
+    period,
+    period_start_year: period ? period.startYear : null,
+    period_end_year: period ? period.endYear : null,
+    decade: period ? period.decade : null
+  };
+}
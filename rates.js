@@ -0,0 +1,45 @@
+// Furniture Scraper - Exchange Rates
+//
+// Usage:
+//   node rates.js [--import FILE] [--file TABLE]
+//
+// Shows the dates and currencies in the local exchange-rate table used to
+// convert prices into the reporting currency. With --import, the dated rates
+// in FILE (same format as data/exchange-rates.json, any base currency) are
+// rebased and merged into the table; dates already in the table are replaced.
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { ExchangeRateTable, DEFAULT_RATES_FILE, DEFAULT_REPORTING_CURRENCY } from './lib/currency.js';
+
+// Load environment variables
+dotenv.config();
+
+// Main execution
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      import: { type: 'string' },
+      file: { type: 'string', default: process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE }
+    }
+  });
+
+  const table = ExchangeRateTable.load(options.file);
+
+  if (options.import) {
+    const dates = table.merge(ExchangeRateTable.load(options.import));
+    table.save(options.file);
+    console.log(`✅ Imported rates for ${dates.join(', ')} into ${options.file}`);
+  }
+
+  const reportingCurrency = process.env.REPORTING_CURRENCY || DEFAULT_REPORTING_CURRENCY;
+  console.log(`\nExchange rates in ${options.file} (base ${table.base}, reporting in ${reportingCurrency}):`);
+  table.dates.forEach(date => {
+    console.log(`  ${date}: ${Object.keys(table.rates[date]).sort().join(', ')}`);
+  });
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+// Furniture Scraper - Offline Re-extraction
+//
+// Usage:
+//   node reextract.js [--retailer NAME] [--product ID] [--all-versions] [--save]
+//
+// Reruns the current adapters over the archived page snapshots (see
+// SNAPSHOT_DIR) without touching the network. The re-extracted products are
+// written to results/reextract-<timestamp>/; with --save they also replace
+// the matching rows in Supabase.
+import dotenv from 'dotenv';
+import { chromium } from 'playwright';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { SnapshotStore, DEFAULT_SNAPSHOT_DIR } from './lib/snapshot-store.js';
+import { reextractSnapshot, updateStoredProduct } from './lib/reextract.js';
+import { AdapterHealthTracker, buildHealthSummary } from './lib/adapter-health.js';
+
+// Load environment variables
+dotenv.config();
+
+// Constants and configuration
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR;
+const RESULTS_DIR = './results';
+
+// Main execution
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      retailer: { type: 'string' },
+      product: { type: 'string' },
+      'all-versions': { type: 'boolean', default: false },
+      save: { type: 'boolean', default: false }
+    }
+  });
+
+  let supabase = null;
+  if (options.save) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('--save needs SUPABASE_URL and SUPABASE_KEY');
+    }
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  }
+
+  const store = new SnapshotStore(SNAPSHOT_DIR);
+  const entries = await store.list({
+    retailer: options.retailer,
+    productId: options.product,
+    latest: !options['all-versions']
+  });
+
+  if (entries.length === 0) {
+    console.log(`No snapshots found in ${SNAPSHOT_DIR}`);
+    return;
+  }
+
+  console.log(`Re-extracting ${entries.length} snapshot(s) from ${SNAPSHOT_DIR}`);
+
+  // Create a session directory for the results
+  const startTime = new Date().toISOString();
+  const sessionDir = path.join(RESULTS_DIR, `reextract-${startTime.replace(/[:.]/g, '-')}`);
+  const productsDir = path.join(sessionDir, 'products');
+  await fs.mkdir(productsDir, { recursive: true });
+
+  const health = new AdapterHealthTracker();
+  const stats = { startTime, snapshots: entries.length, successCount: 0, errorCount: 0, savedCount: 0, endTime: null };
+
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    for (const entry of entries) {
+      const snapshot = await store.load(entry.file);
+      console.log(`\n${snapshot.retailer} ${snapshot.productId} (captured ${snapshot.capturedAt})`);
+
+      try {
+        const product = await reextractSnapshot(browser, snapshot);
+
+        if (!product) {
+          console.error(`❌ Could not re-extract ${entry.file}`);
+          health.recordFailure(snapshot.retailer);
+          stats.errorCount++;
+          continue;
+        }
+
+        health.record(product);
+        stats.successCount++;
+
+        const fileName = `${path.basename(path.dirname(entry.file))}_${path.basename(entry.file, '.json.gz')}.json`;
+        await fs.writeFile(path.join(productsDir, fileName), JSON.stringify(product, null, 2));
+
+        if (supabase && await updateStoredProduct(supabase, product)) {
+          stats.savedCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Error re-extracting ${entry.file}:`, error.message);
+        stats.errorCount++;
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  stats.endTime = new Date().toISOString();
+
+  const summary = { ...stats, health: await buildHealthSummary(health, RESULTS_DIR, sessionDir) };
+  await fs.writeFile(path.join(sessionDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  console.log('\n--- Final Statistics ---');
+  console.log(`✅ Re-extracted: ${stats.successCount} products`);
+  console.log(`❌ Failed: ${stats.errorCount} products`);
+  if (supabase) {
+    console.log(`Updated in Supabase: ${stats.savedCount} products`);
+  }
+  console.log(`Results saved to ${sessionDir}`);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
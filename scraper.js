@@ -7,6 +7,21 @@ import pLimit from 'p-limit';
 import fs from 'fs/promises';
 import path from 'path';
 import { AdapterFactory } from './adapters/adapter-factory.js';
+import { AdapterHealthTracker, buildHealthSummary } from './lib/adapter-health.js';
+import { SnapshotStore, DEFAULT_SNAPSHOT_DIR } from './lib/snapshot-store.js';
+import { ImageStore, fetchImage } from './lib/image-store.js';
+import { paletteFromImage } from './lib/colors.js';
+import { saveDesigners } from './lib/designers.js';
+import { saveSeller } from './lib/sellers.js';
+
+// Run modes: scrape normally, also archive the network traffic, or serve everything from an archive
+export const MODES = ['live', 'record', 'replay'];
+
+// Name of the network archive inside a session directory
+export const HAR_FILE = 'network.har.zip';
+
+// Browser identity used for pages and image downloads
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36';
 
 /**
  * The main scraper class
@@ -17,20 +32,63 @@ export class FurnitureScraper {
    * @param {Object} config - Configuration object
    */
   constructor(config = {}) {
+    const productUrls = config.productUrls || [];
+    const mode = config.mode || 'live';
+    
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown scraper mode: ${mode} (expected ${MODES.join(', ')})`);
+    }
+    
+    if (mode === 'replay' && !config.replayDir) {
+      throw new Error('Replay mode needs the session directory of a recorded run (replayDir)');
+    }
+    
+    // Work out the retailer, country and language from the URL when they weren't given
+    const targetUrl = config.categoryUrl || productUrls[0];
+    const resolved = targetUrl ? AdapterFactory.resolveUrl(targetUrl) : null;
+    
     // Set configuration with defaults
     this.config = {
-      retailer: config.retailer || 'IKEA',
+      retailer: config.retailer || (resolved && resolved.retailer) || 'IKEA',
       categoryUrl: config.categoryUrl || null,
+      productUrls,
       delayBetweenRequests: config.delayBetweenRequests || 1500,
       maxConcurrentRequests: config.maxConcurrentRequests || 2,
       cacheFile: config.cacheFile || 'crawled.json',
+      resultsDir: config.resultsDir || './results',
+      mode,
+      replayDir: config.replayDir || null,
+      saveSnapshots: config.saveSnapshots || false,
+      snapshotDir: config.snapshotDir || DEFAULT_SNAPSHOT_DIR,
+      archiveImages: config.archiveImages || false,
+      imageDir: config.imageDir || path.join(config.resultsDir || './results', 'images'),
+      extractColors: config.extractColors || false,
       headless: config.headless !== false, // Default to true
-      country: config.country || 'ca',
-      language: config.language || 'en',
+      executablePath: config.executablePath || null, // Chromium binary to use instead of Playwright's own
+      country: config.country || (resolved && resolved.country) || 'ca',
+      language: config.language || (resolved && resolved.language) || 'en',
       supabaseUrl: config.supabaseUrl,
       supabaseKey: config.supabaseKey
     };
     
+    // Track which selectors matched, for the health report in summary.json
+    this.health = new AdapterHealthTracker();
+    
+    // Products the category taxonomy couldn't place, listed in summary.json
+    this.uncategorized = [];
+    
+    // Archive of rendered product pages, for re-extraction without re-crawling
+    this.snapshots = this.config.saveSnapshots ? new SnapshotStore(this.config.snapshotDir) : null;
+    
+    // Archive of product images, downloaded with the same politeness limits as the pages
+    this.images = this.config.archiveImages
+      ? new ImageStore(this.config.imageDir, {
+        delayBetweenRequests: this.config.delayBetweenRequests,
+        maxConcurrentRequests: this.config.maxConcurrentRequests,
+        userAgent: USER_AGENT
+      })
+      : null;
+    
     // Initialize rate limiter
     this.limit = pLimit(this.config.maxConcurrentRequests);
     
@@ -48,6 +106,45 @@ export class FurnitureScraper {
     } catch (error) {
       throw new Error(`Failed to initialize adapter: ${error.message}`);
     }
+    
+    // Refuse URLs that belong to a different retailer than the adapter
+    for (const url of [this.config.categoryUrl, ...productUrls].filter(Boolean)) {
+      const urlRetailer = AdapterFactory.resolveUrl(url);
+      if (urlRetailer && urlRetailer.retailer !== this.adapter.getRetailerName()) {
+        throw new Error(`URL ${url} belongs to ${urlRetailer.retailer}, not ${this.adapter.getRetailerName()}`);
+      }
+    }
+  }
+  
+  /**
+   * Create a scraper that replays a recorded run from its session directory
+   *
+   * The retailer, country, language and URLs are read from the run's summary.json
+   * unless given in the config.
+   * @param {string} replayDir - Session directory of a run made in record mode
+   * @param {Object} config - Extra configuration, e.g. Supabase credentials
+   * @returns {Promise<FurnitureScraper>} A scraper in replay mode
+   * @throws {Error} If the directory holds no recording
+   */
+  static async fromRecording(replayDir, config = {}) {
+    try {
+      await fs.access(path.join(replayDir, HAR_FILE));
+    } catch (error) {
+      throw new Error(`No recording found in ${replayDir} (expected ${HAR_FILE})`);
+    }
+    
+    const summary = JSON.parse(await fs.readFile(path.join(replayDir, 'summary.json'), 'utf8').catch(() => '{}'));
+    
+    return new FurnitureScraper({
+      retailer: summary.retailer,
+      country: summary.country,
+      language: summary.language,
+      categoryUrl: summary.productUrls && summary.productUrls.length > 0 ? null : summary.categoryUrl,
+      productUrls: summary.productUrls,
+      ...config,
+      mode: 'replay',
+      replayDir
+    });
   }
   
   /**
@@ -127,21 +224,178 @@ export class FurnitureScraper {
   }
   
   /**
-   * Save product data to Supabase
-   * @param {Object} productData - Product data to save
+   * Transform extracted product data and save it
+   *
+   * Recorded and replayed runs also keep a copy of each product in the session
+   * directory, so a replay can be compared with the run it came from. Replays
+   * never write to the database or download images.
+   *
+   * With archiveImages, the product's images are archived and image_manifest
+   * points at their manifest. With extractColors, the product's colour palette
+   * is computed from its primary image (the archived copy when images are
+   * archived too).
+   * @param {Object} productData - Product data returned by the adapter
+   * @param {string} sessionDir - This run's session directory
+   * @param {string|null} categoryUrl - Category the product was found in, if any
    * @returns {Promise<boolean>} True if save was successful, false otherwise
    */
-  async saveToSupabase(productData) {
-    if (!this.supabase) {
-      console.error('Supabase client not initialized. Check your credentials.');
-      return false;
-    }
-    
+  async saveProduct(productData, sessionDir, categoryUrl = null) {
     // Transform data into standardized format using the adapter
-    const transformedData = this.adapter.transformProductData(productData);
+    let transformedData = this.adapter.createProductRecord(productData, { categoryUrl });
     
     if (!transformedData) {
       console.error('Failed to transform product data');
+      this.health.recordFailure(this.adapter.getRetailerName());
+      return false;
+    }
+    
+    this.health.record(transformedData);
+    
+    if (!transformedData.category) {
+      this.uncategorized.push({ product_id: transformedData.product_id, name: transformedData.name, url: transformedData.url });
+    }
+    
+    if (this.config.mode !== 'replay') {
+      const manifest = this.images ? await this.archiveImages(transformedData) : null;
+      
+      if (manifest) {
+        transformedData = {
+          ...transformedData,
+          image_manifest: this.images.manifestFile(transformedData.retailer, transformedData.product_id)
+        };
+      }
+      
+      if (this.config.extractColors) {
+        transformedData = await this.addColors(transformedData, manifest);
+      }
+    }
+    
+    if (this.config.mode !== 'live') {
+      await this.saveProductFile(transformedData, sessionDir);
+    }
+    
+    if (this.config.mode === 'replay') {
+      console.log(`Re-extracted product: ${transformedData.name} (${transformedData.product_id})`);
+      return true;
+    }
+    
+    return this.saveToSupabase(transformedData);
+  }
+  
+  /**
+   * Save a transformed product as JSON in the session's products directory
+   * @param {Object} transformedData - Standardized product data
+   * @param {string} sessionDir - This run's session directory
+   * @returns {Promise} Promise that resolves when the file is written
+   */
+  async saveProductFile(transformedData, sessionDir) {
+    const productsDir = path.join(sessionDir, 'products');
+    await fs.mkdir(productsDir, { recursive: true });
+    
+    const fileName = `${String(transformedData.product_id || transformedData.slug).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+    await fs.writeFile(path.join(productsDir, fileName), JSON.stringify(transformedData, null, 2));
+  }
+  
+  /**
+   * Archive the rendered DOM of a product page
+   * @param {Page} page - Playwright page showing the product
+   * @param {string} url - Product URL
+   * @param {Object} productData - Product data returned by the adapter
+   * @returns {Promise} Promise that resolves when the snapshot is saved
+   */
+  async saveSnapshot(page, url, productData) {
+    try {
+      const file = await this.snapshots.save({
+        retailer: this.adapter.getRetailerName(),
+        productId: productData.productId,
+        url,
+        html: await page.content()
+      });
+      console.log(`Saved page snapshot: ${file}`);
+    } catch (error) {
+      console.error(`Could not save page snapshot for ${url}:`, error.message);
+    }
+  }
+  
+  /**
+   * Download a product's images into the image archive and write its manifest
+   * @param {Object} transformedData - Standardized product data
+   * @returns {Promise<Object|null>} The product's image manifest, or null if archiving failed
+   */
+  async archiveImages(transformedData) {
+    try {
+      const manifest = await this.images.archiveProduct(transformedData);
+      const stored = manifest.images.filter(image => image.file).length;
+      console.log(`Archived ${stored}/${manifest.images.length} images of ${transformedData.product_id}`);
+      return manifest;
+    } catch (error) {
+      console.error(`Could not archive images of ${transformedData.product_id}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Add the colour palette of a product's primary image
+   * @param {Object} transformedData - Standardized product data
+   * @param {Object|null} manifest - The product's image manifest, if its images were archived
+   * @returns {Promise<Object>} The product with colors set (unchanged if the image couldn't be read)
+   */
+  async addColors(transformedData, manifest = null) {
+    const primary = transformedData.images[0];
+    if (!primary) return transformedData;
+    
+    try {
+      const archived = manifest && manifest.images.find(image => image.url === primary.url && image.file);
+      let body;
+      if (archived) {
+        body = await fs.readFile(path.join(this.config.imageDir, archived.file));
+      } else {
+        ({ body } = await fetchImage(primary.url, { userAgent: USER_AGENT }));
+        await this.randomDelay();
+      }
+      
+      return { ...transformedData, colors: paletteFromImage(body) };
+    } catch (error) {
+      console.warn(`Could not extract the colours of ${transformedData.product_id} from ${primary.url}: ${error.message}`);
+      return transformedData;
+    }
+  }
+  
+  /**
+   * Create the browser context a run scrapes in
+   *
+   * A recorded run archives every request and response in the session
+   * directory; a replay is served entirely from the recording, and anything
+   * it lacks fails instead of going online.
+   * @param {Browser} browser - Playwright browser
+   * @param {string} sessionDir - This run's session directory
+   * @returns {Promise<BrowserContext>} The context
+   */
+  async createContext(browser, sessionDir) {
+    const context = await browser.newContext({
+      userAgent: USER_AGENT,
+      ...(this.config.mode === 'record' && {
+        recordHar: { path: path.join(sessionDir, HAR_FILE) }
+      })
+    });
+    
+    if (this.config.mode === 'replay') {
+      const harPath = path.join(this.config.replayDir, HAR_FILE);
+      console.log(`Replaying network traffic from ${harPath}`);
+      await context.routeFromHAR(harPath, { notFound: 'abort' });
+    }
+    
+    return context;
+  }
+  
+  /**
+   * Save product data to Supabase
+   * @param {Object} transformedData - Standardized product data to save
+   * @returns {Promise<boolean>} True if save was successful, false otherwise
+   */
+  async saveToSupabase(transformedData) {
+    if (!this.supabase) {
+      console.error('Supabase client not initialized. Check your credentials.');
       return false;
     }
     
@@ -149,6 +403,10 @@ export class FurnitureScraper {
       // Debug the data being sent to Supabase
       console.log('Attempting to save data:', JSON.stringify(transformedData, null, 2));
       
+      // Add the designer, maker and brand to the shared designers table, and the seller to sellers
+      await saveDesigners(this.supabase, transformedData);
+      await saveSeller(this.supabase, transformedData);
+      
       // Insert data into Supabase
       const { data, error } = await this.supabase.from('products').insert([transformedData]);
       
@@ -176,29 +434,41 @@ export class FurnitureScraper {
    */
   async run() {
     console.log(`Starting ${this.adapter.getRetailerName()} furniture scraper...`);
+    if (this.config.mode !== 'live') {
+      console.log(`Mode: ${this.config.mode}`);
+    }
     
-    // Get category URL (either from config or from adapter)
+    // Get category URL (either from config or from adapter), unless product URLs were given directly
+    const productUrls = this.config.productUrls;
     let categoryUrl = this.config.categoryUrl;
-    if (!categoryUrl) {
-      // Get the first category from the adapter if no specific category was provided
-      const categories = this.adapter.getCategories();
-      if (categories && categories.length > 0) {
-        categoryUrl = categories[0].url;
-      } else {
-        throw new Error('No category URL specified and adapter did not provide default categories');
+    if (productUrls.length > 0) {
+      console.log(`Target product URLs: ${productUrls.length}`);
+    } else {
+      if (!categoryUrl) {
+        // Get the first category from the adapter if no specific category was provided
+        const categories = this.adapter.getCategories();
+        if (categories && categories.length > 0) {
+          categoryUrl = categories[0].url;
+        } else {
+          throw new Error('No category URL specified and adapter did not provide default categories');
+        }
       }
+      
+      console.log(`Target category URL: ${categoryUrl}`);
     }
     
-    console.log(`Target category URL: ${categoryUrl}`);
-    
-    // Load cache of previously crawled products
-    const crawledCache = await this.loadCache();
+    // Load cache of previously crawled products (a replay re-extracts everything it recorded)
+    const crawledCache = this.config.mode === 'replay' ? new Set() : await this.loadCache();
     console.log(`Loaded cache with ${crawledCache.size} previously crawled products`);
     
     // Statistics
     const stats = {
       retailer: this.adapter.getRetailerName(),
+      country: this.config.country,
+      language: this.config.language,
+      mode: this.config.mode,
       categoryUrl,
+      productUrls,
       startTime: new Date().toISOString(),
       totalProducts: 0,
       successCount: 0,
@@ -207,18 +477,26 @@ export class FurnitureScraper {
       endTime: null
     };
     
+    // Create a session directory for this run's summary
+    const timestamp = stats.startTime.replace(/[:.]/g, '-');
+    const sessionDir = path.join(this.config.resultsDir, `scrape-${timestamp}`);
+    await fs.mkdir(sessionDir, { recursive: true });
+    
     // Launch browser
-    const browser = await chromium.launch({ headless: this.config.headless });
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
+    const browser = await chromium.launch({
+      headless: this.config.headless,
+      executablePath: this.config.executablePath || undefined
     });
+    const context = await this.createContext(browser, sessionDir);
     
     try {
       // Create page
       const page = await context.newPage();
       
       // Get all product links from category
-      const productLinks = await this.getAllProductLinksFromCategory(page, categoryUrl);
+      const productLinks = productUrls.length > 0
+        ? productUrls
+        : await this.getAllProductLinksFromCategory(page, categoryUrl);
       stats.totalProducts = productLinks.length;
       console.log(`Found a total of ${stats.totalProducts} product links`);
       
@@ -238,9 +516,13 @@ export class FurnitureScraper {
           // Extract product data
           const productData = await this.extractProductData(productPage, url);
           
-          // Save to Supabase if data was successfully extracted
+          // Save the product if data was successfully extracted
           if (productData) {
-            const success = await this.saveToSupabase(productData);
+            if (this.snapshots) {
+              await this.saveSnapshot(productPage, url, productData);
+            }
+            
+            const success = await this.saveProduct(productData, sessionDir, categoryUrl);
             if (success) {
               stats.successCount++;
               crawledCache.add(url);
@@ -248,14 +530,17 @@ export class FurnitureScraper {
               stats.errorCount++;
             }
           } else {
+            this.health.recordFailure(this.adapter.getRetailerName());
             stats.errorCount++;
           }
           
           // Close the product page
           await productPage.close();
           
-          // Random delay between requests
-          await this.randomDelay();
+          // Random delay between requests (a replay doesn't hit the retailer)
+          if (this.config.mode !== 'replay') {
+            await this.randomDelay();
+          }
         } catch (error) {
           console.error(`Error processing ${url}:`, error.message);
           stats.errorCount++;
@@ -266,16 +551,35 @@ export class FurnitureScraper {
       await Promise.all(promises);
       
       // Save updated cache
-      await this.saveCache(crawledCache);
+      if (this.config.mode !== 'replay') {
+        await this.saveCache(crawledCache);
+      }
       
       // Update end time
       stats.endTime = new Date().toISOString();
       
+      // Save the run summary, including the selector health report
+      const summary = {
+        ...stats,
+        uncategorized: this.uncategorized,
+        ...(this.images && { images: { dir: this.config.imageDir, ...this.images.stats } }),
+        health: await buildHealthSummary(this.health, this.config.resultsDir, sessionDir)
+      };
+      await fs.writeFile(path.join(sessionDir, 'summary.json'), JSON.stringify(summary, null, 2));
+      console.log(`Summary saved to ${sessionDir}/summary.json`);
+      
       // Final stats
       console.log('\n--- Final Statistics ---');
       console.log(`✅ Successfully scraped and saved: ${stats.successCount} products`);
       console.log(`⚠️ Skipped (already crawled): ${stats.skippedCount} products`);
       console.log(`❌ Failed to process: ${stats.errorCount} products`);
+      if (this.uncategorized.length > 0) {
+        console.log(`🏷️ Without a category: ${this.uncategorized.length} products (listed in summary.json)`);
+      }
+      if (this.images) {
+        const { downloaded, reused, failed } = this.images.stats;
+        console.log(`🖼️ Images archived: ${downloaded} downloaded, ${reused} already stored, ${failed} failed (${this.config.imageDir})`);
+      }
       console.log(`Total products attempted: ${stats.totalProducts}`);
       
       return stats;
@@ -284,6 +588,9 @@ export class FurnitureScraper {
       console.error('Error in scraper execution:', error);
       throw error;
     } finally {
+      // Close the context first so a recording is written out
+      await context.close();
+      
       // Close browser
       await browser.close();
     }
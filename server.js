@@ -1,7 +1,8 @@
 // Simple API server to trigger the scraper
 import express from 'express';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import dotenv from 'dotenv';
+import { AdapterFactory } from './adapters/adapter-factory.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,7 +18,7 @@ app.use(express.json());
 app.get('/', (req, res) => {
   res.json({
     status: 'ok',
-    message: 'IKEA Furniture Scraper API',
+    message: 'Furniture Scraper API',
     endpoints: [
       {
         path: '/api/scrape',
@@ -25,8 +26,15 @@ app.get('/', (req, res) => {
         description: 'Trigger the scraper',
         body: {
           apiKey: 'API key for authentication',
-          categoryUrl: '(Optional) IKEA category URL to scrape'
+          urls: '(Optional) Category or product URLs from any supported retailer',
+          categoryUrl: '(Optional) Single category URL to scrape',
+          retailer: '(Optional) Retailer to use when no URL is given'
         }
+      },
+      {
+        path: '/api/retailers',
+        method: 'GET',
+        description: 'List supported retailers'
       }
     ]
   });
@@ -45,16 +53,28 @@ app.post('/api/scrape', (req, res) => {
     });
   }
   
-  // Get category URL if provided
-  const categoryUrl = req.body.categoryUrl;
-  let command = 'node index.js';
+  // Collect the URLs to scrape; any supported retailer's category or product URL is accepted
+  const urls = [].concat(req.body.urls || [], req.body.url || [], req.body.categoryUrl || []);
+  const retailer = req.body.retailer;
+  
+  const unsupported = urls.filter(url => !AdapterFactory.resolveUrl(url));
+  if (unsupported.length > 0 && !retailer) {
+    return res.status(400).json({
+      status: 'error',
+      message: `No adapter found for URL: ${unsupported.join(', ')}`
+    });
+  }
   
-  if (categoryUrl) {
-    command = `CATEGORY_URL="${categoryUrl}" ${command}`;
+  if (retailer && !AdapterFactory.getSupportedRetailers().some(name => name.toLowerCase() === retailer.toLowerCase())) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unsupported retailer: ${retailer}`
+    });
   }
   
-  // Run the scraper as a child process
-  const scraper = exec(command, (error, stdout, stderr) => {
+  // Run the scraper as a child process, passing URLs as arguments rather than through a shell
+  const env = retailer ? { ...process.env, RETAILER: retailer } : process.env;
+  const scraper = execFile('node', ['index.js', ...urls], { env }, (error, stdout, stderr) => {
     if (error) {
       console.error(`Exec error: ${error}`);
       return;
@@ -67,7 +87,16 @@ app.post('/api/scrape', (req, res) => {
   res.json({
     status: 'started',
     message: 'Scraper started successfully',
-    categoryUrl: categoryUrl || 'Using default category'
+    urls: urls.map(url => ({ url, ...AdapterFactory.resolveUrl(url) })),
+    retailer: retailer || null
+  });
+});
+
+// List supported retailers
+app.get('/api/retailers', (req, res) => {
+  res.json({
+    status: 'ok',
+    retailers: AdapterFactory.getRetailerDetails()
   });
 });
 
@@ -5,15 +5,124 @@ CREATE TABLE IF NOT EXISTS products (
   product_id TEXT NOT NULL,
   name TEXT NOT NULL,
   slug TEXT,
+  description TEXT,
+  description_sections JSONB NOT NULL DEFAULT '[]',
   price JSONB,
+  price_amount NUMERIC,
+  price_currency TEXT,
+  price_type TEXT,
+  price_reporting_amount NUMERIC,
+  price_reporting_currency TEXT,
+  quantity INTEGER,
+  unit_price NUMERIC,
+  sold_as TEXT,
+  images JSONB NOT NULL DEFAULT '[]',
+  image_manifest TEXT,
+  colors JSONB NOT NULL DEFAULT '[]',
+  dimensions JSONB,
+  materials JSONB NOT NULL DEFAULT '[]',
+  style TEXT,
+  style_authenticity TEXT,
+  period JSONB,
+  period_start_year INTEGER,
+  period_end_year INTEGER,
+  decade INTEGER,
+  origin JSONB,
+  origin_country TEXT,
+  breadcrumbs JSONB NOT NULL DEFAULT '[]',
+  category TEXT,
+  category_source TEXT,
+  condition JSONB,
+  condition_grade TEXT,
+  designer TEXT,
+  maker TEXT,
+  brand TEXT,
+  availability TEXT,
+  seller JSONB,
+  seller_id TEXT,
+  seller_country TEXT,
   raw_data JSONB NOT NULL,
   url TEXT,
+  extractor_version INTEGER,
+  schema_version INTEGER,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Add the extractor version to tables created before it existed
+ALTER TABLE products ADD COLUMN IF NOT EXISTS extractor_version INTEGER;
+
+-- Add the canonical product schema columns (see lib/product-schema.js) to older tables
+ALTER TABLE products ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS description_sections JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS price_amount NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS price_currency TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS price_type TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS price_reporting_amount NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS price_reporting_currency TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS quantity INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS unit_price NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sold_as TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS images JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS colors JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_manifest TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS dimensions JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS materials JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS style TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS style_authenticity TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS period JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS period_start_year INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS period_end_year INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS decade INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS origin JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS origin_country TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS breadcrumbs JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_source TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS condition JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS condition_grade TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS designer TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS maker TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS brand TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS availability TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS seller JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS seller_id TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS seller_country TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
 -- Create composite index on retailer and product_id for faster lookups
 CREATE INDEX IF NOT EXISTS products_retailer_product_id_idx ON products (retailer, product_id);
 
+-- Index for sorting and filtering by price
+CREATE INDEX IF NOT EXISTS products_price_idx ON products (price_currency, price_amount);
+CREATE INDEX IF NOT EXISTS products_price_reporting_idx ON products (price_reporting_currency, price_reporting_amount);
+CREATE INDEX IF NOT EXISTS products_unit_price_idx ON products (price_currency, unit_price);
+
+-- Indexes for filtering by style and era
+CREATE INDEX IF NOT EXISTS products_style_idx ON products (style, style_authenticity);
+CREATE INDEX IF NOT EXISTS products_decade_idx ON products (decade);
+CREATE INDEX IF NOT EXISTS products_origin_country_idx ON products (origin_country);
+
+-- Index for filtering by colour family (colors @> '[{"family": "blue"}]')
+CREATE INDEX IF NOT EXISTS products_colors_idx ON products USING GIN (colors jsonb_path_ops);
+
+-- Index for filtering by condition
+CREATE INDEX IF NOT EXISTS products_condition_grade_idx ON products (condition_grade);
+
+-- Indexes for finding everything by a designer, maker or brand
+CREATE INDEX IF NOT EXISTS products_designer_idx ON products (designer);
+CREATE INDEX IF NOT EXISTS products_maker_idx ON products (maker);
+CREATE INDEX IF NOT EXISTS products_brand_idx ON products (brand);
+
+-- Indexes for grouping inventory by dealer and by where it ships from
+CREATE INDEX IF NOT EXISTS products_seller_idx ON products (retailer, seller_id);
+CREATE INDEX IF NOT EXISTS products_seller_country_idx ON products (seller_country);
+
+-- Index for browsing a category and everything below it (category LIKE 'Seating > %')
+CREATE INDEX IF NOT EXISTS products_category_idx ON products (category text_pattern_ops);
+
+-- Index for finding records produced by older extractor versions
+CREATE INDEX IF NOT EXISTS products_retailer_extractor_version_idx ON products (retailer, extractor_version);
+
 -- Create RLS (Row Level Security) policies
 -- Only authenticated users can read
 ALTER TABLE products ENABLE ROW LEVEL SECURITY;
@@ -29,4 +138,56 @@ CREATE POLICY "Enable write access for service role"
 
 CREATE POLICY "Enable update access for service role" 
   ON products FOR UPDATE 
-  USING (auth.role() = 'service_role'); 
\ No newline at end of file
+  USING (auth.role() = 'service_role'); 
+
+-- Designers, makers and brands named by products, shared across retailers.
+-- products.designer, products.maker and products.brand hold the name.
+CREATE TABLE IF NOT EXISTS designers (
+  slug TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  aliases JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE designers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable read access for authenticated users"
+  ON designers FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Enable write access for service role"
+  ON designers FOR INSERT
+  WITH CHECK (auth.role() = 'service_role');
+
+-- Dealers selling on marketplaces, linked from products by (retailer, seller_id)
+CREATE TABLE IF NOT EXISTS sellers (
+  retailer TEXT NOT NULL,
+  seller_id TEXT NOT NULL,
+  name TEXT,
+  url TEXT,
+  location TEXT,
+  city TEXT,
+  region TEXT,
+  country TEXT,
+  rating NUMERIC,
+  review_count INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (retailer, seller_id)
+);
+
+CREATE INDEX IF NOT EXISTS sellers_country_idx ON sellers (country);
+
+ALTER TABLE sellers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable read access for authenticated users"
+  ON sellers FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Enable write access for service role"
+  ON sellers FOR INSERT
+  WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Enable update access for service role"
+  ON sellers FOR UPDATE
+  USING (auth.role() = 'service_role');
@@ -4,6 +4,8 @@ import { FirstDibsAdapter } from './adapters/retailers/firstdibs-adapter.js';
 import fs from 'fs/promises';
 import path from 'path';
 import pLimit from 'p-limit';
+import { AdapterHealthTracker, buildHealthSummary } from './lib/adapter-health.js';
+import { SnapshotStore } from './lib/snapshot-store.js';
 
 // Debugging mode flag - commented out as it's only for debugging
 // const DEBUG_MODE = process.env.DEBUG === 'true';
@@ -145,12 +147,16 @@ async function test1stDibsScraper() {
           console.log(`✅ Saved ${allScrapedProducts.length} products to all_products files (interim save)`);
         };
         
+        // Track which selectors matched, for the health report
+        const healthTracker = new AdapterHealthTracker();
+        
         // Setup concurrency options with callbacks
         const concurrencyOptions = {
           // When a product is successfully processed
           onSuccess: async (product, index) => {
             // Add to our collection of all products
             allScrapedProducts.push(product);
+            healthTracker.record(product);
             
             // Save each product to its own file
             const productFileName = `product_${index}.json`;
@@ -187,7 +193,10 @@ async function test1stDibsScraper() {
           maxProducts: Infinity,
           
           // Delay between requests
-          saveDelay: SAVE_DELAY
+          saveDelay: SAVE_DELAY,
+          
+          // Archive each product page when SAVE_SNAPSHOTS=true
+          snapshotStore: process.env.SAVE_SNAPSHOTS === 'true' ? new SnapshotStore(process.env.SNAPSHOT_DIR) : null
         };
         
         // Process products with concurrency
@@ -232,7 +241,8 @@ async function test1stDibsScraper() {
           totalProductsFound: productLinks.length,
           productsProcessed: productLinks.length,
           successCount: allScrapedProducts.length,
-          failureCount: productLinks.length - allScrapedProducts.length
+          failureCount: productLinks.length - allScrapedProducts.length,
+          health: await buildHealthSummary(healthTracker, mainResultsDir, sessionDir)
         };
         
         const summaryPath = path.join(sessionDir, 'summary.json');
@@ -0,0 +1,120 @@
+/**
+ * Selector health report and drift detection tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AdapterHealthTracker, buildHealthSummary, detectDrift, loadPreviousReports } from '../lib/adapter-health.js';
+
+/**
+ * Build a report for one retailer from the statuses of its products
+ * @param {Array<string>} statuses - Status of the name field per product
+ * @param {number} failures - Products that failed to extract
+ * @returns {Object} The tracker's report
+ */
+function reportOf(statuses, failures = 0) {
+  const tracker = new AdapterHealthTracker();
+  statuses.forEach(status => tracker.record({ retailer: 'IKEA', raw_data: { extractionProvenance: { name: { status } } } }));
+  for (let i = 0; i < failures; i++) tracker.recordFailure('IKEA');
+  return tracker.getReport();
+}
+
+const healthy = reportOf(Array(10).fill('primary'));
+
+test('getReport counts statuses and rates per field', () => {
+  const report = reportOf(['primary', 'primary', 'fallback', 'none']);
+  assert.deepEqual(report.IKEA, {
+    products: 4,
+    failures: 0,
+    fields: { name: { primary: 2, fallback: 1, none: 1, rates: { primary: 0.5, fallback: 0.25, none: 0.25 } } }
+  });
+});
+
+test('failed products count as matching nothing', () => {
+  const report = reportOf(['primary', 'primary', 'primary'], 1);
+  assert.equal(report.IKEA.products, 4);
+  assert.equal(report.IKEA.failures, 1);
+  assert.deepEqual(report.IKEA.fields.name.rates, { primary: 0.75, fallback: 0, none: 0.25 });
+});
+
+test('detectDrift warns when a rate moves past the threshold', () => {
+  const degraded = reportOf([...Array(7).fill('primary'), ...Array(3).fill('fallback')]);
+  const warnings = detectDrift(degraded, [healthy]);
+
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(
+    { ...warnings[0], message: undefined },
+    { retailer: 'IKEA', field: 'name', status: 'primary', current: 0.7, baseline: 1, message: undefined }
+  );
+  assert.match(warnings[0].message, /IKEA name: primary rate 70% vs 100% over the last 1 run/);
+
+  // 30 points is within a threshold of 0.4, and 20 points is not past the default one
+  assert.deepEqual(detectDrift(degraded, [healthy], { threshold: 0.4 }), []);
+  assert.deepEqual(detectDrift(reportOf([...Array(8).fill('primary'), 'none', 'none']), [healthy]), []);
+});
+
+test('detectDrift ignores runs with fewer than five products', () => {
+  const small = reportOf(['none', 'none', 'none', 'none']);
+  assert.deepEqual(detectDrift(small, [healthy]), []);
+
+  // A small earlier run isn't a baseline either
+  const broken = reportOf(Array(5).fill('none'));
+  assert.deepEqual(detectDrift(broken, [reportOf(['primary', 'primary'])]), []);
+  assert.equal(detectDrift(broken, [healthy]).length, 2);
+});
+
+test('detectDrift warns when every product of a run failed', () => {
+  const warnings = detectDrift(reportOf([], 6), [healthy]);
+  assert.deepEqual(warnings.map(warning => [warning.field, warning.status, warning.current]), [
+    ['name', 'primary', 0],
+    ['name', 'none', 1]
+  ]);
+});
+
+test('loadPreviousReports reads the most recent sessions first', async () => {
+  const resultsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-'));
+  const writeSession = async (name, summary) => {
+    await fs.mkdir(path.join(resultsDir, name));
+    if (summary) await fs.writeFile(path.join(resultsDir, name, 'summary.json'), JSON.stringify(summary));
+  };
+
+  try {
+    await writeSession('scrape-2025-01-01T00-00-00-000Z', { health: { adapters: { run: 1 } } });
+    await writeSession('reextract-2025-03-01T00-00-00-000Z', { health: { adapters: { run: 3 } } });
+    await writeSession('scrape-2025-02-01T00-00-00-000Z', { health: { adapters: { run: 2 } } });
+    await writeSession('scrape-2025-04-01T00-00-00-000Z', { successCount: 1 });
+    await writeSession('scrape-2025-05-01T00-00-00-000Z', null);
+    await writeSession('scrape-2025-06-01T00-00-00-000Z', { health: { adapters: { run: 6 } } });
+
+    const excludeDir = path.join(resultsDir, 'scrape-2025-06-01T00-00-00-000Z');
+    assert.deepEqual(await loadPreviousReports(resultsDir, { excludeDir }), [{ run: 3 }, { run: 2 }, { run: 1 }]);
+    assert.deepEqual(await loadPreviousReports(resultsDir, { limit: 2 }), [{ run: 6 }, { run: 3 }]);
+    assert.deepEqual(await loadPreviousReports(path.join(resultsDir, 'missing')), []);
+  } finally {
+    await fs.rm(resultsDir, { recursive: true, force: true });
+  }
+});
+
+test('buildHealthSummary compares the run with earlier sessions', async () => {
+  const resultsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-'));
+  const sessionDir = path.join(resultsDir, 'scrape-2025-02-01T00-00-00-000Z');
+
+  try {
+    await fs.mkdir(path.join(resultsDir, 'scrape-2025-01-01T00-00-00-000Z'));
+    await fs.writeFile(
+      path.join(resultsDir, 'scrape-2025-01-01T00-00-00-000Z', 'summary.json'),
+      JSON.stringify({ health: { adapters: healthy } })
+    );
+
+    const tracker = new AdapterHealthTracker();
+    for (let i = 0; i < 5; i++) tracker.recordFailure('IKEA');
+    const summary = await buildHealthSummary(tracker, resultsDir, sessionDir);
+
+    assert.equal(summary.adapters.IKEA.failures, 5);
+    assert.deepEqual(summary.warnings.map(warning => warning.status), ['primary', 'none']);
+  } finally {
+    await fs.rm(resultsDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,110 @@
+/**
+ * Adapter registry and URL routing tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AdapterRegistry } from '../adapters/adapter-registry.js';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+
+const create = () => ({});
+
+test('register fills in defaults and finds adapters by name or alias', () => {
+  const registry = new AdapterRegistry();
+  registry.register({ name: 'Example', aliases: ['Example.com'], create });
+
+  const entry = registry.get('EXAMPLE');
+  assert.equal(entry.name, 'Example');
+  assert.deepEqual(
+    [entry.countries, entry.languages, entry.hosts, entry.metadata, entry.productUrlPattern, entry.parseUrl],
+    [[], [], [], {}, null, null]
+  );
+  assert.equal(registry.get('example.COM'), entry);
+  assert.equal(registry.get('unknown'), null);
+  assert.deepEqual(registry.list().map(definition => definition.name), ['Example']);
+});
+
+test('register rejects incomplete definitions and taken names', () => {
+  const registry = new AdapterRegistry();
+  registry.register({ name: 'Example', aliases: ['shop'], create });
+
+  assert.throws(() => registry.register({ name: 'Nameless' }), /need a name and a create function/);
+  assert.throws(() => registry.register({ create }), /need a name and a create function/);
+  assert.throws(() => registry.register({ name: 'Other', aliases: ['Shop'], create }), /"shop" is already registered by Example/);
+  assert.throws(() => registry.register({ name: 'Shop', create }), /"shop" is already registered by Example/);
+
+  // An adapter can register itself again, e.g. when a module is imported twice
+  registry.register({ name: 'example', aliases: ['shop'], create });
+  assert.equal(registry.get('shop').name, 'example');
+});
+
+test('AdapterFactory builds the built-in adapters by name', () => {
+  assert.equal(AdapterFactory.getAdapter('ikea', { country: 'ca', language: 'fr' }).getRetailerName(), 'IKEA');
+  assert.ok(AdapterFactory.getSupportedRetailers().includes('Wayfair'));
+  assert.throws(() => AdapterFactory.getAdapter('Nowhere'), /Unsupported retailer: Nowhere/);
+});
+
+test('resolveUrl matches hosts, subdomains and URL hints', () => {
+  const registry = new AdapterRegistry();
+  registry.register({
+    name: 'Example',
+    hosts: ['example.com'],
+    productUrlPattern: /\/p\//,
+    parseUrl: urlObj => ({ country: urlObj.pathname.split('/')[1] }),
+    create
+  });
+
+  const product = registry.resolveUrl('https://www.example.com/ca/p/chair-1');
+  assert.equal(product.entry.name, 'Example');
+  assert.deepEqual([product.country, product.language, product.type], ['ca', null, 'product']);
+  assert.equal(registry.resolveUrl('https://shop.EXAMPLE.com/us/sofas').type, 'category');
+  assert.equal(registry.resolveUrl('https://notexample.com/'), null);
+  assert.equal(registry.resolveUrl('not a url'), null);
+});
+
+test('AdapterFactory routes retailer URLs to the built-in adapters', () => {
+  assert.deepEqual(AdapterFactory.resolveUrl('https://www.ikea.com/us/en/cat/sofas-fu003/'), {
+    retailer: 'IKEA',
+    country: 'us',
+    language: 'en',
+    type: 'category'
+  });
+  assert.deepEqual(AdapterFactory.resolveUrl('https://www.wayfair.co.uk/furniture/pdp/sofa-W001234567.html'), {
+    retailer: 'Wayfair',
+    country: 'co.uk',
+    language: null,
+    type: 'product'
+  });
+  assert.equal(AdapterFactory.resolveUrl('https://www.1stdibs.com/furniture/seating/sofas/id-f_123/').type, 'product');
+  assert.equal(AdapterFactory.resolveUrl('https://www.example.org/'), null);
+
+  assert.equal(AdapterFactory.getAdapterForUrl('https://www.ikea.com/ca/fr/p/kivik-s59440524/').getRetailerName(), 'IKEA');
+  assert.throws(() => AdapterFactory.getAdapterForUrl('https://www.example.org/'), /No adapter found for URL/);
+});
+
+test('discoverPackages imports plugins from the node_modules it scans', async () => {
+  const nodeModulesDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'adapter-packages-')), 'node_modules');
+  const writePackage = async (name, manifest, file, source) => {
+    const dir = path.join(nodeModulesDir, name);
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name, type: 'module', ...manifest }));
+    await fs.writeFile(path.join(dir, file), source);
+  };
+  const registering = name => `export function register(registry) { registry.register({ name: '${name}', create: () => ({}) }); }\n`;
+
+  try {
+    await writePackage('furniture-scraper-adapter-shop', { exports: { '.': { import: './src/index.js' } } }, 'src/index.js', registering('Shop'));
+    await writePackage('@acme/furniture-scraper-adapter-store', { main: 'lib/main.js' }, 'lib/main.js', `export default { register: registry => registry.register({ name: 'Store', create: () => ({}) }) };\n`);
+    await writePackage('listed-adapter', {}, 'index.js', registering('Listed'));
+    await writePackage('unrelated-package', {}, 'index.js', registering('Unrelated'));
+
+    const registry = new AdapterRegistry();
+    await registry.discoverPackages({ nodeModulesDir, packages: ['listed-adapter'] });
+
+    assert.deepEqual(registry.list().map(entry => entry.name).sort(), ['Listed', 'Shop', 'Store']);
+  } finally {
+    await fs.rm(path.dirname(nodeModulesDir), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * Adapter contract tests
+ *
+ * Runs every adapter against the saved pages in test/fixtures/ and compares
+ * the category links, pagination and transformed products with the snapshot
+ * in each fixture's expected.json, and the raw product data with its
+ * extracted.json. Building the records from extracted.json is checked
+ * without a browser too, so the snapshots are always checked.
+ *
+ * Refresh the snapshots after an intended change with:
+ *   UPDATE_SNAPSHOTS=1 npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  launchBrowser,
+  loadFixtures,
+  runFixture,
+  readSnapshot,
+  recordsFromExtracted,
+  skipWithoutBrowser
+} from './helpers/fixture-harness.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const fixtures = await loadFixtures(FIXTURES_DIR);
+let browser = null;
+
+before(async () => {
+  browser = await launchBrowser();
+});
+
+after(async () => {
+  if (browser) await browser.close();
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.retailer} adapter matches the ${fixture.name} fixture`, { timeout: 120000 }, async t => {
+    if (!browser) {
+      skipWithoutBrowser(t);
+      return;
+    }
+
+    const { result, extracted, missing } = await runFixture(browser, fixture);
+    if (missing.length > 0) {
+      t.diagnostic(`Requests not in the fixture: ${missing.join(', ')}`);
+    }
+
+    const expected = await readSnapshot(fixture, result);
+    assert.ok(expected, `No snapshot for ${fixture.name}, run with UPDATE_SNAPSHOTS=1 to create one`);
+    assert.deepStrictEqual(result, expected);
+    assert.deepStrictEqual(extracted, await readSnapshot(fixture, extracted, 'extracted.json'));
+  });
+
+  test(`${fixture.retailer} records match the ${fixture.name} fixture without a browser`, async () => {
+    const extracted = JSON.parse(await fs.readFile(path.join(fixture.dir, 'extracted.json'), 'utf8'));
+    const expected = JSON.parse(await fs.readFile(path.join(fixture.dir, 'expected.json'), 'utf8'));
+
+    assert.deepStrictEqual(recordsFromExtracted(fixture, extracted), expected.products);
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Stale record detection tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findStaleRecords, getRecordVersion, loadRecordsFromResults } from '../lib/backfill.js';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+import { SCHEMA_VERSION } from '../lib/product-schema.js';
+
+test('records without a version count as version 0', () => {
+  assert.equal(getRecordVersion({ retailer: 'IKEA', product_id: '1' }), 0);
+  assert.equal(getRecordVersion({ retailer: 'IKEA', product_id: '1', extractor_version: 3 }), 3);
+});
+
+test('findStaleRecords keeps records older than their adapter', () => {
+  const current = AdapterFactory.getAdapter('IKEA').getExtractorVersion();
+  const stale = findStaleRecords([
+    { retailer: 'IKEA', product_id: 'old', url: 'https://www.ikea.com/ca/en/p/old/' },
+    { retailer: 'IKEA', product_id: 'new', url: 'https://www.ikea.com/ca/en/p/new/', extractor_version: current, schema_version: SCHEMA_VERSION },
+    { retailer: 'Unknown Shop', product_id: 'x' }
+  ]);
+
+  assert.deepEqual(stale, [
+    { retailer: 'IKEA', productId: 'old', url: 'https://www.ikea.com/ca/en/p/old/', version: 0, currentVersion: current, schemaVersion: 0 }
+  ]);
+});
+
+test('findStaleRecords keeps records built with an older product schema', () => {
+  const current = AdapterFactory.getAdapter('IKEA').getExtractorVersion();
+  const stale = findStaleRecords([
+    { retailer: 'IKEA', product_id: 'old-schema', extractor_version: current, schema_version: SCHEMA_VERSION - 1 }
+  ]);
+
+  assert.deepEqual(stale.map(record => record.productId), ['old-schema']);
+});
+
+test('loadRecordsFromResults prefers the copy from the latest session', async () => {
+  const resultsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'results-'));
+
+  try {
+    for (const [session, version] of [['scrape-2025-01-01T00-00-00-000Z', undefined], ['reextract-2025-02-01T00-00-00-000Z', 1]]) {
+      const productsDir = path.join(resultsDir, session, 'products');
+      await fs.mkdir(productsDir, { recursive: true });
+      await fs.writeFile(path.join(productsDir, 'product_1.json'), JSON.stringify({
+        retailer: '1stDibs',
+        product_id: 'f_1',
+        extractor_version: version
+      }));
+    }
+
+    const records = await loadRecordsFromResults(resultsDir);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].extractor_version, 1);
+  } finally {
+    await fs.rm(resultsDir, { recursive: true, force: true });
+  }
+});
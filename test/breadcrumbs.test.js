@@ -0,0 +1,41 @@
+/**
+ * Breadcrumb tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { breadcrumbsFromPath, normalizeBreadcrumbs } from '../lib/breadcrumbs.js';
+import { normalizeStructuredData } from '../adapters/helpers/structured-data.js';
+
+test('breadcrumbsFromPath reads the category segments of a URL', () => {
+  assert.deepEqual(
+    breadcrumbsFromPath('https://www.1stdibs.com/furniture/seating/dining-room-chairs/set-of-four/id-f_123/', { drop: 2 }),
+    ['Furniture', 'Seating', 'Dining Room Chairs']
+  );
+  assert.deepEqual(breadcrumbsFromPath('https://www.structube.com/en_ca/living-room/sofas.html', { skip: 1, drop: 0 }), ['Living Room', 'Sofas']);
+  assert.deepEqual(breadcrumbsFromPath('https://www.example.com/p/123', { drop: 2 }), []);
+  assert.deepEqual(breadcrumbsFromPath('not a url'), []);
+});
+
+test('normalizeBreadcrumbs drops the home link and the product itself', () => {
+  assert.deepEqual(
+    normalizeBreadcrumbs(['Home', ' Living\n room ', 'Sofas', 'Sofas', 'Oslo sofa'], 'Oslo Sofa'),
+    ['Living room', 'Sofas']
+  );
+  assert.deepEqual(normalizeBreadcrumbs(['Furniture ›', '', 'Seating']), ['Furniture', 'Seating']);
+  assert.deepEqual(normalizeBreadcrumbs(null), []);
+});
+
+test('normalizeStructuredData lists BreadcrumbList names in position order', () => {
+  const { breadcrumbs } = normalizeStructuredData({
+    jsonLd: [JSON.stringify({
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 2, item: { '@id': '/furniture/seating/', name: 'Seating' } },
+        { '@type': 'ListItem', position: 1, name: 'Furniture', item: '/furniture/' }
+      ]
+    })]
+  });
+
+  assert.deepEqual(breadcrumbs, ['Furniture', 'Seating']);
+  assert.equal(normalizeStructuredData({ jsonLd: [] }).breadcrumbs, null);
+});
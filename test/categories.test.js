@@ -0,0 +1,82 @@
+/**
+ * Category taxonomy tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CategoryTaxonomy, categorizeRecord, getCategoryTaxonomy } from '../lib/categories.js';
+
+test('matchKeywords prefers the most specific category', () => {
+  const taxonomy = getCategoryTaxonomy();
+
+  assert.equal(taxonomy.matchKeywords('Teak Dining Table'), 'Tables > Dining Tables');
+  assert.equal(taxonomy.matchKeywords('Set of 6 Dining Chairs'), 'Seating > Dining Chairs');
+  assert.equal(taxonomy.matchKeywords('Lounge Chair and Ottoman'), 'Seating > Lounge Chairs');
+  assert.equal(taxonomy.matchKeywords('Brass Table Lamp'), 'Lighting');
+  assert.equal(taxonomy.matchKeywords('Canapé 3 places'), 'Seating > Sofas');
+  assert.equal(taxonomy.matchKeywords('Bedroom'), 'Bedroom');
+  assert.equal(taxonomy.matchKeywords('Throw Pillow'), null);
+});
+
+test('classify uses breadcrumbs, URLs and the title in order', () => {
+  const taxonomy = getCategoryTaxonomy();
+
+  assert.deepEqual(
+    taxonomy.classify({
+      breadcrumbs: ['Furniture', 'Seating', 'Dining Room Chairs'],
+      url: 'https://www.1stdibs.com/furniture/seating/sofas/x/id-f_1/',
+      name: 'Pair of Side Chairs'
+    }),
+    { category: 'Seating > Dining Chairs', source: 'breadcrumb' }
+  );
+  assert.deepEqual(
+    taxonomy.classify({ url: 'https://www.1stdibs.com/furniture/seating/dining-room-chairs/set-of-four/id-f_2/' }),
+    { category: 'Seating > Dining Chairs', source: 'url' }
+  );
+
+  // A later source only narrows the category down
+  assert.deepEqual(
+    taxonomy.classify({ categoryUrl: 'https://www.1stdibs.com/furniture/seating/', name: 'Danish Teak Lounge Chair' }),
+    { category: 'Seating > Lounge Chairs', source: 'title' }
+  );
+  assert.deepEqual(
+    taxonomy.classify({ categoryUrl: 'https://www.1stdibs.com/furniture/seating/', name: 'Walnut Coffee Table' }),
+    { category: 'Seating', source: 'category-url' }
+  );
+  assert.equal(taxonomy.classify({ name: 'Gift Card' }), null);
+});
+
+test('classify looks retailer ids up in the mapping table', () => {
+  const taxonomy = getCategoryTaxonomy();
+  const mappings = { 'bm003': 'Bedroom > Beds', 'tables-desks-fu004': 'Tables' };
+
+  assert.deepEqual(
+    taxonomy.classify({ categoryUrl: 'https://www.ikea.com/ca/en/cat/bm003/', name: 'MALM' }, mappings),
+    { category: 'Bedroom > Beds', source: 'category-url' }
+  );
+
+  // Keywords still narrow a mapped category down
+  assert.deepEqual(
+    taxonomy.classify({ categoryUrl: 'https://www.ikea.com/ca/en/cat/tables-desks-fu004/', name: 'LISABO' }, mappings),
+    { category: 'Tables > Desks', source: 'category-url' }
+  );
+  assert.throws(() => taxonomy.classify({ name: 'Sofa' }, { sofas: 'Seating > Couches' }), /Seating > Couches/);
+});
+
+test('categorizeRecord fills category and category_source', () => {
+  const taxonomy = new CategoryTaxonomy({ Seating: ['seating'], 'Seating > Sofas': ['sofa'] });
+
+  const record = categorizeRecord(
+    { product_id: '1', name: 'KIVIK Sofa', url: 'https://www.ikea.com/ca/en/p/kivik-sofa-s59440524/' },
+    { taxonomy }
+  );
+  assert.equal(record.category, 'Seating > Sofas');
+  assert.equal(record.category_source, 'url');
+
+  const unmapped = categorizeRecord({ product_id: '2', name: 'Rug', url: 'https://example.com/rug' }, { taxonomy });
+  assert.equal(unmapped.category, null);
+  assert.equal(unmapped.category_source, null);
+});
+
+test('the taxonomy needs every parent category', () => {
+  assert.throws(() => new CategoryTaxonomy({ 'Seating > Sofas': ['sofa'] }), /no parent "Seating"/);
+});
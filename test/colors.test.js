@@ -0,0 +1,80 @@
+/**
+ * Colour palette tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { colorFamily, decodeImage, extractPalette, paletteFromImage } from '../lib/colors.js';
+
+/**
+ * Build an RGBA image from a function of the pixel position
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} colorAt - (x, y) => [r, g, b, a?]
+ * @returns {Object} { width, height, data }
+ */
+function makeImage(width, height, colorAt) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b, a = 255] = colorAt(x, y);
+      data.set([r, g, b, a], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// A cognac sofa (left) with black legs (right) on a white studio background
+const sofa = makeImage(100, 100, (x, y) => {
+  if (x < 10 || x >= 90 || y < 10 || y >= 90) return [255, 255, 255];
+  return x < 70 ? [154, 90, 46] : [30, 28, 27];
+});
+
+test('extractPalette leaves out the background and sorts by share', () => {
+  assert.deepEqual(extractPalette(sofa), [
+    { hex: '#9a5a2e', share: 0.75, family: 'brown' },
+    { hex: '#1e1c1b', share: 0.25, family: 'black' }
+  ]);
+
+  const withBackground = extractPalette(sofa, { ignoreBackground: false });
+  assert.equal(withBackground[0].family, 'brown');
+  assert.ok(withBackground.some(color => color.family === 'white'));
+});
+
+test('a product the colour of its background still gets a palette', () => {
+  const white = makeImage(20, 20, () => [250, 250, 250]);
+  assert.deepEqual(extractPalette(white), [{ hex: '#fafafa', share: 1, family: 'white' }]);
+});
+
+test('transparent pixels are ignored', () => {
+  const cutout = makeImage(20, 20, x => (x < 10 ? [0, 0, 0, 0] : [40, 70, 160]));
+  assert.deepEqual(extractPalette(cutout).map(color => color.family), ['blue']);
+});
+
+test('JPEG and PNG files are decoded', () => {
+  const png = PNG.sync.write(Object.assign(new PNG({ width: sofa.width, height: sofa.height }), { data: sofa.data }));
+  assert.deepEqual(paletteFromImage(png).map(color => color.family), ['brown', 'black']);
+
+  const jpg = jpeg.encode(sofa, 90).data;
+  assert.equal(decodeImage(jpg).width, 100);
+  assert.deepEqual(paletteFromImage(jpg).map(color => color.family), ['brown', 'black']);
+
+  assert.throws(() => decodeImage(Buffer.from('RIFF0000WEBPVP8 ')), /Unsupported image format/);
+});
+
+test('colorFamily names furniture colours', () => {
+  assert.equal(colorFamily('#000000'), 'black');
+  assert.equal(colorFamily('#f5f5f0'), 'white');
+  assert.equal(colorFamily('#808080'), 'grey');
+  assert.equal(colorFamily('#36454f'), 'grey');
+  assert.equal(colorFamily('#d2b48c'), 'beige');
+  assert.equal(colorFamily('#5c4033'), 'brown');
+  assert.equal(colorFamily('#8b0000'), 'red');
+  assert.equal(colorFamily('#ff8000'), 'orange');
+  assert.equal(colorFamily('#d4a017'), 'yellow');
+  assert.equal(colorFamily('#556b2f'), 'green');
+  assert.equal(colorFamily('#000080'), 'blue');
+  assert.equal(colorFamily('#6a0dad'), 'purple');
+  assert.equal(colorFamily('#ffc0cb'), 'pink');
+});
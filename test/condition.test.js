@@ -0,0 +1,56 @@
+/**
+ * Condition grading tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecordCondition, parseCondition } from '../lib/condition.js';
+
+test('parseCondition grades the rating and lists restorations', () => {
+  assert.deepEqual(parseCondition({ rating: 'Good', details: 'Reupholstered. Refinished. Wear consistent with age and use.' }), {
+    grade: 'good',
+    rating: 'Good',
+    details: 'Reupholstered. Refinished. Wear consistent with age and use.',
+    restorations: ['reupholstered', 'refinished']
+  });
+  assert.equal(parseCondition('New').grade, 'new');
+  assert.equal(parseCondition({ rating: 'Excellent', details: null }).grade, 'excellent');
+  assert.equal(parseCondition({ rating: 'Fair', details: 'Lots of wear.' }).grade, 'fair');
+  assert.equal(parseCondition(null), null);
+});
+
+test('the details refine the rating', () => {
+  assert.equal(parseCondition({ rating: 'Good', details: 'Wear consistent with age and use. In very good condition.' }).grade, 'very-good');
+  assert.equal(parseCondition({ rating: 'Good', details: 'Minor structural damages.' }).grade, 'good');
+  assert.equal(parseCondition({ rating: 'Good', details: 'Structural damages to one leg.' }).grade, 'fair');
+  assert.deepEqual(
+    parseCondition({ rating: 'Good', details: 'Repaired: the chairs have been structurally restored.' }).restorations,
+    ['repaired']
+  );
+});
+
+test('damage the notes rule out leaves the grade alone', () => {
+  assert.equal(parseCondition({ rating: 'Excellent', details: 'No structural damage.' }).grade, 'excellent');
+  assert.equal(parseCondition({ rating: 'Good', details: 'Without any water damage or stains.' }).grade, 'good');
+  assert.equal(parseCondition({ rating: 'Good', details: 'Free of structural damage, one leg cracked.' }).grade, 'fair');
+});
+
+test('the description stands in for a missing rating', () => {
+  assert.equal(parseCondition({}, 'A large sofa. In excellent vintage condition, with a minor patina.').grade, 'excellent');
+  assert.equal(parseCondition({}, 'A large sofa.'), null);
+});
+
+test('normalizeRecordCondition reads the Condition section', () => {
+  const record = normalizeRecordCondition({
+    condition: { rating: 'Good', details: null },
+    description: 'Sofa.\n\nCondition\nReupholstered in velvet.',
+    description_sections: [{ heading: null, text: 'Sofa.' }, { heading: 'Condition', text: 'Reupholstered in velvet.' }]
+  });
+
+  assert.equal(record.condition_grade, 'good');
+  assert.equal(record.condition.details, 'Reupholstered in velvet.');
+  assert.deepEqual(record.condition.restorations, ['reupholstered']);
+
+  const unknown = normalizeRecordCondition({ condition: null, description: 'A chair.' });
+  assert.equal(unknown.condition, null);
+  assert.equal(unknown.condition_grade, null);
+});
@@ -0,0 +1,56 @@
+/**
+ * Currency conversion tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExchangeRateTable, convertRecordPrice } from '../lib/currency.js';
+import { normalizeRecordPrice } from '../lib/price.js';
+
+const table = () => new ExchangeRateTable({
+  base: 'USD',
+  rates: {
+    '2025-01-02': { USD: 1, CAD: 1.44, EUR: 0.97 },
+    '2025-03-21': { USD: 1, CAD: 1.4335, EUR: 0.9234 }
+  }
+});
+
+test('convert uses the latest rates on or before the date', () => {
+  const rates = table();
+
+  assert.deepEqual(rates.convert(100, 'USD', 'CAD', '2025-02-15'), { amount: 144, rate: 1.44, rateDate: '2025-01-02' });
+  assert.equal(rates.convert(1433.5, 'CAD', 'USD', '2025-04-01').amount, 1000);
+  assert.equal(rates.convert(100, 'EUR', 'CAD', '2025-03-21').rateDate, '2025-03-21');
+  assert.equal(rates.convert(100, 'USD', 'CAD', '2024-12-31'), null);
+  assert.equal(rates.convert(100, 'XYZ', 'USD', '2025-03-21'), null);
+});
+
+test('merge rebases imported rates onto the table base', () => {
+  const rates = table();
+  rates.merge(new ExchangeRateTable({ base: 'EUR', rates: { '2025-04-01': { EUR: 1, USD: 1.08, CAD: 1.55 } } }));
+
+  assert.deepEqual(rates.dates, ['2025-01-02', '2025-03-21', '2025-04-01']);
+  assert.equal(rates.rates['2025-04-01'].USD, 1);
+  assert.equal(rates.convert(108, 'USD', 'EUR', '2025-04-01').amount, 100);
+});
+
+test('the table rejects malformed rates', () => {
+  assert.throws(() => new ExchangeRateTable({ rates: {} }), /base/);
+  assert.throws(() => new ExchangeRateTable({ base: 'USD', rates: { '21/03/2025': {} } }), /date/);
+  assert.throws(() => new ExchangeRateTable({ base: 'USD', rates: { '2025-03-21': { CAD: -1 } } }), /CAD/);
+});
+
+test('convertRecordPrice adds the reporting amount and rate date', () => {
+  const record = convertRecordPrice(
+    normalizeRecordPrice({ product_id: '1', price: 'CA$1,433.50' }),
+    { rates: table(), reportingCurrency: 'USD', date: '2025-03-23' }
+  );
+
+  assert.equal(record.price_reporting_amount, 1000);
+  assert.equal(record.price_reporting_currency, 'USD');
+  assert.equal(record.price.reportingAmount, 1000);
+  assert.equal(record.price.rateDate, '2025-03-21');
+
+  const withoutPrice = convertRecordPrice({ product_id: '2', price: null }, { rates: table() });
+  assert.equal(withoutPrice.price, null);
+  assert.equal(withoutPrice.price_reporting_amount, null);
+});
@@ -0,0 +1,47 @@
+/**
+ * Description section tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSection, parseDescriptionSections } from '../lib/description.js';
+
+test('parseDescriptionSections splits on headings of their own', () => {
+  const sections = parseDescriptionSections([
+    'Large lounge sofa in cognac leather.',
+    '',
+    'Design',
+    'Round lines and shapes.',
+    'Generously proportioned.',
+    '',
+    'Condition',
+    'Minor patina on the leather.',
+    '',
+    'ABOUT THE DESIGNER',
+    'George Bighinello worked for Eurosalotto.'
+  ].join('\r\n'));
+
+  assert.deepEqual(sections, [
+    { heading: null, text: 'Large lounge sofa in cognac leather.' },
+    { heading: 'Design', text: 'Round lines and shapes.\nGenerously proportioned.' },
+    { heading: 'Condition', text: 'Minor patina on the leather.' },
+    { heading: 'ABOUT THE DESIGNER', text: 'George Bighinello worked for Eurosalotto.' }
+  ]);
+  assert.equal(findSection(sections, 'condition'), 'Minor patina on the leather.');
+  assert.equal(findSection(sections, 'provenance'), null);
+});
+
+test('a known heading can start its text on the same line', () => {
+  assert.deepEqual(parseDescriptionSections('Bench in wenge.\n\nDimensions:Width: 180 cm\nMaterials: Wengue veneer; cream velvet\n\nPlease note:\nMade to order.'), [
+    { heading: null, text: 'Bench in wenge.' },
+    { heading: 'Dimensions', text: 'Width: 180 cm' },
+    { heading: 'Materials', text: 'Wengue veneer; cream velvet' },
+    { heading: 'Please note', text: 'Made to order.' }
+  ]);
+});
+
+test('sentences and titles are not headings', () => {
+  const text = '21st Century Modern Wenge Wood Bench Cream Velvet Seat\nThe Becket Bench redefines elegance.\nIt is sturdy.\nNote the grain: it runs lengthwise.';
+  assert.deepEqual(parseDescriptionSections(text), [{ heading: null, text }]);
+  assert.deepEqual(parseDescriptionSections(''), []);
+  assert.deepEqual(parseDescriptionSections(null), []);
+});
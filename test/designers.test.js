@@ -0,0 +1,85 @@
+/**
+ * Designer and maker attribution tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DesignerDirectory,
+  designerRows,
+  designerSlug,
+  normalizeRecordAttribution,
+  parseCreators,
+  parseTitleAttribution
+} from '../lib/designers.js';
+
+const directory = new DesignerDirectory({
+  designers: { 'Hans J. Wegner': ['hans wegner', 'wegner'], 'George Bighinello': [] },
+  makers: { 'Carl Hansen & Søn': ['carl hansen & son'], 'Getama': [], 'Vamo Sønderborg': ['vamo sonderborg'] }
+});
+
+test('parseCreators reads roles from the 1stDibs creator field', () => {
+  assert.deepEqual(
+    parseCreators(['George Bighinello (Designer)', 'Eurosalotto (Manufacturer)']),
+    { designer: 'George Bighinello', maker: 'Eurosalotto' }
+  );
+  assert.deepEqual(parseCreators('Hans J. Wegner'), { designer: 'Hans J. Wegner', maker: null });
+  assert.deepEqual(parseCreators(['Unknown (Designer)']), { designer: null, maker: null });
+  assert.deepEqual(parseCreators(null), { designer: null, maker: null });
+});
+
+test('parseTitleAttribution reads "by ... for ..." from titles', () => {
+  assert.deepEqual(
+    parseTitleAttribution('Lounge Sofa by George Bighinello for Eurosalotto, Italy, 1970s'),
+    { by: 'George Bighinello', for: 'Eurosalotto' }
+  );
+  assert.deepEqual(parseTitleAttribution('Set of Four Dining Chairs by Vamo Sønderborg'), { by: 'Vamo Sønderborg', for: null });
+  assert.deepEqual(parseTitleAttribution('Armchair inspired by Hans Wegner'), { by: null, for: null });
+  assert.deepEqual(parseTitleAttribution('Chair made by hand'), { by: null, for: null });
+});
+
+test('the directory resolves spellings onto canonical names', () => {
+  assert.deepEqual(directory.resolve('hans  wegner'), { name: 'Hans J. Wegner', kind: 'designer' });
+  assert.deepEqual(directory.resolve('Hans J Wegner'), { name: 'Hans J. Wegner', kind: 'designer' });
+  assert.deepEqual(directory.resolve('CARL HANSEN AND SON'), { name: 'Carl Hansen & Søn', kind: 'maker' });
+  assert.deepEqual(directory.resolve('Jane Doe'), { name: 'Jane Doe', kind: null });
+  assert.equal(directory.resolve(' '), null);
+
+  assert.throws(
+    () => new DesignerDirectory({ designers: { 'Charles Eames': ['eames'] }, makers: { 'Eames Office': ['eames'] } }),
+    /"eames" is listed for both "Charles Eames" and "Eames Office"/
+  );
+  assert.throws(() => new DesignerDirectory({ makers: { Knoll: 'knoll' } }), /must be a list of strings/);
+});
+
+test('normalizeRecordAttribution combines the page and the title', () => {
+  const attribute = record => normalizeRecordAttribution(record, { directory });
+
+  assert.deepEqual(
+    attribute({ name: 'Chair by Wegner for Carl Hansen & Son', designer: null, maker: null, brand: null }),
+    { name: 'Chair by Wegner for Carl Hansen & Son', designer: 'Hans J. Wegner', maker: 'Carl Hansen & Søn', brand: null }
+  );
+
+  // A maker named after "by" stays the maker
+  const vamo = attribute({ name: 'Set of Four Dining Chairs by Vamo Sonderborg' });
+  assert.equal(vamo.designer, null);
+  assert.equal(vamo.maker, 'Vamo Sønderborg');
+
+  // What the page states wins over the title
+  const listed = attribute({ name: 'Chair by George Bighinello', designer: 'hans wegner', maker: 'getama', brand: 'IKEA' });
+  assert.equal(listed.designer, 'Hans J. Wegner');
+  assert.equal(listed.maker, 'Getama');
+  assert.equal(listed.brand, 'IKEA');
+});
+
+test('designer rows carry a slug and the known spellings', () => {
+  assert.equal(designerSlug('Carl Hansen & Søn'), 'carl-hansen-and-son');
+  assert.equal(designerSlug('Hans J. Wegner'), 'hans-j-wegner');
+
+  assert.deepEqual(
+    designerRows({ designer: 'Hans J. Wegner', maker: 'Getama', brand: 'Getama' }, { directory }),
+    [
+      { slug: 'hans-j-wegner', name: 'Hans J. Wegner', aliases: ['hans wegner', 'wegner'] },
+      { slug: 'getama', name: 'Getama', aliases: [] }
+    ]
+  );
+});
@@ -0,0 +1,74 @@
+/**
+ * Dimension parsing tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dimensionKeyFor, parseDimensions, parseMeasurement } from '../lib/dimensions.js';
+
+test('parseMeasurement reads decimals, fractions and units', () => {
+  assert.deepEqual(parseMeasurement('Height: 30.71 in (78 cm)'), { value: 30.71, unit: 'in' });
+  assert.deepEqual(parseMeasurement('30 1/2 in'), { value: 30.5, unit: 'in' });
+  assert.deepEqual(parseMeasurement('84½"'), { value: 84.5, unit: 'in' });
+  assert.deepEqual(parseMeasurement('1/2"'), { value: 0.5, unit: 'in' });
+  assert.deepEqual(parseMeasurement('450 mm'), { value: 450, unit: 'mm' });
+  assert.deepEqual(parseMeasurement('30,5 cm'), { value: 30.5, unit: 'cm' });
+  assert.deepEqual(parseMeasurement('1,200 mm'), { value: 1200, unit: 'mm' });
+  assert.deepEqual(parseMeasurement('2 ft 6 in'), { value: 2.5, unit: 'ft' });
+  assert.deepEqual(parseMeasurement('72"W'), { value: 72, unit: 'in' });
+  assert.deepEqual(parseMeasurement('30 inset'), { value: 30, unit: null });
+  assert.equal(parseMeasurement('no numbers'), null);
+});
+
+test('dimensionKeyFor skips measurements of parts of the piece', () => {
+  assert.equal(dimensionKeyFor('Seat Height'), 'seatHeight');
+  assert.equal(dimensionKeyFor('seatHeight'), 'seatHeight');
+  assert.equal(dimensionKeyFor("35'' H"), 'height');
+  assert.equal(dimensionKeyFor('Diameter'), 'diameter');
+  assert.equal(dimensionKeyFor('Seat Depth'), null);
+  assert.equal(dimensionKeyFor('Arm Height'), null);
+});
+
+test('parseDimensions reads 1stDibs spec rows', () => {
+  assert.deepEqual(parseDimensions({
+    height: 'Height: 30.71 in (78 cm)',
+    width: 'Width: 84.26 in (214 cm)',
+    seatHeight: 'Seat Height: 17.72 in (45 cm)'
+  }), { height: 78, width: 214, seatHeight: 45, sourceUnit: 'in' });
+});
+
+test('parseDimensions reads page text and schema.org values', () => {
+  assert.deepEqual(
+    parseDimensions("Overall: 35'' H x 84'' W x 38'' D"),
+    { height: 88.9, width: 213.4, depth: 96.5, sourceUnit: 'in' }
+  );
+  assert.deepEqual(
+    parseDimensions('72"W x 36"D x 30"H'),
+    { width: 182.9, depth: 91.4, height: 76.2, sourceUnit: 'in' }
+  );
+  assert.deepEqual(
+    parseDimensions('W 200 x D 90 x H 75 cm'),
+    { width: 200, depth: 90, height: 75, sourceUnit: 'cm' }
+  );
+  assert.deepEqual(
+    parseDimensions(['Diameter: 1200 mm', 'Height: 740 mm']),
+    { diameter: 120, height: 74, sourceUnit: 'mm' }
+  );
+  assert.deepEqual(
+    parseDimensions({ width: { '@type': 'QuantitativeValue', value: 228, unitCode: 'CMT' } }),
+    { width: 228, sourceUnit: 'cm' }
+  );
+  assert.deepEqual(parseDimensions('Width: 1,200 mm, Height: 740 mm'), { width: 120, height: 74, sourceUnit: 'mm' });
+  assert.deepEqual(parseDimensions('Height: 2 ft 6 in'), { height: 76.2, sourceUnit: 'ft' });
+  assert.equal(parseDimensions('Assembly required'), null);
+});
+
+test('parseDimensions leaves parsed dimensions alone', () => {
+  const parsed = { height: 78, sourceUnit: 'in' };
+  assert.equal(parseDimensions(parsed), parsed);
+});
+
+test('a length is kept as the width when no width is listed', () => {
+  assert.deepEqual(parseDimensions('Length: 180 cm, Height: 75 cm'), { width: 180, height: 75, sourceUnit: 'cm' });
+  assert.deepEqual(parseDimensions({ length: '72 in', height: '30 in' }), { width: 182.9, height: 76.2, sourceUnit: 'in' });
+  assert.deepEqual(parseDimensions('L 200 x W 90 x H 75 cm'), { width: 90, height: 75, sourceUnit: 'cm' });
+});
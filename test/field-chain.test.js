@@ -0,0 +1,107 @@
+/**
+ * Fallback selector chain tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FieldExtractor, applyTransform, extractField, getPath } from '../adapters/helpers/field-chain.js';
+
+/**
+ * A stand-in for a Playwright page that answers selectors from a lookup table
+ * @param {Object} elements - Selector -> array of { text, attributes }
+ * @returns {Object} An object with $eval and $$eval
+ */
+function fakePage(elements) {
+  const toElement = ({ text = '', attributes = {} }) => ({ textContent: text, getAttribute: name => attributes[name] ?? null });
+  const find = selector => (elements[selector] || []).map(toElement);
+
+  return {
+    $eval: async (selector, fn, args) => {
+      const [el] = find(selector);
+      if (!el) throw new Error(`No element matches ${selector}`);
+      return fn(el, args);
+    },
+    $$eval: async (selector, fn, args) => fn(find(selector), args)
+  };
+}
+
+const page = fakePage({
+  'h1.title': [{ text: '  KIVIK   Sofa ' }],
+  '.price': [{ text: '$1,099.00' }],
+  'img.gallery': [{ attributes: { src: 'a.jpg' } }, { attributes: { src: '' } }, { attributes: { src: 'b.jpg' } }],
+  'h1.empty': [{ text: '   ' }]
+});
+
+test('extractField reports the first step as primary', async () => {
+  const result = await extractField(page, [
+    { selector: 'h1.title', transform: 'collapseWhitespace' },
+    { jsonLd: 'name' }
+  ], { jsonLd: { name: 'From JSON-LD' } });
+
+  assert.deepEqual(result, {
+    value: 'KIVIK Sofa',
+    provenance: { selector: 'h1.title', index: 0, candidates: 2, status: 'primary' }
+  });
+});
+
+test('extractField falls back past missing, empty and failing steps', async () => {
+  const chain = [
+    { selector: 'h1.missing' },
+    { selector: 'h1.empty' },
+    { run: async () => { throw new Error('boom'); }, label: 'custom' },
+    { selector: '.price', regex: 'Sale (\\d+)' },
+    { jsonLd: 'offers.price', transform: 'number' }
+  ];
+  const result = await extractField(page, chain, { jsonLd: { offers: { price: '1099.00' } } });
+
+  assert.deepEqual(result, {
+    value: 1099,
+    provenance: { selector: 'jsonLd:offers.price', index: 4, candidates: 5, status: 'fallback' }
+  });
+
+  const fromValue = await extractField(page, [{ jsonLd: 'name' }, { value: 'Sofa', label: 'breadcrumb' }]);
+  assert.deepEqual(fromValue.provenance, { selector: 'breadcrumb', index: 1, candidates: 2, status: 'fallback' });
+});
+
+test('extractField reports none when no step matches', async () => {
+  const result = await extractField(page, { selector: 'h1.missing' });
+  assert.deepEqual(result, {
+    value: null,
+    provenance: { selector: null, index: -1, candidates: 1, status: 'none' }
+  });
+});
+
+test('extractField reads every match of an all step', async () => {
+  const result = await extractField(page, { selector: 'img.gallery', attribute: 'src', all: true });
+  assert.deepEqual(result.value, ['a.jpg', 'b.jpg']);
+  assert.equal(result.provenance.selector, 'img.gallery@src');
+});
+
+test('applyTransform and getPath handle the edge cases', () => {
+  assert.equal(applyTransform('Width: 84 in', { regex: '(\\d+) in', transform: 'number' }), 84);
+  assert.equal(applyTransform('1.234,56 €', { transform: 'number' }), 1234.56);
+  assert.equal(applyTransform('1 234,56 kr', { transform: 'number' }), 1234.56);
+  assert.equal(applyTransform('$1,299.00', { transform: 'number' }), 1299);
+  assert.equal(applyTransform('Oak, ', { transform: 'stripTrailingComma' }), 'Oak');
+  assert.equal(applyTransform(42, {}), 42);
+  assert.throws(() => applyTransform('x', { transform: 'shout' }), /Unknown transform: shout/);
+  assert.equal(getPath({ offers: [{ price: 5 }] }, 'offers.0.price'), 5);
+  assert.equal(getPath({ offers: null }, 'offers.price'), undefined);
+});
+
+test('FieldExtractor keeps the provenance of each field', async () => {
+  const extractor = new FieldExtractor(page, { jsonLd: { name: 'KIVIK' } });
+  const originalLog = console.log;
+  console.log = () => {};
+
+  try {
+    assert.equal(await extractor.extract('name', [{ selector: 'h1.missing' }, { jsonLd: 'name' }]), 'KIVIK');
+    assert.equal(await extractor.extract('sku', { selector: '.sku' }), null);
+  } finally {
+    console.log = originalLog;
+  }
+
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(extractor.getProvenance()).map(([field, record]) => [field, record.status])),
+    { name: 'fallback', sku: 'none' }
+  );
+});
@@ -0,0 +1,69 @@
+/**
+ * Place resolution tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Gazetteer, getGazetteer, normalizeRecordOrigin, parseOrigin } from '../lib/geo.js';
+
+const gazetteer = getGazetteer();
+
+test('country names, demonyms and codes resolve to ISO 3166', () => {
+  assert.deepEqual(gazetteer.resolve('Denmark'), { country: 'DK', region: null });
+  assert.deepEqual(gazetteer.resolve('Danish'), { country: 'DK', region: null });
+  assert.deepEqual(gazetteer.resolve('Czech Republic'), { country: 'CZ', region: null });
+  assert.deepEqual(gazetteer.resolve('Holland'), { country: 'NL', region: null });
+  assert.deepEqual(gazetteer.resolve('U.S.A.'), { country: 'US', region: null });
+  assert.deepEqual(gazetteer.resolve('UK'), { country: 'GB', region: null });
+  assert.deepEqual(gazetteer.resolve('ITA'), { country: 'IT', region: null });
+  assert.deepEqual(gazetteer.resolve('Türkiye'), { country: 'TR', region: null });
+  assert.deepEqual(gazetteer.resolve('Wales'), { country: 'GB', region: 'GB-WLS' });
+  assert.deepEqual(gazetteer.resolve('Georgia'), { country: 'GE', region: null });
+  assert.equal(gazetteer.resolve('Europe'), null);
+});
+
+test('resolveLocation splits city, region and country', () => {
+  assert.deepEqual(gazetteer.resolveLocation('Hellouw, NL'), { city: 'Hellouw', region: null, country: 'NL' });
+  assert.deepEqual(gazetteer.resolveLocation('Brooklyn, NY'), { city: 'Brooklyn', region: 'US-NY', country: 'US' });
+  assert.deepEqual(gazetteer.resolveLocation('Los Angeles, CA'), { city: 'Los Angeles', region: 'US-CA', country: 'US' });
+  assert.deepEqual(gazetteer.resolveLocation('Toronto, ON'), { city: 'Toronto', region: 'CA-ON', country: 'CA' });
+  assert.deepEqual(gazetteer.resolveLocation('Jesteburg, DE'), { city: 'Jesteburg', region: null, country: 'DE' });
+  assert.deepEqual(gazetteer.resolveLocation('Portland, Oregon, USA'), { city: 'Portland', region: 'US-OR', country: 'US' });
+  assert.deepEqual(gazetteer.resolveLocation('London, UK'), { city: 'London', region: null, country: 'GB' });
+  assert.deepEqual(gazetteer.resolveLocation('Athens, EL'), { city: 'Athens', region: null, country: 'GR' });
+  assert.deepEqual(gazetteer.resolveLocation('Saint Louis, US'), { city: 'Saint Louis', region: null, country: 'US' });
+  assert.deepEqual(gazetteer.resolveLocation('PARIS, FR'), { city: 'Paris', region: null, country: 'FR' });
+  assert.deepEqual(gazetteer.resolveLocation('ŁÓDŹ, PL'), { city: 'Łódź', region: null, country: 'PL' });
+  assert.deepEqual(gazetteer.resolveLocation('Somewhere'), { city: 'Somewhere', region: null, country: null });
+  assert.equal(gazetteer.resolveLocation('Unknown'), null);
+});
+
+test('the gazetteer rejects malformed entries', () => {
+  assert.throws(() => new Gazetteer({ countries: { XYZ: { name: 'Nowhere', alpha3: 'XYZ' } } }), /alpha-2 code/);
+  assert.throws(
+    () => new Gazetteer({ countries: { FR: { name: 'France', alpha3: 'FRA' } }, regions: { 'XX-1': { name: 'Somewhere' } } }),
+    /ISO 3166-2 code of a listed country/
+  );
+  assert.throws(
+    () => new Gazetteer({
+      countries: {
+        AT: { name: 'Austria', alpha3: 'AUT', demonyms: ['austrian'] },
+        AU: { name: 'Australia', alpha3: 'AUS', demonyms: ['austrian'] }
+      }
+    }),
+    /"austrian" is listed for both "AT" and "AU"/
+  );
+});
+
+test('normalizeRecordOrigin resolves the place of origin', () => {
+  const record = normalizeRecordOrigin({ product_id: 'f_1', origin: ' England ' });
+  assert.deepEqual(record.origin, { text: 'England', country: 'GB', region: 'GB-ENG' });
+  assert.equal(record.origin_country, 'GB');
+
+  // Already resolved origins are resolved again from their text
+  assert.deepEqual(parseOrigin({ text: 'Italy', country: null, region: null }), { text: 'Italy', country: 'IT', region: null });
+
+  const unknown = normalizeRecordOrigin({ product_id: 'f_1', origin: 'Europe' });
+  assert.deepEqual(unknown.origin, { text: 'Europe', country: null, region: null });
+  assert.equal(normalizeRecordOrigin({ origin: 'Unknown' }).origin, null);
+  assert.equal(normalizeRecordOrigin({}).origin_country, null);
+});
@@ -0,0 +1,226 @@
+/**
+ * Fixture Harness
+ *
+ * Runs adapters against saved HTML pages instead of the live retailer sites.
+ * Every request the browser makes is answered from the fixture directory, so
+ * the tests never touch the network.
+ *
+ * The raw data each product page yields is kept in the fixture's
+ * extracted.json, so the transform and normalizer half of the contract can be
+ * checked against expected.json without a browser.
+ */
+import { chromium } from 'playwright';
+import fs from 'fs/promises';
+import path from 'path';
+import { AdapterFactory } from '../../adapters/adapter-factory.js';
+
+// Stop following pagination after this many pages unless the fixture says otherwise
+const DEFAULT_MAX_PAGES = 5;
+
+// Shown when a test needs Chromium and none could be launched
+const NO_BROWSER = 'Chromium is not available (run `npx playwright install chromium` or set CHROMIUM_PATH)';
+
+// Content types for the files a fixture can serve
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.js': 'application/javascript',
+  '.css': 'text/css'
+};
+
+/**
+ * Launch Chromium for the fixture tests
+ *
+ * CHROMIUM_PATH can point at a browser binary when Playwright's own download
+ * isn't installed.
+ * @returns {Promise<Browser|null>} The browser, or null if none could be launched
+ */
+export async function launchBrowser() {
+  try {
+    return await chromium.launch({
+      headless: true,
+      executablePath: process.env.CHROMIUM_PATH || undefined
+    });
+  } catch (error) {
+    console.warn(`Could not launch Chromium: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Skip a test that needs Chromium when none could be launched
+ *
+ * Under CI the test fails instead, so a run can't pass without ever running
+ * an adapter.
+ * @param {TestContext} t - The test's context
+ * @throws {Error} Under CI
+ */
+export function skipWithoutBrowser(t) {
+  if (process.env.CI) {
+    throw new Error(`${NO_BROWSER}; browser tests are not skipped when CI is set`);
+  }
+  t.skip(NO_BROWSER);
+}
+
+/**
+ * Load every fixture below a directory
+ *
+ * Each fixture is a directory holding a `fixture.json` manifest, the HTML pages
+ * it maps URLs to, and an `expected.json` snapshot.
+ * @param {string} fixturesDir - Directory holding one directory per fixture
+ * @returns {Promise<Array<Object>>} The fixture manifests, with `dir` and `name` added
+ */
+export async function loadFixtures(fixturesDir) {
+  const entries = await fs.readdir(fixturesDir, { withFileTypes: true });
+  const fixtures = [];
+
+  for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const dir = path.join(fixturesDir, entry.name);
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'fixture.json'), 'utf8'));
+
+    if (!manifest.retailer || !manifest.pages) {
+      throw new Error(`Fixture ${entry.name} must list a retailer and its pages`);
+    }
+
+    fixtures.push({ ...manifest, name: entry.name, dir });
+  }
+
+  return fixtures;
+}
+
+/**
+ * Answer every request of a browser context from the fixture's pages
+ *
+ * URLs that aren't in the fixture get an empty 404, so a missing page shows up
+ * as a failed extraction instead of a hanging or live request.
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Object} fixture - Fixture manifest
+ * @returns {Promise<Array<string>>} A list that collects the URLs missing from the fixture
+ */
+export async function routeFixturePages(context, fixture) {
+  const missing = [];
+
+  await context.route('**/*', async route => {
+    const url = route.request().url();
+    const file = fixture.pages[url];
+
+    if (!file) {
+      missing.push(url);
+      return route.fulfill({ status: 404, contentType: 'text/plain', body: '' });
+    }
+
+    return route.fulfill({
+      status: 200,
+      contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      body: await fs.readFile(path.join(fixture.dir, file))
+    });
+  });
+
+  return missing;
+}
+
+/**
+ * Follow a category through its pages the way FurnitureScraper does
+ * @param {BaseAdapter} adapter - The adapter under test
+ * @param {Page} page - Playwright page object
+ * @param {string} categoryUrl - The category URL
+ * @param {number} maxPages - Maximum number of pages to visit
+ * @returns {Promise<Object>} { pages: Array<{ url, links }>, links: Array<string> }
+ */
+async function crawlCategory(adapter, page, categoryUrl, maxPages) {
+  const pages = [];
+  const links = new Set();
+  let url = categoryUrl;
+
+  while (pages.length < maxPages) {
+    const pageLinks = await adapter.extractProductLinksFromCategory(page, url);
+    pages.push({ url, links: pageLinks });
+    pageLinks.forEach(link => links.add(link));
+
+    if (!await adapter.goToNextPage(page)) break;
+
+    // Read the next page where pagination left us
+    url = page.url();
+  }
+
+  return { pages, links: [...links] };
+}
+
+/**
+ * Run an adapter against a fixture
+ * @param {Browser} browser - Playwright browser
+ * @param {Object} fixture - Fixture manifest
+ * @returns {Promise<Object>} { result, extracted, missing } - the result to compare with the snapshot, the raw
+ *   product data per URL and the URLs the fixture lacked
+ */
+export async function runFixture(browser, fixture) {
+  const adapter = AdapterFactory.getAdapter(fixture.retailer, fixture.options || {});
+  const context = await browser.newContext({ serviceWorkers: 'block' });
+  const missing = await routeFixturePages(context, fixture);
+  const result = {};
+  const extracted = {};
+
+  try {
+    if (fixture.categoryUrl) {
+      const page = await context.newPage();
+      result.category = await crawlCategory(adapter, page, fixture.categoryUrl, fixture.maxPages || DEFAULT_MAX_PAGES);
+      await page.close();
+    }
+
+    result.products = {};
+    for (const url of fixture.productUrls || []) {
+      const page = await context.newPage();
+      const productData = await adapter.extractProductData(page, url);
+      extracted[url] = productData;
+      result.products[url] = adapter.createProductRecord(productData, { categoryUrl: fixture.categoryUrl || null });
+      await page.close();
+    }
+  } finally {
+    await context.close();
+  }
+
+  // Round-trip through JSON so the result compares like the stored snapshot
+  return { result: JSON.parse(JSON.stringify(result)), extracted: JSON.parse(JSON.stringify(extracted)), missing };
+}
+
+/**
+ * Build the product records of a fixture from its stored raw product data
+ *
+ * Runs the same transform, normalizers and validation as runFixture(), but
+ * needs no browser.
+ * @param {Object} fixture - Fixture manifest
+ * @param {Object} extracted - Product URL -> raw product data, as stored in extracted.json
+ * @returns {Object} Product URL -> record, round-tripped through JSON
+ */
+export function recordsFromExtracted(fixture, extracted) {
+  const adapter = AdapterFactory.getAdapter(fixture.retailer, fixture.options || {});
+  const products = {};
+
+  for (const url of fixture.productUrls || []) {
+    products[url] = adapter.createProductRecord(extracted[url], { categoryUrl: fixture.categoryUrl || null });
+  }
+
+  return JSON.parse(JSON.stringify(products));
+}
+
+/**
+ * Read a fixture's snapshot, or write it when UPDATE_SNAPSHOTS is set
+ * @param {Object} fixture - Fixture manifest
+ * @param {Object} actual - Result of runFixture() (or its extracted data)
+ * @param {string} [file] - Snapshot file in the fixture directory
+ * @returns {Promise<Object|null>} The expected result, or null if there is no snapshot yet
+ */
+export async function readSnapshot(fixture, actual, file = 'expected.json') {
+  const snapshotPath = path.join(fixture.dir, file);
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await fs.writeFile(snapshotPath, JSON.stringify(actual, null, 2) + '\n');
+    return actual;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
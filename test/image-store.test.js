@@ -0,0 +1,96 @@
+/**
+ * Image archive tests
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ImageStore } from '../lib/image-store.js';
+
+// Image bodies served by the fake CDN, by URL
+const IMAGES = {
+  'https://cdn.example.com/a.jpg': 'front',
+  'https://cdn.example.com/a-copy.jpg': 'front',
+  'https://cdn.example.com/b.png': 'side'
+};
+
+let rootDir = null;
+let requests = [];
+
+/**
+ * fetch() stand-in serving IMAGES and 404 for anything else
+ * @param {string} url - Requested URL
+ * @returns {Promise<Response>} The response
+ */
+async function fakeFetch(url) {
+  requests.push(url);
+  if (!(url in IMAGES)) return new Response('', { status: 404 });
+  return new Response(IMAGES[url], { headers: { 'content-type': url.endsWith('.png') ? 'image/png' : 'image/jpeg' } });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'images-'));
+});
+
+after(async () => {
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('archiveProduct stores images by content hash and writes a manifest', async () => {
+  requests = [];
+  const store = new ImageStore(rootDir, { delayBetweenRequests: 0, fetch: fakeFetch });
+
+  const manifest = await store.archiveProduct({
+    retailer: '1stDibs',
+    product_id: 'f_1',
+    url: 'https://www.1stdibs.com/furniture/x/id-f_1/',
+    images: [
+      { url: 'https://cdn.example.com/a.jpg', alt: 'Front' },
+      { url: 'https://cdn.example.com/a-copy.jpg', alt: null },
+      { url: 'https://cdn.example.com/b.png', alt: 'Side' },
+      { url: 'https://cdn.example.com/gone.jpg', alt: null }
+    ]
+  });
+
+  const [front, copy, side, gone] = manifest.images;
+  assert.equal(front.alt, 'Front');
+  assert.match(front.file, /^files[/\\][0-9a-f]{2}[/\\][0-9a-f]{64}\.jpg$/);
+  assert.equal(copy.file, front.file);
+  assert.match(side.file, /\.png$/);
+  assert.equal(await fs.readFile(path.join(rootDir, side.file), 'utf8'), 'side');
+  assert.equal(gone.file, null);
+  assert.equal(gone.error, 'HTTP 404');
+
+  assert.deepEqual(await store.loadManifest('1stDibs', 'f_1'), manifest);
+  assert.equal(store.manifestFile('1stDibs', 'f_1'), 'manifests/1stDibs/f_1.json');
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(rootDir, store.manifestFile('1stDibs', 'f_1')), 'utf8')), manifest);
+  assert.deepEqual(store.stats, { products: 1, downloaded: 3, reused: 0, duplicates: 1, failed: 1 });
+});
+
+test('archiveProduct reuses images the manifest already holds', async () => {
+  requests = [];
+  const store = new ImageStore(rootDir, { delayBetweenRequests: 0, fetch: fakeFetch });
+
+  const manifest = await store.archiveProduct({
+    retailer: '1stDibs',
+    product_id: 'f_1',
+    images: [{ url: 'https://cdn.example.com/a.jpg', alt: 'Front view' }, { url: 'https://cdn.example.com/gone.jpg', alt: null }]
+  });
+
+  assert.deepEqual(requests, ['https://cdn.example.com/gone.jpg']);
+  assert.equal(manifest.images[0].alt, 'Front view');
+  assert.equal(store.stats.reused, 1);
+});
+
+test('archiveProduct refuses non-image responses and products without an ID', async () => {
+  const store = new ImageStore(rootDir, {
+    delayBetweenRequests: 0,
+    fetch: async () => new Response('<html></html>', { headers: { 'content-type': 'text/html' } })
+  });
+
+  const manifest = await store.archiveProduct({ retailer: 'IKEA', product_id: 's1', images: [{ url: 'https://cdn.example.com/c.jpg', alt: null }] });
+  assert.equal(manifest.images[0].error, 'Not an image (text/html)');
+
+  await assert.rejects(store.archiveProduct({ retailer: 'IKEA', images: [] }), /retailer and a product ID/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Product image tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fullSizeImageUrl, largestSrcsetCandidate, normalizeImages, normalizeRecordImages } from '../lib/images.js';
+
+test('largestSrcsetCandidate picks the widest or densest candidate', () => {
+  assert.equal(largestSrcsetCandidate('a.jpg 768w, b.jpg 1536w, c.jpg 320w'), 'b.jpg');
+  assert.equal(largestSrcsetCandidate('a.jpg, b.jpg 2x'), 'b.jpg');
+  assert.equal(
+    largestSrcsetCandidate('https://x.com/upload/w_400,h_300/v1/a.jpg 400w, https://x.com/upload/w_800,h_600/v1/a.jpg 800w'),
+    'https://x.com/upload/w_800,h_600/v1/a.jpg'
+  );
+  assert.equal(largestSrcsetCandidate(''), null);
+  assert.equal(largestSrcsetCandidate(null), null);
+});
+
+test('fullSizeImageUrl strips size parameters and raises CDN sizes', () => {
+  assert.equal(fullSizeImageUrl('https://a.1stdibscdn.com/x/IMG_1.jpg?width=768'), 'https://a.1stdibscdn.com/x/IMG_1.jpg');
+  assert.equal(
+    fullSizeImageUrl('https://www.ikea.com/ca/en/images/products/kivik__1056147_pe848280_s3.jpg?f=s'),
+    'https://www.ikea.com/ca/en/images/products/kivik__1056147_pe848280_s5.jpg'
+  );
+  assert.equal(
+    fullSizeImageUrl('https://assets.wfcdn.com/im/123/resize-h300-w300%5Ecompr-r85/1/2/sofa.jpg'),
+    'https://assets.wfcdn.com/im/123/resize-h1600-w1600%5Ecompr-r85/1/2/sofa.jpg'
+  );
+  assert.equal(
+    fullSizeImageUrl('https://images.article.com/image/upload/w_800,h_600,c_fill/v1/sofa.jpg'),
+    'https://images.article.com/image/upload/v1/sofa.jpg'
+  );
+  assert.equal(
+    fullSizeImageUrl('https://www.structube.com/media/catalog/product/cache/9f3a2b/o/s/oslo.jpg'),
+    'https://www.structube.com/media/catalog/product/o/s/oslo.jpg'
+  );
+
+  // Non-numeric parameters are part of the image, not its size
+  assert.equal(fullSizeImageUrl('https://example.com/img?id=4&size=large'), 'https://example.com/img?id=4&size=large');
+});
+
+test('normalizeImages keeps gallery order, resolves relative URLs and dedupes', () => {
+  const images = normalizeImages([
+    { src: 'https://example.com/a.jpg?w=200', srcset: 'https://example.com/a.jpg?w=200 200w, https://example.com/a.jpg?w=1200 1200w', alt: '' },
+    { src: '/b.jpg', alt: '  Side\n view ' },
+    'https://example.com/a.jpg',
+    { contentUrl: 'https://example.com/c.jpg' },
+    { src: 'data:image/gif;base64,R0lGOD' },
+    { src: null }
+  ], 'https://example.com/product/1');
+
+  assert.deepEqual(images, [
+    { url: 'https://example.com/a.jpg', alt: null },
+    { url: 'https://example.com/b.jpg', alt: 'Side view' },
+    { url: 'https://example.com/c.jpg', alt: null }
+  ]);
+});
+
+test('a duplicate fills in missing alt text', () => {
+  assert.deepEqual(
+    normalizeImages([{ src: 'https://example.com/a.jpg' }, { src: 'https://example.com/a.jpg?width=400', alt: 'Sofa' }]),
+    [{ url: 'https://example.com/a.jpg', alt: 'Sofa' }]
+  );
+});
+
+test('normalizeRecordImages resolves against the product URL', () => {
+  const record = normalizeRecordImages({ product_id: '1', url: 'https://www.article.com/product/1/sofa', images: ['/img/sofa.jpg'] });
+  assert.deepEqual(record.images, [{ url: 'https://www.article.com/img/sofa.jpg', alt: null }]);
+  assert.deepEqual(normalizeRecordImages({ product_id: '2', url: null }).images, []);
+});
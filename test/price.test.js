@@ -0,0 +1,100 @@
+/**
+ * Price parsing tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecordPrice, parseLocaleNumber, parseNumberIn, parsePrice } from '../lib/price.js';
+
+test('parseLocaleNumber reads common locale formats', () => {
+  assert.equal(parseLocaleNumber('7,664.94'), 7664.94);
+  assert.equal(parseLocaleNumber('1.234,56'), 1234.56);
+  assert.equal(parseLocaleNumber('1 234,56'), 1234.56);
+  assert.equal(parseLocaleNumber("1'234.50"), 1234.5);
+  assert.equal(parseLocaleNumber('1,234'), 1234);
+  assert.equal(parseLocaleNumber('12,50'), 12.5);
+  assert.equal(parseLocaleNumber('0,123'), 0.123);
+  assert.equal(parseLocaleNumber('0.125'), 0.125);
+  assert.equal(parseLocaleNumber('abc'), null);
+});
+
+test('parseNumberIn reads the first number in a piece of text', () => {
+  assert.equal(parseNumberIn('USD 1.234,56'), 1234.56);
+  assert.equal(parseNumberIn('Width: 84 in (214 cm)'), 84);
+  assert.equal(parseNumberIn('n/a'), null);
+  assert.equal(parseNumberIn(null), null);
+});
+
+test('parsePrice reads display text', () => {
+  assert.deepEqual(parsePrice('CA$5,512.59'), {
+    type: 'regular',
+    amount: 5512.59,
+    currency: 'CAD',
+    minAmount: null,
+    maxAmount: null,
+    regularAmount: null,
+    text: 'CA$5,512.59'
+  });
+
+  const euro = parsePrice('1 234,56 €');
+  assert.equal(euro.amount, 1234.56);
+  assert.equal(euro.currency, 'EUR');
+
+  // A bare "$" takes the storefront currency
+  assert.equal(parsePrice('$199', 'CAD').currency, 'CAD');
+  assert.equal(parsePrice('$199', 'EUR').currency, 'USD');
+});
+
+test('parsePrice flags sales, ranges and prices on request', () => {
+  const sale = parsePrice('Was $1,299 Now $999', 'USD');
+  assert.equal(sale.type, 'sale');
+  assert.equal(sale.amount, 999);
+  assert.equal(sale.regularAmount, 1299);
+
+  const range = parsePrice('CA$1,000 – CA$2,500');
+  assert.equal(range.type, 'range');
+  assert.equal(range.minAmount, 1000);
+  assert.equal(range.maxAmount, 2500);
+
+  // "From" and "Starting at" give only the lower end
+  const from = parsePrice('From $199', 'USD');
+  assert.deepEqual([from.type, from.amount, from.minAmount, from.maxAmount], ['range', 199, 199, null]);
+  const startingAt = parsePrice('Starting at $1,299', 'USD');
+  assert.deepEqual([startingAt.type, startingAt.amount, startingAt.minAmount, startingAt.maxAmount], ['range', 1299, 1299, null]);
+
+  // Discounts and percentages mark a sale but aren't the price
+  const saving = parsePrice('$1,000 Save $200', 'USD');
+  assert.deepEqual([saving.type, saving.amount, saving.regularAmount], ['sale', 1000, 1200]);
+
+  const percentOff = parsePrice('25% off $1,000', 'USD');
+  assert.deepEqual([percentOff.type, percentOff.amount, percentOff.regularAmount], ['sale', 750, 1000]);
+
+  const percentSaved = parsePrice('$750 (25% off)', 'USD');
+  assert.deepEqual([percentSaved.type, percentSaved.amount, percentSaved.regularAmount], ['sale', 750, 1000]);
+
+  // Counts without a currency aren't amounts
+  const multibuy = parsePrice('2 for $50', 'USD');
+  assert.deepEqual([multibuy.type, multibuy.amount, multibuy.regularAmount], ['regular', 50, null]);
+
+  assert.equal(parsePrice('Price Upon Request').type, 'on-request');
+  assert.equal(parsePrice('Price not available').type, 'unavailable');
+  assert.equal(parsePrice('Price not available').amount, null);
+});
+
+test('parsePrice reads offers, including the JSON strings of older records', () => {
+  const offer = { price: 1099, lowPrice: null, highPrice: null, currency: 'CAD', availability: 'InStock' };
+
+  assert.equal(parsePrice(offer).amount, 1099);
+  assert.equal(parsePrice(JSON.stringify(offer)).currency, 'CAD');
+  assert.equal(parsePrice('{"price":"$199"}', 'CAD').amount, 199);
+  assert.equal(parsePrice({ price: null, lowPrice: 500, highPrice: 900, currency: 'USD' }).type, 'range');
+  assert.equal(parsePrice(null), null);
+});
+
+test('normalizeRecordPrice fills the typed price columns', () => {
+  const record = normalizeRecordPrice({ price: '$1,099' }, { country: 'ca' });
+
+  assert.equal(record.price_amount, 1099);
+  assert.equal(record.price_currency, 'CAD');
+  assert.equal(record.price_type, 'regular');
+  assert.equal(record.price.text, '$1,099');
+});
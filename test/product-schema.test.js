@@ -0,0 +1,72 @@
+/**
+ * Product schema tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AVAILABILITY, SCHEMA_VERSION, normalizeAvailability, validateProduct, withDefaults } from '../lib/product-schema.js';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+
+const minimal = {
+  retailer: 'IKEA',
+  product_id: '123',
+  name: 'KIVIK Sofa',
+  url: 'https://www.ikea.com/ca/en/p/kivik-sofa-123/',
+  raw_data: {},
+  extractor_version: 1,
+  schema_version: SCHEMA_VERSION
+};
+
+test('withDefaults fills every schema field', () => {
+  const record = withDefaults(minimal);
+
+  assert.deepEqual(record.images, []);
+  assert.deepEqual(record.materials, []);
+  assert.equal(record.price, null);
+  assert.equal(record.seller, null);
+  assert.deepEqual(validateProduct(record), { valid: true, errors: [] });
+});
+
+test('validateProduct reports every problem', () => {
+  const { valid, errors } = validateProduct(withDefaults({
+    ...minimal,
+    name: null,
+    price: '{"price":1099}',
+    price_currency: 'cad',
+    images: [{ url: 'https://example.com/1.jpg', alt: null, width: 800 }, 'https://example.com/2.jpg'],
+    availability: 'Maybe',
+    image_url: 'https://example.com/1.jpg'
+  }));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'image_url: not part of the product schema',
+    'name: required',
+    'price: expected object, got string',
+    'price_currency: "cad" doesn\'t match /^[A-Z]{3}$/',
+    'images: every item must be an object',
+    'images[0].width: not part of the product schema',
+    `availability: "Maybe" is not one of ${AVAILABILITY.join(', ')}`
+  ]);
+});
+
+test('normalizeAvailability maps URLs and OpenGraph text', () => {
+  assert.equal(normalizeAvailability('https://schema.org/InStock'), 'InStock');
+  assert.equal(normalizeAvailability('out of stock'), 'OutOfStock');
+  assert.equal(normalizeAvailability('sold_out'), 'SoldOut');
+  assert.equal(normalizeAvailability('ask us'), null);
+});
+
+test('createProductRecord drops records that fail validation', () => {
+  const adapter = AdapterFactory.getAdapter('IKEA');
+  const record = adapter.createProductRecord({
+    name: 'KIVIK Sofa',
+    price: '$1,099',
+    url: minimal.url,
+    slug: '',
+    productId: '',
+    structuredData: null,
+    extractionProvenance: { name: { status: 'fallback' } }
+  });
+
+  assert.equal(record, null);
+});
@@ -0,0 +1,74 @@
+/**
+ * Set and pair detection tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecordQuantity, parseQuantity } from '../lib/quantity.js';
+
+test('parseQuantity reads sets and pairs from titles', () => {
+  const fromTitle = title => parseQuantity({ title });
+
+  assert.deepEqual(fromTitle('Kai Kristiansen Set of Four Dining Chairs in Teak'), { quantity: 4, soldAs: 'set' });
+  assert.deepEqual(fromTitle('Antique Oak Dining Chairs W/ Rush Seats - Set of 10'), { quantity: 10, soldAs: 'set' });
+  assert.deepEqual(fromTitle('Set of 2 "Gena" Lounge Chairs by Claudio Vagnoni'), { quantity: 2, soldAs: 'pair' });
+  assert.deepEqual(fromTitle('Louis XVI Style Maple Armchairs in Green Velvet - A Pair'), { quantity: 2, soldAs: 'pair' });
+  assert.deepEqual(fromTitle('Two Pairs of Brass Sconces'), { quantity: 4, soldAs: 'set' });
+  assert.deepEqual(fromTitle('Six Henredon French Country Oak Dining Chairs'), { quantity: 6, soldAs: 'set' });
+  assert.deepEqual(fromTitle('1 of 2 French Wrought Iron Armchairs, 1980s'), { quantity: 1, soldAs: 'single' });
+  assert.deepEqual(fromTitle('Set of Mid-Century Spindle Back Lounge Chairs'), { quantity: null, soldAs: 'set' });
+});
+
+test('titles without a count are single pieces unless they name several', () => {
+  assert.deepEqual(parseQuantity({ title: 'KIVIK Sofa, Tibbleby beige/grey' }), { quantity: 1, soldAs: 'single' });
+  assert.deepEqual(parseQuantity({ title: 'Chesterfield 3-Seater Sofa' }), { quantity: 1, soldAs: 'single' });
+  assert.equal(parseQuantity({ title: 'Postmodern Dining Chairs by Eka' }), null);
+  assert.equal(parseQuantity({}), null);
+});
+
+test('what the seller says about the price wins', () => {
+  assert.deepEqual(
+    parseQuantity({ title: 'Set of Six Dining Chairs', description: 'Scratches to the seats. Sold individually.' }),
+    { quantity: 1, soldAs: 'single' }
+  );
+  assert.deepEqual(
+    parseQuantity({ title: 'Dining Chairs', description: 'Price is for the set of four pieces.' }),
+    { quantity: 4, soldAs: 'set' }
+  );
+  assert.deepEqual(
+    parseQuantity({ title: 'Leather Armchairs', description: 'Sold as a pair or separately.' }),
+    { quantity: 2, soldAs: 'pair' }
+  );
+  assert.deepEqual(
+    parseQuantity({ title: 'Oak Dining Chairs', description: 'A rare set of 10, sold as a set.' }),
+    { quantity: 10, soldAs: 'set' }
+  );
+});
+
+test('running text needs more than a bare "pair"', () => {
+  assert.equal(parseQuantity({ title: 'Stools', description: 'Charming and charismatic pair of stools made in Italy.' }), null);
+  assert.deepEqual(
+    parseQuantity({ title: 'Stools', description: 'This pair of stools was made in Italy.' }),
+    { quantity: 2, soldAs: 'pair' }
+  );
+  assert.deepEqual(
+    parseQuantity({ title: 'Bergère with a capitoné seat', description: 'The seat comes with a pair of rolls.' }),
+    { quantity: 1, soldAs: 'single' }
+  );
+});
+
+test('normalizeRecordQuantity sets the unit price', () => {
+  const record = normalizeRecordQuantity({ name: 'Set of 3 Bar Stools', description: null, price_amount: 1000 });
+  assert.equal(record.quantity, 3);
+  assert.equal(record.unit_price, 333.33);
+  assert.equal(record.sold_as, 'set');
+
+  const specified = normalizeRecordQuantity({
+    name: 'Lounge Chairs',
+    price_amount: 500,
+    raw_data: { specifications: { quantity: 'Set of 2', rawSpecificationsText: 'Sold individually.' } }
+  });
+  assert.equal(specified.unit_price, 250);
+
+  const unknown = normalizeRecordQuantity({ name: 'Dining Chairs', price_amount: 500 });
+  assert.deepEqual([unknown.quantity, unknown.unit_price, unknown.sold_as], [null, null, null]);
+});
@@ -0,0 +1,40 @@
+/**
+ * Recipe adapter tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RecipeAdapter, loadRecipe } from '../adapters/recipe-adapter.js';
+
+const recipe = {
+  retailer: 'Example',
+  baseUrl: 'https://www.example.com/{language}-{country}',
+  defaults: { country: 'ca', language: 'en' },
+  categories: [{ name: 'Sofas', url: '{baseUrl}/sofas' }],
+  productLinks: { selector: 'a.product' },
+  fields: { name: 'h1' }
+};
+
+test('the base URL expands its country and language before the categories use it', () => {
+  const adapter = new RecipeAdapter(recipe, 'fr', 'fr');
+  assert.equal(adapter.baseUrl, 'https://www.example.com/fr-fr');
+  assert.deepEqual(adapter.getCategories(), [{ name: 'Sofas', url: 'https://www.example.com/fr-fr/sofas' }]);
+  assert.equal(new RecipeAdapter(recipe).getCategories()[0].url, 'https://www.example.com/en-ca/sofas');
+});
+
+test('loadRecipe rejects a base URL that refers to itself', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipes-'));
+  const file = path.join(dir, 'example.json');
+
+  try {
+    await fs.writeFile(file, JSON.stringify({ ...recipe, baseUrl: '{baseUrl}/shop' }));
+    assert.throws(() => loadRecipe(file), /baseUrl can't use the \{baseUrl\} placeholder/);
+
+    await fs.writeFile(file, JSON.stringify({ ...recipe, baseUrl: undefined }));
+    assert.throws(() => loadRecipe(file), /missing baseUrl/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
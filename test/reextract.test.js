@@ -0,0 +1,96 @@
+/**
+ * Snapshot archive and re-extraction tests
+ *
+ * Scrapes each fixture's product page, archives the rendered page in a
+ * temporary SnapshotStore and checks that re-extracting it offline gives the
+ * product in the fixture's snapshot.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { launchBrowser, loadFixtures, routeFixturePages } from './helpers/fixture-harness.js';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+import { SnapshotStore } from '../lib/snapshot-store.js';
+import { reextractSnapshot, updateStoredProduct } from '../lib/reextract.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const fixtures = await loadFixtures(FIXTURES_DIR);
+let browser = null;
+let store = null;
+
+before(async () => {
+  browser = await launchBrowser();
+  store = new SnapshotStore(await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-')));
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  await fs.rm(store.rootDir, { recursive: true, force: true });
+});
+
+test('SnapshotStore keeps the latest snapshot per product', async () => {
+  await store.save({ retailer: 'IKEA', productId: 's123', url: 'https://www.ikea.com/ca/en/p/a-s123/', html: '<p>old</p>', capturedAt: '2025-01-01T00:00:00.000Z' });
+  await store.save({ retailer: 'IKEA', productId: 's123', url: 'https://www.ikea.com/ca/en/p/a-s123/', html: '<p>new</p>', capturedAt: '2025-02-01T00:00:00.000Z' });
+
+  const all = await store.list({ retailer: 'IKEA', productId: 's123' });
+  const latest = await store.list({ retailer: 'IKEA', productId: 's123', latest: true });
+
+  assert.equal(all.length, 2);
+  assert.equal(latest.length, 1);
+  assert.deepEqual(await store.load(latest[0].file), {
+    retailer: 'IKEA',
+    productId: 's123',
+    url: 'https://www.ikea.com/ca/en/p/a-s123/',
+    capturedAt: '2025-02-01T00:00:00.000Z',
+    html: '<p>new</p>'
+  });
+});
+
+test('updateStoredProduct keeps the stored colour palette and image manifest', async () => {
+  const calls = [];
+  const query = {
+    upsert: async () => ({ error: null }),
+    update: fields => {
+      calls.push(fields);
+      return query;
+    },
+    eq: () => query,
+    then: resolve => resolve({ error: null })
+  };
+  const supabase = { from: () => query };
+
+  const saved = await updateStoredProduct(supabase, { retailer: 'IKEA', product_id: 's123', name: 'KIVIK Sofa', colors: [], image_manifest: null });
+
+  assert.equal(saved, true);
+  assert.deepEqual(calls, [{ name: 'KIVIK Sofa' }]);
+});
+
+for (const fixture of fixtures) {
+  const url = (fixture.productUrls || [])[0];
+  if (!url) continue;
+
+  test(`${fixture.retailer} re-extracts offline from a snapshot`, { timeout: 120000 }, async t => {
+    if (!browser) {
+      t.skip('Chromium is not available (run `npx playwright install chromium` or set CHROMIUM_PATH)');
+      return;
+    }
+
+    // Scrape the page from the fixture and archive it the way the scraper does
+    const adapter = AdapterFactory.getAdapter(fixture.retailer, fixture.options || {});
+    const context = await browser.newContext();
+    await routeFixturePages(context, fixture);
+    const page = await context.newPage();
+    const scraped = adapter.createProductRecord(await adapter.extractProductData(page, url));
+    const file = await store.savePage(page, scraped);
+    await context.close();
+
+    const expected = JSON.parse(await fs.readFile(path.join(fixture.dir, 'expected.json'), 'utf8')).products[url];
+
+    const product = await reextractSnapshot(browser, await store.load(file));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(product)), expected);
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Scraper tests
+ *
+ * Records a run of the IKEA fixture's product pages into a HAR archive, then
+ * replays it with the network answered only from the archive and checks that
+ * the replay re-extracts the same products.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { launchBrowser, loadFixtures, routeFixturePages, skipWithoutBrowser } from './helpers/fixture-harness.js';
+import { FurnitureScraper, HAR_FILE } from '../scraper.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const fixture = (await loadFixtures(FIXTURES_DIR)).find(candidate => candidate.name === 'ikea');
+let available = false;
+let resultsDir = null;
+
+/**
+ * A scraper whose recorded runs are answered from the fixture instead of the live site
+ */
+class FixtureScraper extends FurnitureScraper {
+  async createContext(browser, sessionDir) {
+    const context = await super.createContext(browser, sessionDir);
+    if (this.config.mode === 'record') await routeFixturePages(context, fixture);
+    return context;
+  }
+}
+
+/**
+ * Read the products a run saved in its session directory
+ * @param {string} sessionDir - Session directory
+ * @returns {Promise<Object>} File name -> product
+ */
+async function readProducts(sessionDir) {
+  const productsDir = path.join(sessionDir, 'products');
+  const products = {};
+
+  for (const file of await fs.readdir(productsDir)) {
+    products[file] = JSON.parse(await fs.readFile(path.join(productsDir, file), 'utf8'));
+  }
+
+  return products;
+}
+
+before(async () => {
+  const browser = await launchBrowser();
+  available = Boolean(browser);
+  if (browser) await browser.close();
+  resultsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'record-replay-'));
+});
+
+after(async () => {
+  await fs.rm(resultsDir, { recursive: true, force: true });
+});
+
+test('replay mode needs a recording', async () => {
+  assert.throws(() => new FurnitureScraper({ retailer: 'IKEA', mode: 'replay' }), /needs the session directory/);
+  assert.throws(() => new FurnitureScraper({ retailer: 'IKEA', mode: 'rewind' }), /Unknown scraper mode: rewind/);
+  await assert.rejects(FurnitureScraper.fromRecording(resultsDir), /No recording found/);
+});
+
+test('saveProduct links the product to its archived images', async () => {
+  const imageDir = path.join(resultsDir, 'images');
+  const sessionDir = path.join(resultsDir, 'scrape-images');
+  const scraper = new FurnitureScraper({ retailer: 'IKEA', mode: 'record', resultsDir, imageDir, archiveImages: true });
+  scraper.images.delayBetweenRequests = 0;
+  scraper.images.fetch = async () => new Response('jpeg', { headers: { 'content-type': 'image/jpeg' } });
+  scraper.adapter.createProductRecord = () => ({
+    retailer: 'IKEA',
+    product_id: 's123',
+    name: 'KIVIK Sofa',
+    images: [{ url: 'https://www.ikea.com/images/kivik.jpg', alt: null }],
+    category: 'Seating > Sofas'
+  });
+
+  // Without Supabase credentials the product is only kept in the session directory
+  assert.equal(await scraper.saveProduct({}, sessionDir), false);
+
+  const saved = JSON.parse(await fs.readFile(path.join(sessionDir, 'products', 's123.json'), 'utf8'));
+  assert.equal(saved.image_manifest, 'manifests/IKEA/s123.json');
+  const manifest = JSON.parse(await fs.readFile(path.join(imageDir, saved.image_manifest), 'utf8'));
+  assert.match(manifest.images[0].file, /\.jpg$/);
+});
+
+test('a recorded run replays offline to the same products', { timeout: 240000 }, async t => {
+  if (!available) {
+    skipWithoutBrowser(t);
+    return;
+  }
+
+  const config = {
+    resultsDir,
+    cacheFile: path.join(resultsDir, 'crawled.json'),
+    delayBetweenRequests: 1,
+    maxConcurrentRequests: 1,
+    executablePath: process.env.CHROMIUM_PATH
+  };
+
+  const recorder = new FixtureScraper({ ...config, productUrls: fixture.productUrls, mode: 'record' });
+  const recorded = await recorder.run();
+  const recordingDir = path.join(resultsDir, `scrape-${recorded.startTime.replace(/[:.]/g, '-')}`);
+  await fs.access(path.join(recordingDir, HAR_FILE));
+
+  const replayer = await FurnitureScraper.fromRecording(recordingDir, config);
+  assert.equal(replayer.config.mode, 'replay');
+  assert.deepEqual(replayer.config.productUrls, fixture.productUrls);
+
+  const replayed = await replayer.run();
+  const replayDir = path.join(resultsDir, `scrape-${replayed.startTime.replace(/[:.]/g, '-')}`);
+
+  assert.equal(replayed.mode, 'replay');
+  assert.equal(replayed.successCount, fixture.productUrls.length);
+  assert.deepEqual(await readProducts(replayDir), await readProducts(recordingDir));
+});
@@ -0,0 +1,73 @@
+/**
+ * Seller record tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRecordSeller,
+  normalizeSeller,
+  parseReviewCount,
+  parseSellerRating,
+  sellerId,
+  sellerRow
+} from '../lib/sellers.js';
+
+test('ratings and review counts are read as numbers', () => {
+  assert.equal(parseSellerRating('Rated 4.9 out of 5 stars'), 4.9);
+  assert.equal(parseSellerRating('4,5'), 4.5);
+  assert.equal(parseSellerRating('87%'), null);
+  assert.equal(parseSellerRating(null), null);
+
+  assert.equal(parseReviewCount('(212 reviews)'), 212);
+  assert.equal(parseReviewCount('1,024 Reviews'), 1024);
+  assert.equal(parseReviewCount(null), null);
+});
+
+test('sellerId prefers the profile URL', () => {
+  assert.equal(sellerId({ name: 'Almelo Design House', url: 'https://www.1stdibs.com/dealers/almelo-design-house/' }), 'almelo-design-house');
+  assert.equal(sellerId({ name: 'Galerie Møbler & Co.' }), 'galerie-mobler-and-co');
+  assert.equal(sellerId({ url: 'https://www.1stdibs.com/' }), null);
+});
+
+test('normalizeRecordSeller links the record to its seller', () => {
+  const record = normalizeRecordSeller({
+    retailer: '1stDibs',
+    product_id: 'f_1',
+    seller: {
+      name: ' Almelo  Design House ',
+      url: 'https://www.1stdibs.com/dealers/almelo-design-house/',
+      location: 'Almelo, NL',
+      rating: 'Rated 4.9 out of 5 stars',
+      reviewCount: '(212 reviews)'
+    }
+  });
+
+  assert.deepEqual(record.seller, {
+    id: 'almelo-design-house',
+    name: 'Almelo Design House',
+    url: 'https://www.1stdibs.com/dealers/almelo-design-house/',
+    location: 'Almelo, NL',
+    city: 'Almelo',
+    region: null,
+    country: 'NL',
+    rating: 4.9,
+    reviewCount: 212
+  });
+  assert.equal(record.seller_id, 'almelo-design-house');
+  assert.equal(record.seller_country, 'NL');
+
+  const row = sellerRow(record);
+  assert.equal(row.retailer, '1stDibs');
+  assert.equal(row.seller_id, 'almelo-design-house');
+  assert.equal(row.review_count, 212);
+});
+
+test('a location alone is kept without a seller row', () => {
+  const record = normalizeRecordSeller({ retailer: '1stDibs', seller: { location: 'Hellouw, NL' } });
+  assert.equal(record.seller.id, null);
+  assert.equal(record.seller_country, 'NL');
+  assert.equal(sellerRow(record), null);
+
+  assert.equal(normalizeSeller(null), null);
+  assert.equal(normalizeSeller({ name: ' ' }), null);
+});
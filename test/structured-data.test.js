@@ -0,0 +1,143 @@
+/**
+ * Structured data extraction tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flattenJsonLd, normalizeOffers, normalizeStructuredData, parseJsonLd } from '../adapters/helpers/structured-data.js';
+
+test('parseJsonLd cleans up comment wrappers, control characters and trailing commas', () => {
+  assert.deepEqual(parseJsonLd('{"name": "KIVIK"}'), { name: 'KIVIK' });
+  assert.deepEqual(parseJsonLd('<!-- {"name": "KIVIK", "sku": "123",} -->'), { name: 'KIVIK', sku: '123' });
+  assert.deepEqual(parseJsonLd('<![CDATA[ {"images": ["a.jpg", "b.jpg",]} ]]>'), { images: ['a.jpg', 'b.jpg'] });
+  assert.deepEqual(parseJsonLd('{"description": "Three-seat\nsofa"}'), { description: 'Three-seat sofa' });
+  assert.throws(() => parseJsonLd('{"name": '), SyntaxError);
+});
+
+test('flattenJsonLd unwraps arrays and @graph into typed nodes', () => {
+  const nodes = flattenJsonLd([
+    { '@context': 'https://schema.org', '@graph': [{ '@type': 'WebPage' }, { '@type': 'Product', name: 'KIVIK' }] },
+    { '@type': 'BreadcrumbList', '@graph': [{ '@type': 'Organization' }] },
+    { name: 'untyped' },
+    'text',
+    null
+  ]);
+  assert.deepEqual(nodes.map(node => node['@type']), ['WebPage', 'Product', 'BreadcrumbList', 'Organization']);
+});
+
+test('normalizeOffers reads an AggregateOffer and the offers it carries', () => {
+  const offer = normalizeOffers({
+    '@type': 'AggregateOffer',
+    lowPrice: '1,299.00',
+    highPrice: '1,599.00',
+    priceCurrency: 'USD',
+    offerCount: '2',
+    offers: [
+      { '@type': 'Offer', price: 1299, priceCurrency: 'USD', availability: 'http://schema.org/InStock' },
+      { '@type': 'Offer', priceSpecification: { price: '1099', priceCurrency: 'GBP' }, availability: 'https://schema.org/OutOfStock' }
+    ]
+  });
+
+  assert.deepEqual({ ...offer, offers: undefined }, {
+    price: 1299,
+    lowPrice: null,
+    highPrice: null,
+    currency: 'USD',
+    availability: 'InStock',
+    offerCount: 3,
+    offers: undefined
+  });
+  assert.deepEqual(offer.offers[0], {
+    type: 'AggregateOffer',
+    price: null,
+    lowPrice: 1299,
+    highPrice: 1599,
+    currency: 'USD',
+    availability: null,
+    offerCount: 2
+  });
+  assert.deepEqual(
+    offer.offers.map(item => [item.type, item.price, item.currency, item.availability]),
+    [['AggregateOffer', null, 'USD', null], ['Offer', 1299, 'USD', 'InStock'], ['Offer', 1099, 'GBP', 'OutOfStock']]
+  );
+
+});
+
+test('normalizeOffers prefers the offer in the preferred currency', () => {
+  const offers = [
+    { '@type': 'Offer', price: 1299, priceCurrency: 'USD' },
+    { '@type': 'Offer', price: 1099, priceCurrency: 'GBP' }
+  ];
+  assert.equal(normalizeOffers(offers).price, 1299);
+  assert.deepEqual(normalizeOffers(offers, { preferredCurrency: 'GBP' }), {
+    ...normalizeOffers(offers),
+    price: 1099,
+    currency: 'GBP'
+  });
+});
+
+test('normalizeOffers falls back to the low price of a bare AggregateOffer', () => {
+  const offer = normalizeOffers({ '@type': 'AggregateOffer', lowPrice: 450, highPrice: 900, priceCurrency: 'EUR', offerCount: 4 });
+  assert.deepEqual([offer.price, offer.lowPrice, offer.highPrice, offer.offerCount], [450, 450, 900, 4]);
+  assert.equal(normalizeOffers(null), null);
+  assert.equal(normalizeOffers(['text']), null);
+});
+
+test('normalizeOffers reads prices written in any locale format', () => {
+  const offer = normalizeOffers([
+    { price: '1.234,56', priceCurrency: 'EUR' },
+    { price: '1 234,56', priceCurrency: 'SEK' },
+    { price: 'CHF 1\'234.50', priceCurrency: 'CHF' },
+    { lowPrice: '1,299.00', highPrice: '1,599.00', priceCurrency: 'USD' }
+  ]);
+  assert.deepEqual(
+    offer.offers.map(item => [item.price, item.lowPrice, item.highPrice]),
+    [[1234.56, null, null], [1234.56, null, null], [1234.5, null, null], [null, 1299, 1599]]
+  );
+});
+
+test('normalizeStructuredData prefers JSON-LD, then microdata, then OpenGraph', () => {
+  const meta = {
+    'og:title': 'KIVIK | IKEA',
+    'og:description': 'OpenGraph description',
+    'og:image': 'https://example.com/og.jpg',
+    'product:price:amount': '899',
+    'product:price:currency': 'USD',
+    'product:brand': 'IKEA'
+  };
+  const microdata = {
+    '@type': 'Product',
+    name: 'KIVIK microdata',
+    description: 'Microdata description',
+    sku: 'md-1',
+    image: 'https://example.com/md.jpg',
+    offers: { '@type': 'Offer', price: '999', priceCurrency: 'USD' }
+  };
+  const jsonLd = JSON.stringify({
+    '@graph': [
+      { '@type': 'Product', name: 'KIVIK' },
+      { '@type': 'Product', name: 'KIVIK Sofa', sku: 'ld-1', brand: { '@type': 'Brand', name: 'IKEA' }, offers: { price: 1099, priceCurrency: 'USD' } }
+    ]
+  });
+
+  const all = normalizeStructuredData({ jsonLd: [jsonLd, '{"name": '], microdata: [microdata], meta });
+  assert.deepEqual(
+    [all.name, all.description, all.sku, all.brand, all.images, all.offer.price],
+    ['KIVIK Sofa', 'Microdata description', 'ld-1', 'IKEA', ['https://example.com/md.jpg', 'https://example.com/og.jpg'], 1099]
+  );
+  assert.deepEqual(all.sources, { jsonLd: 2, microdata: true, openGraph: true });
+  assert.equal(all.errors.length, 1);
+  assert.match(all.errors[0], /^Malformed JSON-LD block 2:/);
+
+  const withoutJsonLd = normalizeStructuredData({ microdata: [microdata], meta });
+  assert.deepEqual(
+    [withoutJsonLd.name, withoutJsonLd.sku, withoutJsonLd.brand, withoutJsonLd.offer.price],
+    ['KIVIK microdata', 'md-1', 'IKEA', 999]
+  );
+
+  const openGraphOnly = normalizeStructuredData({ meta });
+  assert.deepEqual(
+    [openGraphOnly.name, openGraphOnly.description, openGraphOnly.images, openGraphOnly.offer.price, openGraphOnly.offer.currency],
+    ['KIVIK | IKEA', 'OpenGraph description', ['https://example.com/og.jpg'], 899, 'USD']
+  );
+  assert.equal(normalizeStructuredData({}).offer, null);
+});
@@ -0,0 +1,100 @@
+/**
+ * Material, style and period normalization tests
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vocabulary, getVocabulary, normalizeRecordVocabulary, parsePeriod, parsePeriodText } from '../lib/vocabulary.js';
+
+test('normalizeMaterials dedupes and canonicalizes', () => {
+  const vocabulary = getVocabulary();
+
+  assert.deepEqual(vocabulary.normalizeMaterials(['Leather', 'Wood', 'Leather', 'Wood']), ['Leather', 'Wood']);
+  assert.deepEqual(
+    vocabulary.normalizeMaterials(['Full-Grain Leather', 'Walnut, Brass', 'Boucle', 'Upholstery', 'Fabric']),
+    ['Leather', 'Walnut', 'Brass', 'Bouclé', 'Fabric']
+  );
+  assert.deepEqual(vocabulary.normalizeMaterials(['Oak (solid)', 'Other', 'Alpaca']), ['Oak', 'Alpaca']);
+  assert.deepEqual(vocabulary.normalizeMaterials(null), []);
+});
+
+test('normalizeMaterials only splits on "and" between known materials', () => {
+  const vocabulary = getVocabulary();
+
+  assert.deepEqual(vocabulary.normalizeMaterials(['Walnut and Brass', 'Oak & Leather']), ['Walnut', 'Brass', 'Oak', 'Leather']);
+  assert.deepEqual(vocabulary.normalizeMaterials(['Black and White Marble']), ['Black and White Marble']);
+  assert.deepEqual(vocabulary.normalizeMaterials(['Salt & Pepper Bouclé, Chrome']), ['Salt & Pepper Bouclé', 'Chrome']);
+});
+
+test('normalizeStyle splits off the authenticity qualifier', () => {
+  const vocabulary = getVocabulary();
+
+  assert.deepEqual(
+    vocabulary.normalizeStyle('Scandinavian Modern (Of the Period)'),
+    { style: 'Scandinavian Modern', authenticity: 'of-the-period' }
+  );
+  assert.deepEqual(
+    vocabulary.normalizeStyle('Mid-Century Modern (In the Style Of)'),
+    { style: 'Mid-Century Modern', authenticity: 'in-the-style-of' }
+  );
+  assert.deepEqual(vocabulary.normalizeStyle('Louis XVI Reproduction'), { style: 'Louis XVI', authenticity: 'reproduction' });
+  assert.deepEqual(vocabulary.normalizeStyle('Jugendstil (Of the Period)'), { style: 'Art Nouveau', authenticity: 'of-the-period' });
+  assert.deepEqual(vocabulary.normalizeStyle('Mid century'), { style: 'Mid-Century Modern', authenticity: null });
+  assert.deepEqual(vocabulary.normalizeStyle('Chesterfield (In the Style Of)'), { style: null, authenticity: 'in-the-style-of' });
+});
+
+test('parsePeriodText reads years, decades, ranges and centuries', () => {
+  const years = text => {
+    const { startYear, endYear, decade } = parsePeriodText(text);
+    return [startYear, endYear, decade];
+  };
+
+  assert.deepEqual(years('1970s'), [1970, 1979, 1970]);
+  assert.deepEqual(years("1970's"), [1970, 1979, 1970]);
+  assert.deepEqual(years('circa 1965'), [1965, 1965, 1960]);
+  assert.deepEqual(years('1950-1959'), [1950, 1959, 1950]);
+  assert.deepEqual(years('1930s/1940s'), [1930, 1949, null]);
+  assert.deepEqual(years('2010-'), [2010, null, null]);
+  assert.deepEqual(years('Late 20th Century'), [1967, 1999, null]);
+  assert.deepEqual(years('Mid-20th Century'), [1934, 1966, null]);
+  assert.deepEqual(years('19th Century'), [1800, 1899, null]);
+  assert.deepEqual(years('18th Century and Earlier'), [null, 1799, null]);
+  assert.deepEqual(years('1800s'), [1800, 1899, null]);
+  assert.deepEqual(years('Late 1800s'), [1867, 1899, null]);
+  assert.deepEqual(years('Early 1900s'), [1900, 1933, null]);
+  assert.deepEqual(years('2000s'), [2000, 2009, 2000]);
+  assert.equal(parsePeriodText('Unknown'), null);
+});
+
+test('parsePeriod prefers the date of manufacture', () => {
+  assert.equal(parsePeriod({ period: 'Late 20th Century', dateOfManufacture: '1970s' }).text, '1970s');
+  assert.equal(parsePeriod({ period: '2010-', dateOfManufacture: 'Contemporary' }).text, '2010-');
+  assert.equal(parsePeriod({ period: null, dateOfManufacture: null }), null);
+});
+
+test('normalizeRecordVocabulary fills the style and period columns', () => {
+  const vocabulary = new Vocabulary({
+    materials: { Leather: ['leather'] },
+    styles: { 'Art Deco': ['deco'] },
+    authenticity: { 'of-the-period': ['of the period'] }
+  });
+
+  const record = normalizeRecordVocabulary({
+    product_id: '1',
+    materials: ['leather', 'Leather'],
+    style: 'Deco (Of the Period)',
+    period: { period: '1920-1929' }
+  }, { vocabulary });
+
+  assert.deepEqual(record.materials, ['Leather']);
+  assert.equal(record.style, 'Art Deco');
+  assert.equal(record.style_authenticity, 'of-the-period');
+  assert.deepEqual([record.period_start_year, record.period_end_year, record.decade], [1920, 1929, 1920]);
+
+  // Normalizing again leaves the record as it is
+  assert.deepEqual(normalizeRecordVocabulary(record, { vocabulary }), record);
+});
+
+test('the vocabulary rejects conflicting spellings', () => {
+  assert.throws(() => new Vocabulary({ materials: { Oak: ['oak'], Wood: ['oak'] } }), /Oak.*Wood/);
+  assert.throws(() => new Vocabulary({ authenticity: { original: ['original'] } }), /authenticity/);
+});